@@ -0,0 +1,149 @@
+// =============================
+// ANALÍTICA
+// =============================
+// Consultas de producto sobre los eventos de juego (ver eventos.js), para el
+// panel de administración. Todas aceptan los mismos filtros opcionales:
+//   desde / hasta  días AAAA-MM-DD, ambos incluidos (hora del servidor)
+//   esquema        código del esquema de contenedores con el que se jugó
+// Los intentos anteriores a los eventos se importaron de historial solo con
+// su resultado: no aportan contenedores equivocados, tiempos ni pistas.
+
+/**
+ * Condiciones SQL de los filtros sobre `eventos e`, con parámetros numerados
+ * @returns {{where: string, valores: Array}} where empieza por AND (o está vacío)
+ */
+function filtrarEventos({ desde, hasta, esquema } = {}) {
+  const condiciones = [];
+  const valores = [];
+  if (desde) {
+    valores.push(desde);
+    condiciones.push(`e.fecha >= $${valores.length}::date`);
+  }
+  if (hasta) {
+    valores.push(hasta);
+    condiciones.push(`e.fecha < $${valores.length}::date + 1`);
+  }
+  if (esquema) {
+    valores.push(esquema);
+    condiciones.push(`e.esquema = $${valores.length}`);
+  }
+  return { where: condiciones.map(condicion => ` AND ${condicion}`).join(''), valores };
+}
+
+// % con un decimal (null si no hay base)
+const porcentaje = (parte, total) => (total ? Math.round((parte / total) * 1000) / 10 : null);
+
+/**
+ * Actividad por día: jugadores, partidas, intentos, aciertos a la primera,
+ * pistas mostradas y tiempo mediano por intento
+ * @param {object} db - Pool o cliente de PostgreSQL
+ * @param {Object} filtros - { desde, hasta, esquema }
+ */
+async function resumenDiario(db, filtros) {
+  const { where, valores } = filtrarEventos(filtros);
+  const result = await db.query(
+    `SELECT TO_CHAR(e.fecha, 'YYYY-MM-DD') AS dia,
+            COUNT(DISTINCT e.usuario_id)::int AS jugadores,
+            COUNT(*) FILTER (WHERE e.tipo = 'partida_iniciada')::int AS partidas,
+            COUNT(*) FILTER (WHERE e.tipo = 'intento')::int AS intentos,
+            COUNT(*) FILTER (WHERE e.tipo = 'intento' AND e.correcto)::int AS clasificados,
+            COUNT(*) FILTER (WHERE e.tipo = 'intento' AND e.correcto AND e.intento = 1)::int AS a_la_primera,
+            COUNT(*) FILTER (WHERE e.tipo = 'pista')::int AS pistas,
+            ROUND(PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY e.tiempo_ms) FILTER (WHERE e.tipo = 'intento'))::int AS tiempo_mediano_ms
+     FROM eventos e
+     WHERE TRUE${where}
+     GROUP BY dia
+     ORDER BY dia DESC`,
+    valores
+  );
+
+  return result.rows.map(fila => ({ ...fila, precision: porcentaje(fila.a_la_primera, fila.clasificados) }));
+}
+
+/**
+ * Residuos de más difícil a más fácil (menos aciertos a la primera)
+ * @param {object} db - Pool o cliente de PostgreSQL
+ * @param {Object} filtros - { desde, hasta, esquema }
+ * @param {number} limite - Máximo de residuos
+ */
+async function dificultadResiduos(db, filtros, limite) {
+  const { where, valores } = filtrarEventos(filtros);
+  const result = await db.query(
+    `SELECT r.id AS residuo_id, r.nombre, r.icono,
+            COUNT(*) FILTER (WHERE e.tipo = 'intento')::int AS intentos,
+            COUNT(*) FILTER (WHERE e.tipo = 'intento' AND e.correcto)::int AS clasificados,
+            COUNT(*) FILTER (WHERE e.tipo = 'intento' AND e.correcto AND e.intento = 1)::int AS a_la_primera,
+            COUNT(*) FILTER (WHERE e.tipo = 'pista')::int AS pistas,
+            ROUND(PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY e.tiempo_ms) FILTER (WHERE e.tipo = 'intento'))::int AS tiempo_mediano_ms
+     FROM eventos e
+     JOIN residuos r ON r.id = e.residuo_id
+     WHERE e.tipo IN ('intento', 'pista')${where}
+     GROUP BY r.id
+     HAVING COUNT(*) FILTER (WHERE e.tipo = 'intento' AND e.correcto) > 0
+     ORDER BY COUNT(*) FILTER (WHERE e.tipo = 'intento' AND e.correcto AND e.intento = 1)::float
+                / COUNT(*) FILTER (WHERE e.tipo = 'intento' AND e.correcto),
+              intentos DESC, r.nombre
+     LIMIT $${valores.length + 1}`,
+    [...valores, limite]
+  );
+
+  return result.rows.map(fila => ({ ...fila, precision: porcentaje(fila.a_la_primera, fila.clasificados) }));
+}
+
+/**
+ * Qué contenedores se confunden con cuáles
+ * @param {object} db - Pool o cliente de PostgreSQL
+ * @param {Object} filtros - { desde, hasta, esquema }
+ * @param {number} limite - Máximo de residuos en `residuos`
+ * @returns {Promise<{matriz: Array, confusiones: Array, residuos: Array}>}
+ *   matriz: intentos por contenedor correcto y elegido (la diagonal son aciertos);
+ *           porcentaje = parte de los intentos con ese contenedor correcto
+ *   confusiones: la matriz sin la diagonal, de más a menos frecuente
+ *   residuos: residuos más soltados en un contenedor concreto equivocado
+ */
+async function informeConfusiones(db, filtros, limite) {
+  const { where, valores } = filtrarEventos(filtros);
+
+  const matriz = await db.query(
+    `SELECT m.esquema, m.correcto, cc.nombre AS nombre_correcto, m.elegido, ce.nombre AS nombre_elegido,
+            m.veces, ROUND(100.0 * m.veces / SUM(m.veces) OVER (PARTITION BY m.esquema, m.correcto), 1) AS porcentaje
+     FROM (
+       SELECT e.esquema, e.contenedor_correcto AS correcto, e.contenedor_elegido AS elegido, COUNT(*)::int AS veces
+       FROM eventos e
+       WHERE e.tipo = 'intento'${where}
+       GROUP BY e.esquema, e.contenedor_correcto, e.contenedor_elegido
+     ) m
+     LEFT JOIN contenedores cc ON cc.esquema = m.esquema AND cc.codigo = m.correcto
+     LEFT JOIN contenedores ce ON ce.esquema = m.esquema AND ce.codigo = m.elegido
+     ORDER BY m.esquema, cc.orden, ce.orden, m.elegido`,
+    valores
+  );
+
+  const residuos = await db.query(
+    `SELECT e.esquema, r.id AS residuo_id, r.nombre, e.contenedor_correcto AS correcto,
+            e.contenedor_elegido AS elegido, COUNT(*)::int AS veces
+     FROM eventos e
+     JOIN residuos r ON r.id = e.residuo_id
+     WHERE e.tipo = 'intento' AND NOT e.correcto${where}
+     GROUP BY e.esquema, r.id, e.contenedor_correcto, e.contenedor_elegido
+     ORDER BY veces DESC, r.nombre
+     LIMIT $${valores.length + 1}`,
+    [...valores, limite]
+  );
+
+  const celdas = matriz.rows.map(fila => ({ ...fila, porcentaje: parseFloat(fila.porcentaje) }));
+
+  return {
+    matriz: celdas,
+    confusiones: celdas
+      .filter(celda => celda.correcto !== celda.elegido)
+      .sort((a, b) => b.veces - a.veces || b.porcentaje - a.porcentaje),
+    residuos: residuos.rows
+  };
+}
+
+module.exports = {
+  resumenDiario,
+  dificultadResiduos,
+  informeConfusiones
+};
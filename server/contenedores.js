@@ -0,0 +1,89 @@
+// =============================
+// CONTENEDORES POR REGIÓN
+// =============================
+// Cada país o ciudad separa distinto (orgánico marrón, textil, vidrio por
+// colores...). Un esquema regional (esquemas_contenedores) tiene sus propios
+// contenedores, y el contenedor de un residuo en un esquema se resuelve así:
+//   1. La excepción de residuo_contenedores para ese esquema, si la hay
+//   2. Si no, residuos.tipo, que es su contenedor en el esquema por defecto
+// Si ese contenedor no existe en el esquema, el residuo no se reparte en él.
+
+// Código del esquema por defecto (subconsulta SQL)
+const ESQUEMA_POR_DEFECTO = '(SELECT codigo FROM esquemas_contenedores WHERE por_defecto LIMIT 1)';
+
+// Columnas de un contenedor que se envían al cliente
+const COLUMNAS_CONTENEDOR = 'codigo, nombre, titulo, descripcion, icono, color';
+
+/**
+ * Esquema elegido por un usuario, o el por defecto (subconsulta SQL)
+ * @param {string} parametro - Parámetro con el id del usuario (ej. '$1')
+ */
+const esquemaDelUsuario = (parametro) =>
+  `COALESCE((SELECT u.esquema FROM usuarios u WHERE u.id = ${parametro}), ${ESQUEMA_POR_DEFECTO})`;
+
+/**
+ * JOINs que añaden a `residuos r` su contenedor `ce` en un esquema
+ * @param {string} esquema - Expresión SQL con el código del esquema (ej. '$2' o 'p.esquema')
+ * @param {boolean} obligatorio - true descarta los residuos sin contenedor en el esquema;
+ *                                false los mantiene con ce.* a NULL
+ */
+const joinContenedor = (esquema, obligatorio = true) => `
+  LEFT JOIN residuo_contenedores rce ON rce.residuo_id = r.id AND rce.esquema = ${esquema}
+  ${obligatorio ? 'JOIN' : 'LEFT JOIN'} contenedores ce ON ce.esquema = ${esquema} AND ce.codigo = COALESCE(rce.contenedor, r.tipo)`;
+
+/**
+ * Código del esquema a usar: el pedido si existe; si no, el del usuario; si no, el por defecto
+ * @param {object} db - Pool o cliente de PostgreSQL
+ * @param {Object} opciones - { codigo: esquema pedido (ej. ?esquema=), usuarioId }
+ * @returns {Promise<string|null>}
+ */
+async function resolverEsquema(db, { codigo, usuarioId } = {}) {
+  const result = await db.query(
+    `SELECT COALESCE((SELECT codigo FROM esquemas_contenedores WHERE codigo = $1), ${esquemaDelUsuario('$2')}) AS esquema`,
+    [codigo || null, usuarioId || null]
+  );
+  return result.rows[0].esquema;
+}
+
+/**
+ * Contenedores de un esquema en orden de juego
+ * @param {object} db - Pool o cliente de PostgreSQL
+ * @param {string} esquema - Código del esquema (por defecto, el esquema por defecto)
+ */
+async function contenedoresDe(db, esquema) {
+  const result = await db.query(
+    `SELECT ${COLUMNAS_CONTENEDOR} FROM contenedores
+     WHERE esquema = COALESCE($1, ${ESQUEMA_POR_DEFECTO})
+     ORDER BY orden, id`,
+    [esquema || null]
+  );
+  return result.rows;
+}
+
+/**
+ * Todos los esquemas con sus contenedores (el por defecto primero)
+ * @param {object} db - Pool o cliente de PostgreSQL
+ * @returns {Promise<Array<{codigo, nombre, por_defecto, contenedores: Array}>>}
+ */
+async function listarEsquemas(db) {
+  const esquemas = await db.query(
+    'SELECT codigo, nombre, por_defecto FROM esquemas_contenedores ORDER BY por_defecto DESC, nombre'
+  );
+  const contenedores = await db.query(
+    `SELECT esquema, ${COLUMNAS_CONTENEDOR} FROM contenedores ORDER BY orden, id`
+  );
+
+  const porEsquema = new Map(esquemas.rows.map(esquema => [esquema.codigo, { ...esquema, contenedores: [] }]));
+  contenedores.rows.forEach(({ esquema, ...contenedor }) => porEsquema.get(esquema).contenedores.push(contenedor));
+
+  return [...porEsquema.values()];
+}
+
+module.exports = {
+  ESQUEMA_POR_DEFECTO,
+  esquemaDelUsuario,
+  joinContenedor,
+  resolverEsquema,
+  contenedoresDe,
+  listarEsquemas
+};
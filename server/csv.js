@@ -0,0 +1,124 @@
+// =============================
+// CSV
+// =============================
+// Lectura y escritura de CSV (RFC 4180) sin dependencias:
+//   - Campos entre comillas con comillas dobladas ("") y saltos de línea dentro
+//   - Separador ',' o ';' (las hojas de cálculo en español suelen usar ';'),
+//     detectado en la cabecera si no se indica
+//   - Ignora el BOM de UTF-8 que añade Excel y las líneas vacías
+//   - Inyección de fórmulas: al generar, una celda que empieza por = + - @
+//     (o tabulador / retorno) se escribe con un apóstrofo delante para que la
+//     hoja de cálculo la trate como texto; al leer se quita ese apóstrofo
+
+// Comienzos que una hoja de cálculo interpreta como fórmula; los apóstrofos
+// previos también se protegen para que la lectura devuelva el valor exacto
+const FORMULA = /^'*[=+\-@\t\r]/;
+
+/**
+ * Quita el apóstrofo que generarCsv añade a las celdas con aspecto de fórmula
+ */
+const desprotegerCelda = (celda) => (celda.startsWith("'") && FORMULA.test(celda) ? celda.slice(1) : celda);
+
+/**
+ * Separador más probable según la primera línea (fuera de comillas)
+ */
+function detectarSeparador(texto) {
+  let comas = 0;
+  let puntosYComa = 0;
+  let entreComillas = false;
+
+  for (const caracter of texto) {
+    if (caracter === '"') entreComillas = !entreComillas;
+    else if (!entreComillas && (caracter === '\n' || caracter === '\r')) break;
+    else if (!entreComillas && caracter === ',') comas++;
+    else if (!entreComillas && caracter === ';') puntosYComa++;
+  }
+
+  return puntosYComa > comas ? ';' : ',';
+}
+
+/**
+ * Convierte un texto CSV en filas de celdas
+ * @param {string} texto - Contenido del archivo
+ * @param {string} separador - ',' o ';' (por defecto se detecta)
+ * @returns {Array<{linea: number, celdas: string[]}>} linea = número de línea donde empieza la fila
+ * @throws {Error} Si hay comillas sin cerrar
+ */
+function parsearCsv(texto, separador) {
+  const contenido = String(texto || '').replace(/^\uFEFF/, '');
+  const sep = separador || detectarSeparador(contenido);
+  const filas = [];
+  let celdas = [];
+  let celda = '';
+  let entreComillas = false;
+  let linea = 1;
+  let inicioFila = 1;
+
+  const cerrarFila = () => {
+    celdas.push(desprotegerCelda(celda));
+    // Una línea vacía produce una sola celda vacía: se ignora
+    if (celdas.length > 1 || celdas[0] !== '') filas.push({ linea: inicioFila, celdas });
+    celdas = [];
+    celda = '';
+  };
+
+  for (let i = 0; i < contenido.length; i++) {
+    const caracter = contenido[i];
+
+    if (entreComillas) {
+      if (caracter === '"' && contenido[i + 1] === '"') {
+        celda += '"';
+        i++;
+      } else if (caracter === '"') {
+        entreComillas = false;
+      } else {
+        if (caracter === '\n') linea++;
+        celda += caracter;
+      }
+    } else if (caracter === '"') {
+      entreComillas = true;
+    } else if (caracter === sep) {
+      celdas.push(desprotegerCelda(celda));
+      celda = '';
+    } else if (caracter === '\n' || caracter === '\r') {
+      if (caracter === '\r' && contenido[i + 1] === '\n') i++;
+      cerrarFila();
+      linea++;
+      inicioFila = linea;
+    } else {
+      celda += caracter;
+    }
+  }
+
+  if (entreComillas) throw new Error(`Comillas sin cerrar en la fila de la línea ${inicioFila}`);
+  if (celda !== '' || celdas.length > 0) cerrarFila();
+
+  return filas;
+}
+
+/**
+ * Protege las celdas con aspecto de fórmula y escapa las que contienen
+ * separador, comillas o saltos de línea
+ */
+const escaparCelda = (valor) => {
+  const original = valor === null || valor === undefined ? '' : String(valor);
+  const texto = FORMULA.test(original) ? `'${original}` : original;
+  return /[",;\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+};
+
+/**
+ * Genera un CSV con cabecera a partir de objetos
+ * @param {string[]} columnas - Columnas en orden
+ * @param {Array<object>} registros - Objetos con esas claves
+ * @returns {string} CSV con BOM (para que Excel detecte UTF-8) y saltos CRLF
+ */
+function generarCsv(columnas, registros) {
+  const lineas = [columnas, ...registros.map(registro => columnas.map(columna => registro[columna]))]
+    .map(celdas => celdas.map(escaparCelda).join(','));
+  return `\uFEFF${lineas.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  parsearCsv,
+  generarCsv
+};
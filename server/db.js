@@ -0,0 +1,24 @@
+// =============================
+// POSTGRESQL
+// =============================
+// Conexión compartida por el servidor y las herramientas de línea de comandos
+// (migrador.js y sembrar.js), con las variables DB_* de server/.env
+const { Pool } = require('pg');
+
+/**
+ * Crea el pool de conexiones a PostgreSQL
+ * (dotenv debe estar cargado antes de llamarla)
+ */
+function crearPool() {
+  return new Pool({
+    user: process.env.DB_USER,
+    host: process.env.DB_HOST,
+    database: process.env.DB_NAME,
+    password: process.env.DB_PASSWORD,
+    port: process.env.DB_PORT,
+  });
+}
+
+module.exports = {
+  crearPool
+};
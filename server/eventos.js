@@ -0,0 +1,183 @@
+// =============================
+// EVENTOS DE JUEGO
+// =============================
+// Registro único de lo que pasa en las partidas (tabla eventos). Tipos:
+//   partida_iniciada  se reparte una partida nueva
+//   intento           el jugador suelta un residuo en un contenedor (acierte o no)
+//   pista             se le muestra la pista de un residuo tras fallar
+// Los eventos se guardan en la misma transacción que el resto de la jugada;
+// la vista historial (residuos resueltos) se calcula a partir de ellos.
+//
+// Destino secundario opcional: después del COMMIT los eventos se reenvían a
+// otro almacén (MongoDB, un data warehouse...). Un destino es cualquier objeto
+// con `publicar(eventos)` que devuelve una promesa (y opcionalmente
+// `conectar()`). Se resuelve al arrancar con prepararDestino, que falla si la
+// configuración no es válida. Si luego falla al publicar, el juego sigue
+// (PostgreSQL es la fuente de verdad): se avisa una vez al empezar a fallar y
+// otra al recuperarse, con los eventos que no se reenviaron.
+const path = require('path');
+
+// Columnas que puede rellenar un evento (usuario_id siempre es obligatorio)
+const COLUMNAS = [
+  'usuario_id', 'partida_id', 'residuo_id', 'esquema', 'contenedor_correcto', 'contenedor_elegido',
+  'correcto', 'intento', 'tiempo_ms', 'puntos', 'co2'
+];
+
+// Campos obligatorios de cada tipo, además de usuario_id
+const TIPOS_EVENTO = {
+  partida_iniciada: ['partida_id', 'esquema'],
+  intento: ['partida_id', 'residuo_id', 'esquema', 'contenedor_correcto', 'contenedor_elegido', 'correcto', 'intento'],
+  pista: ['partida_id', 'residuo_id', 'esquema']
+};
+
+/**
+ * Guarda un evento
+ * @param {object} db - Pool o cliente de PostgreSQL (el de la transacción de la jugada)
+ * @param {string} tipo - Una clave de TIPOS_EVENTO
+ * @param {Object} datos - Valores de COLUMNAS
+ * @returns {Promise<Object>} El evento guardado, con id y fecha
+ * @throws {Error} Si el tipo no existe o falta un campo obligatorio
+ */
+async function registrarEvento(db, tipo, datos) {
+  const obligatorios = TIPOS_EVENTO[tipo];
+  if (!obligatorios) throw new Error(`Tipo de evento desconocido: ${tipo}`);
+
+  const faltan = ['usuario_id', ...obligatorios].filter(campo => datos[campo] === undefined || datos[campo] === null);
+  if (faltan.length > 0) throw new Error(`Evento ${tipo} sin ${faltan.join(', ')}`);
+
+  const columnas = COLUMNAS.filter(columna => datos[columna] !== undefined);
+  const result = await db.query(
+    `INSERT INTO eventos (tipo, ${columnas.join(', ')})
+     VALUES ($1, ${columnas.map((columna, i) => `$${i + 2}`).join(', ')})
+     RETURNING *`,
+    [tipo, ...columnas.map(columna => datos[columna])]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Destino MongoDB: una colección `eventos` con los mismos campos
+ * (mongoose solo se carga si se usa este destino)
+ * @param {string} uri - Cadena de conexión (MONGO_URI)
+ */
+function crearDestinoMongo(uri) {
+  const mongoose = require('mongoose');
+  const conexion = mongoose.createConnection(uri);
+  conexion.on('error', err => console.error('❌ Error MongoDB:', err.message));
+
+  const Evento = conexion.model('Evento', new mongoose.Schema({
+    evento_id: { type: Number, unique: true },
+    tipo: String,
+    usuario_id: Number,
+    partida_id: Number,
+    residuo_id: Number,
+    esquema: String,
+    contenedor_correcto: String,
+    contenedor_elegido: String,
+    correcto: Boolean,
+    intento: Number,
+    tiempo_ms: Number,
+    puntos: Number,
+    co2: Number,
+    fecha: Date
+  }, { collection: 'eventos', versionKey: false }));
+
+  return {
+    async conectar() {
+      await conexion.asPromise();
+    },
+    async publicar(eventos) {
+      // BIGSERIAL y DECIMAL llegan de pg como texto
+      await Evento.insertMany(eventos.map(({ id, co2, ...evento }) => ({
+        ...evento,
+        evento_id: Number(id),
+        co2: co2 === null ? null : parseFloat(co2)
+      })));
+    }
+  };
+}
+
+// Sin destino secundario
+const DESTINO_NINGUNO = { async publicar() {} };
+
+/**
+ * Elige el destino según EVENTOS_DESTINO:
+ * - vacío: ninguno
+ * - "mongo": MongoDB en MONGO_URI
+ * - ruta a un módulo: se carga con require y debe exportar `publicar`
+ */
+function crearDestinoPorDefecto() {
+  const tipo = process.env.EVENTOS_DESTINO;
+
+  if (!tipo) return DESTINO_NINGUNO;
+
+  if (tipo === 'mongo') {
+    if (!process.env.MONGO_URI) throw new Error('EVENTOS_DESTINO "mongo" necesita MONGO_URI');
+    return crearDestinoMongo(process.env.MONGO_URI);
+  }
+
+  let modulo;
+  try {
+    modulo = require(path.resolve(__dirname, tipo));
+  } catch (err) {
+    throw new Error(`EVENTOS_DESTINO "${tipo}" no se puede cargar: ${err.message}`);
+  }
+  if (typeof modulo.publicar !== 'function') {
+    throw new Error(`EVENTOS_DESTINO "${tipo}" no exporta una función publicar`);
+  }
+  return modulo;
+}
+
+let destino = null;
+// Eventos no reenviados desde que el destino empezó a fallar (null = funciona)
+let perdidos = null;
+
+/**
+ * Reemplaza el destino secundario activo
+ * @param {{publicar: Function}} nuevo - Destino a usar desde ahora
+ */
+function usarDestino(nuevo) {
+  destino = nuevo;
+}
+
+/**
+ * Resuelve el destino secundario según EVENTOS_DESTINO y se conecta a él
+ * (se llama al arrancar el servidor)
+ * @throws {Error} Si la configuración no es válida o no se puede conectar
+ */
+async function prepararDestino() {
+  if (!destino) destino = crearDestinoPorDefecto();
+  if (typeof destino.conectar === 'function') await destino.conectar();
+}
+
+/**
+ * Reenvía eventos ya confirmados al destino secundario.
+ * Nunca falla: los errores del destino solo se registran, una vez por racha de fallos
+ * @param {Array<Object>} eventos - Devueltos por registrarEvento
+ */
+async function publicarEventos(eventos) {
+  if (eventos.length === 0) return;
+  try {
+    if (!destino) destino = crearDestinoPorDefecto();
+    await destino.publicar(eventos);
+    if (perdidos !== null) {
+      console.log(`✅ Reenvío de eventos recuperado (${perdidos} eventos sin reenviar)`);
+      perdidos = null;
+    }
+  } catch (err) {
+    if (perdidos === null) {
+      console.error('❌ Error reenviando eventos (no se repetirá hasta que se recupere):', err.message);
+      perdidos = 0;
+    }
+    perdidos += eventos.length;
+  }
+}
+
+module.exports = {
+  TIPOS_EVENTO,
+  registrarEvento,
+  publicarEventos,
+  prepararDestino,
+  usarDestino,
+  crearDestinoMongo
+};
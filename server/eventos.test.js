@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { prepararDestino, publicarEventos, usarDestino, registrarEvento } = require('./eventos');
+
+test('registrarEvento: exige los campos del tipo', async () => {
+  const db = { query: async () => assert.fail('no debería llegar a la BD') };
+
+  await assert.rejects(registrarEvento(db, 'otro', { usuario_id: 1 }), /Tipo de evento desconocido/);
+  await assert.rejects(registrarEvento(db, 'pista', { usuario_id: 1, partida_id: 2 }), /sin residuo_id, esquema/);
+});
+
+test('prepararDestino: falla al arrancar si EVENTOS_DESTINO no es válido', async (t) => {
+  const originales = { EVENTOS_DESTINO: process.env.EVENTOS_DESTINO, MONGO_URI: process.env.MONGO_URI };
+  t.after(() => Object.entries(originales).forEach(([variable, valor]) => {
+    if (valor === undefined) delete process.env[variable];
+    else process.env[variable] = valor;
+  }));
+
+  process.env.EVENTOS_DESTINO = 'mongo';
+  process.env.MONGO_URI = '';
+  await assert.rejects(prepararDestino(), /necesita MONGO_URI/);
+
+  process.env.EVENTOS_DESTINO = './no-existe';
+  await assert.rejects(prepararDestino(), /no se puede cargar/);
+
+  process.env.EVENTOS_DESTINO = './csv';
+  await assert.rejects(prepararDestino(), /no exporta una función publicar/);
+});
+
+test('publicarEventos: avisa una vez por racha de fallos', async (t) => {
+  const errores = t.mock.method(console, 'error', () => {});
+  const avisos = t.mock.method(console, 'log', () => {});
+  let caido = true;
+  usarDestino({
+    async publicar() {
+      if (caido) throw new Error('sin conexión');
+    }
+  });
+
+  await publicarEventos([{ id: 1 }]);
+  await publicarEventos([{ id: 2 }, { id: 3 }]);
+  assert.equal(errores.mock.callCount(), 1);
+
+  caido = false;
+  await publicarEventos([{ id: 4 }]);
+  await publicarEventos([{ id: 5 }]);
+  assert.equal(avisos.mock.callCount(), 1);
+  assert.match(avisos.mock.calls[0].arguments[0], /3 eventos sin reenviar/);
+
+  caido = true;
+  await publicarEventos([{ id: 6 }]);
+  assert.equal(errores.mock.callCount(), 2);
+});
@@ -0,0 +1,139 @@
+// =============================
+// IMPORTACIÓN DE RESIDUOS
+// =============================
+// Lee un catálogo de residuos en CSV o JSON y planifica qué haría con cada
+// fila antes de tocar la BD (lo que permite el modo de prueba):
+//   - Las columnas son los campos del esquema `residuo` de src/shared/validation
+//   - Cada fila se identifica por su nombre (sin distinguir mayúsculas ni espacios):
+//     si ya existe se actualiza (y se restaura si estaba dada de baja), si no se crea
+//   - Una columna ausente no se toca; una celda vacía borra el valor
+//   - Se informa por fila de los errores de validación, de los contenedores que no
+//     existen en el esquema por defecto y de los nombres repetidos
+const { validar, mensaje, ESQUEMAS } = require('../src/shared/validation');
+const { parsearCsv } = require('./csv');
+
+const CAMPOS = Object.keys(ESQUEMAS.residuo);
+const IMPORTACION_MAX_FILAS = 2000;
+
+// Clave de comparación de nombres: 'Lata  de refresco ' == 'lata de refresco'
+const claveNombre = (nombre) => String(nombre || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Convierte el contenido recibido en filas con los campos conocidos
+ * @param {string|object|Array} contenido - Texto CSV, o array (u objeto { residuos }) JSON
+ * @param {string} formato - 'csv' | 'json'
+ * @returns {{filas?: Array<{fila: number, datos: object}>, ignoradas?: string[], error?: string}}
+ *   fila = línea del CSV o posición en el JSON (desde 1); ignoradas = columnas desconocidas
+ */
+function leerArchivo(contenido, formato) {
+  let filas;
+  let columnas;
+
+  if (formato === 'csv') {
+    let tabla;
+    try {
+      tabla = parsearCsv(contenido);
+    } catch (err) {
+      return { error: err.message };
+    }
+    if (tabla.length === 0) return { error: 'El archivo está vacío' };
+
+    const [cabecera, ...datos] = tabla;
+    columnas = cabecera.celdas.map(columna => columna.trim().toLowerCase());
+    filas = datos.map(({ linea, celdas }) => ({
+      fila: linea,
+      datos: columnas.reduce((fila, columna, i) => (
+        CAMPOS.includes(columna) && celdas[i] !== undefined ? { ...fila, [columna]: celdas[i] } : fila
+      ), {})
+    }));
+  } else {
+    const lista = Array.isArray(contenido) ? contenido : contenido && contenido.residuos;
+    if (!Array.isArray(lista)) return { error: 'El JSON debe ser un array de residuos o { "residuos": [...] }' };
+
+    const noObjeto = lista.findIndex(item => !item || typeof item !== 'object' || Array.isArray(item));
+    if (noObjeto !== -1) return { error: `El elemento ${noObjeto + 1} no es un objeto` };
+
+    columnas = [...new Set(lista.flatMap(item => Object.keys(item)))];
+    filas = lista.map((item, i) => ({
+      fila: i + 1,
+      datos: CAMPOS.reduce((fila, campo) => (item[campo] !== undefined ? { ...fila, [campo]: item[campo] } : fila), {})
+    }));
+  }
+
+  if (!columnas.includes('nombre')) return { error: 'Falta la columna "nombre", que identifica cada residuo' };
+  if (filas.length === 0) return { error: 'El archivo no tiene residuos' };
+  if (filas.length > IMPORTACION_MAX_FILAS) return { error: `Como máximo se importan ${IMPORTACION_MAX_FILAS} residuos por archivo` };
+
+  return { filas, ignoradas: columnas.filter(columna => !CAMPOS.includes(columna)) };
+}
+
+/**
+ * Decide la acción de cada fila y la valida
+ * @param {Array<{fila, datos}>} filas - Resultado de leerArchivo
+ * @param {Array<{id, nombre, eliminado_at}>} existentes - Catálogo actual (incluidos los dados de baja)
+ * @param {string} idioma - Idioma de los mensajes de validación
+ * @param {string[]} tipos - Códigos de contenedor válidos para `tipo` (los del esquema por defecto)
+ * @returns {{resumen: object, filas: Array<{fila, nombre, accion, id, datos, errores}>}}
+ *   accion: 'crear' | 'actualizar' | 'restaurar' | 'error'
+ */
+function planificarImportacion(filas, existentes, idioma, tipos) {
+  // Si el catálogo ya tuviera nombres repetidos, se usa el más antiguo
+  const porNombre = new Map();
+  [...existentes].sort((a, b) => a.id - b.id).forEach(residuo => {
+    const clave = claveNombre(residuo.nombre);
+    if (!porNombre.has(clave)) porNombre.set(clave, residuo);
+  });
+
+  const vistos = new Map(); // clave -> fila donde apareció primero
+
+  const plan = filas.map(({ fila, datos }) => {
+    const clave = claveNombre(datos.nombre);
+    const existente = porNombre.get(clave);
+
+    // Al crear se exigen todos los campos obligatorios; al actualizar solo se validan los presentes
+    const { errores } = validar('residuo', datos, { idioma, parcial: Boolean(existente) });
+
+    if (datos.tipo !== undefined && !errores.tipo && !tipos.includes(datos.tipo)) {
+      errores.tipo = mensaje('tipoContenedor', idioma);
+    }
+
+    if (clave && vistos.has(clave)) {
+      errores.nombre = `Nombre repetido: ya aparece en la fila ${vistos.get(clave)}`;
+    } else if (clave) {
+      vistos.set(clave, fila);
+    }
+
+    const accion = Object.keys(errores).length > 0 ? 'error'
+      : !existente ? 'crear'
+        : existente.eliminado_at ? 'restaurar' : 'actualizar';
+
+    return {
+      fila,
+      nombre: datos.nombre === undefined ? null : String(datos.nombre).trim(),
+      accion,
+      id: existente ? existente.id : null,
+      datos,
+      errores: accion === 'error' ? errores : undefined
+    };
+  });
+
+  const contar = (accion) => plan.filter(item => item.accion === accion).length;
+
+  return {
+    resumen: {
+      total: plan.length,
+      crear: contar('crear'),
+      actualizar: contar('actualizar'),
+      restaurar: contar('restaurar'),
+      errores: contar('error')
+    },
+    filas: plan
+  };
+}
+
+module.exports = {
+  CAMPOS,
+  claveNombre,
+  leerArchivo,
+  planificarImportacion
+};
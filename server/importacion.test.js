@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parsearCsv, generarCsv } = require('./csv');
+const { claveNombre, leerArchivo, planificarImportacion } = require('./importacion');
+
+const TIPOS = ['yellow', 'blue', 'green', 'brown', 'grey'];
+
+const EXISTENTES = [
+  { id: 1, nombre: 'Lata de refresco', eliminado_at: null },
+  { id: 2, nombre: 'Periódico', eliminado_at: '2026-01-01T00:00:00.000Z' }
+];
+
+test('csv: lo generado se vuelve a leer igual', () => {
+  const registros = [
+    { nombre: 'Botella', pista: 'Con "comillas", comas; y\nsaltos de línea', co2_kg: 0.05 },
+    { nombre: '=SUMA(A1:A2)', pista: "'+ya protegida", co2_kg: null },
+    { nombre: '-1', pista: '@usuario', co2_kg: '' }
+  ];
+  const texto = generarCsv(['nombre', 'pista', 'co2_kg'], registros);
+
+  assert.ok(texto.startsWith('\uFEFF'));
+  assert.deepEqual(parsearCsv(texto).map(fila => fila.celdas), [
+    ['nombre', 'pista', 'co2_kg'],
+    ['Botella', 'Con "comillas", comas; y\nsaltos de línea', '0.05'],
+    ['=SUMA(A1:A2)', "'+ya protegida", ''],
+    ['-1', '@usuario', '']
+  ]);
+});
+
+test('csv: protege las celdas con aspecto de fórmula', () => {
+  const texto = generarCsv(['a', 'b'], [{ a: '=1+1', b: '@SUM(1)' }]);
+  assert.equal(texto, "\uFEFFa,b\r\n'=1+1,'@SUM(1)\r\n");
+});
+
+test('csv: detecta el separador y numera las filas por línea', () => {
+  const filas = parsearCsv('nombre;pista\r\n"Tetra; brik";"dos\nlíneas"\r\n\r\nPila;\r\n');
+
+  assert.deepEqual(filas, [
+    { linea: 1, celdas: ['nombre', 'pista'] },
+    { linea: 2, celdas: ['Tetra; brik', 'dos\nlíneas'] },
+    { linea: 5, celdas: ['Pila', ''] }
+  ]);
+  assert.throws(() => parsearCsv('nombre\n"sin cerrar'), /Comillas sin cerrar/);
+});
+
+test('claveNombre: ignora mayúsculas y espacios sobrantes', () => {
+  assert.equal(claveNombre('  Lata  de Refresco '), 'lata de refresco');
+  assert.equal(claveNombre(null), '');
+});
+
+test('leerArchivo: CSV con columnas desconocidas y celdas ausentes', () => {
+  const { filas, ignoradas } = leerArchivo('Nombre,tipo,color\nBotella,yellow,verde\nCaja\n', 'csv');
+
+  assert.deepEqual(ignoradas, ['color']);
+  assert.deepEqual(filas, [
+    { fila: 2, datos: { nombre: 'Botella', tipo: 'yellow' } },
+    { fila: 3, datos: { nombre: 'Caja' } }
+  ]);
+});
+
+test('leerArchivo: JSON como array o { residuos }', () => {
+  const esperado = { filas: [{ fila: 1, datos: { nombre: 'Pila', tipo: 'grey' } }], ignoradas: ['id'] };
+
+  assert.deepEqual(leerArchivo([{ id: 4, nombre: 'Pila', tipo: 'grey' }], 'json'), esperado);
+  assert.deepEqual(leerArchivo({ residuos: [{ id: 4, nombre: 'Pila', tipo: 'grey' }] }, 'json'), esperado);
+});
+
+test('leerArchivo: rechaza archivos sin nombre, vacíos o mal formados', () => {
+  assert.match(leerArchivo('tipo\nyellow\n', 'csv').error, /nombre/);
+  assert.match(leerArchivo('', 'csv').error, /vacío/);
+  assert.match(leerArchivo('nombre\n', 'csv').error, /no tiene residuos/);
+  assert.match(leerArchivo({ otra: [] }, 'json').error, /array/);
+  assert.match(leerArchivo([{ nombre: 'Pila' }, 'texto'], 'json').error, /elemento 2/);
+});
+
+test('planificarImportacion: crea, actualiza y restaura según el nombre', () => {
+  const filas = [
+    { fila: 2, datos: { nombre: 'Botella de agua', tipo: 'yellow' } },
+    { fila: 3, datos: { nombre: ' LATA DE REFRESCO', pista: 'Al amarillo' } },
+    { fila: 4, datos: { nombre: 'periódico', tipo: 'blue' } }
+  ];
+  const { resumen, filas: plan } = planificarImportacion(filas, EXISTENTES, 'es', TIPOS);
+
+  assert.deepEqual(resumen, { total: 3, crear: 1, actualizar: 1, restaurar: 1, errores: 0 });
+  assert.deepEqual(plan.map(({ accion, id, nombre }) => ({ accion, id, nombre })), [
+    { accion: 'crear', id: null, nombre: 'Botella de agua' },
+    { accion: 'actualizar', id: 1, nombre: 'LATA DE REFRESCO' },
+    { accion: 'restaurar', id: 2, nombre: 'periódico' }
+  ]);
+  plan.forEach(item => assert.equal(item.errores, undefined));
+});
+
+test('planificarImportacion: al crear exige los campos obligatorios; al actualizar no', () => {
+  const { filas: plan } = planificarImportacion([
+    { fila: 1, datos: { nombre: 'Nuevo' } },
+    { fila: 2, datos: { nombre: 'Lata de refresco' } }
+  ], EXISTENTES, 'es', TIPOS);
+
+  assert.equal(plan[0].accion, 'error');
+  assert.ok(plan[0].errores.tipo);
+  assert.equal(plan[1].accion, 'actualizar');
+});
+
+test('planificarImportacion: contenedores inexistentes y nombres repetidos', () => {
+  const { resumen, filas: plan } = planificarImportacion([
+    { fila: 2, datos: { nombre: 'Pila', tipo: 'purple' } },
+    { fila: 3, datos: { nombre: 'Vaso', tipo: 'green' } },
+    { fila: 4, datos: { nombre: 'vaso ', tipo: 'green' } }
+  ], EXISTENTES, 'es', TIPOS);
+
+  assert.deepEqual(resumen, { total: 3, crear: 1, actualizar: 0, restaurar: 0, errores: 2 });
+  assert.ok(plan[0].errores.tipo);
+  assert.equal(plan[2].errores.nombre, 'Nombre repetido: ya aparece en la fila 3');
+});
+
+test('planificarImportacion: con nombres repetidos en el catálogo usa el más antiguo', () => {
+  const existentes = [{ id: 9, nombre: 'Pila', eliminado_at: null }, { id: 3, nombre: 'pila', eliminado_at: null }];
+  const { filas: plan } = planificarImportacion([{ fila: 1, datos: { nombre: 'Pila' } }], existentes, 'es', TIPOS);
+  assert.equal(plan[0].id, 3);
+});
@@ -2,297 +2,2218 @@
 // IMPORTS
 // =============================
 const express = require('express');
-const { Pool } = require('pg');
 const cors = require('cors');
-const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
 require('dotenv').config();
+const { crearPool } = require('./db');
+const { comprobarMigraciones } = require('./migrador');
+const { enviarCorreo } = require('./mail');
+const { crearLimitador } = require('./rateLimit');
+const { LOGROS, evaluarLogros, consultarLogros } = require('./logros');
+const { PERIODOS_RANKING, RANKING_POR_PAGINA, RANKING_MAX_POR_PAGINA, consultarRanking } = require('./ranking');
+const { diaLocal, HOY_LOCAL, consultarRacha, registrarDiaCompleto } = require('./rachas');
+const { elegirResiduos } = require('./repaso');
+const { ESQUEMA_POR_DEFECTO, esquemaDelUsuario, joinContenedor, resolverEsquema, contenedoresDe, listarEsquemas } = require('./contenedores');
+const { calcularPuntuacion, factorFallos, tiempoDeRespuesta } = require('./puntuacion');
+const { generarCsv } = require('./csv');
+const { registrarEvento, publicarEventos, prepararDestino } = require('./eventos');
+const { resumenDiario, dificultadResiduos, informeConfusiones } = require('./analitica');
+const { CAMPOS: CAMPOS_IMPORTACION, leerArchivo, planificarImportacion } = require('./importacion');
+// Reglas de validación compartidas con los formularios de React
+const { validar, mensaje, normalizarIdioma, IDIOMAS } = require('../src/shared/validation');
 
 // =============================
 // APP CONFIG
 // =============================
 const app = express();
-app.use(cors());
-app.use(express.json());
+// Detrás de un proxy, req.ip debe salir de X-Forwarded-For (ej. TRUST_PROXY=1)
+if (process.env.TRUST_PROXY) {
+  const proxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(proxy) ? parseInt(proxy) : proxy);
+}
+// Retry-After expuesto para que el login pueda mostrar la cuenta atrás
+app.use(cors({ exposedHeaders: ['Retry-After'] }));
+// Límite ampliado para admitir avatares en base64
+app.use(express.json({ limit: '4mb' }));
+
+// Archivos subidos (avatares e imágenes de residuos)
+const UPLOADS_DIR = path.join(__dirname, 'uploads');
+app.use('/uploads', express.static(UPLOADS_DIR));
+
+// Residuos que cada usuario puede clasificar por día
+const LIMITE_DIARIO = 10;
+
+// Tiempo máximo de respuesta que se acepta en /progreso (columna INTEGER de eventos)
+const MAX_TIEMPO_MS = 2 ** 31 - 1;
+
+// Columnas del perfil que se devuelven al cliente
+const COLUMNAS_PERFIL = 'id, nombre, email, avatar, puntos, co2_evitado, verificado, created_at, role, zona_horaria, esquema';
+
+// Rol que puede actuar sobre cuentas de otros usuarios
+const ROL_ADMIN = 'admin';
+
+// Duración de los tokens: acceso corto + refresh rotativo guardado en `sesiones`
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DIAS = parseInt(process.env.REFRESH_TOKEN_DIAS) || 30;
+
+// Enlaces de los correos y validez del enlace de recuperación de contraseña
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const RESET_TOKEN_MINUTOS = 60;
+const VERIFICACION_HORAS = 48;
+
+// Avatares: tipos aceptados, tamaño máximo y lado del cuadrado final
+const AVATAR_TIPOS = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+const AVATAR_MAX_BYTES = 2 * 1024 * 1024;
+const AVATAR_LADO = 256;
+
+// Imágenes de residuos subidas desde el panel de administración
+const RESIDUO_IMAGEN_LADO = 512;
+
+// Campos de residuos editables desde el panel de administración
+const CAMPOS_RESIDUO = ['nombre', 'tipo', 'pista', 'consejo', 'icono', 'imagen_url', 'dificultad', 'co2_kg', 'co2_fuente', 'co2_notas'];
+
+// Protección del login: intentos por IP y por cuenta en cada ventana,
+// y bloqueo progresivo guardado en la BD tras varios fallos seguidos
+const LOGIN_VENTANA_MS = 15 * 60 * 1000;
+const LOGIN_MAX_POR_IP = parseInt(process.env.LOGIN_MAX_POR_IP) || 20;
+const LOGIN_MAX_POR_CUENTA = parseInt(process.env.LOGIN_MAX_POR_CUENTA) || 10;
+const LOGIN_FALLOS_BLOQUEO = 5;
+const LOGIN_BLOQUEO_BASE_MIN = 1; // se duplica con cada fallo extra
+const LOGIN_BLOQUEO_MAX_MIN = 60;
+const LOGIN_ERROR_GENERICO = 'Email o contraseña incorrectos';
+
+const limitadorLoginIp = crearLimitador({ prefijo: 'login-ip', max: LOGIN_MAX_POR_IP, ventanaMs: LOGIN_VENTANA_MS });
+const limitadorLoginCuenta = crearLimitador({ prefijo: 'login-cuenta', max: LOGIN_MAX_POR_CUENTA, ventanaMs: LOGIN_VENTANA_MS });
+
+// Hash de relleno: si el email no existe se compara igual, para no delatarlo por el tiempo de respuesta
+const HASH_RELLENO = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
 
 // =============================
 // POSTGRESQL CONNECTION
 // =============================
-const pool = new Pool({
-  user: process.env.DB_USER,
-  host: process.env.DB_HOST,
-  database: process.env.DB_NAME,
-  password: process.env.DB_PASSWORD,
-  port: process.env.DB_PORT,
+const pool = crearPool();
+
+pool.query('SELECT NOW()', (err) => {
+  if (err) console.error("❌ Error conectando a PostgreSQL:", err.stack);
+  else console.log("✅ PostgreSQL conectado");
+});
+
+// =============================
+// 🔐 MIDDLEWARE JWT
+// =============================
+function verificarToken(req, res, next) {
+  const authHeader = req.headers['authorization'];
+
+  if (!authHeader) {
+    return res.status(401).json({ error: 'Token requerido' });
+  }
+
+  try {
+    const token = authHeader.split(' ')[1];
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    req.usuario = decoded;
+    next();
+  } catch (error) {
+    // 401 indica al frontend que puede renovar el token con /api/auth/refresh
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Token expirado', code: 'TOKEN_EXPIRADO' });
+    }
+    return res.status(403).json({ error: 'Token inválido' });
+  }
+}
+
+/**
+ * Autenticación opcional para rutas públicas: si llega un token válido
+ * rellena req.usuario; si falta o no es válido, sigue como anónimo
+ */
+function identificarUsuario(req, res, next) {
+  const authHeader = req.headers['authorization'];
+
+  if (authHeader) {
+    try {
+      req.usuario = jwt.verify(authHeader.split(' ')[1], process.env.JWT_SECRET);
+    } catch (error) {
+      req.usuario = undefined;
+    }
+  }
+  next();
+}
+
+// =============================
+// ✅ VALIDACIÓN
+// =============================
+
+/**
+ * Idioma de los mensajes de error según la cabecera Accept-Language
+ */
+function idiomaDe(req) {
+  return normalizarIdioma(req.acceptsLanguages(...IDIOMAS) || '');
+}
+
+/**
+ * Respuesta 400 con errores por campo; `error` lleva el primero para
+ * los clientes que solo muestran un mensaje
+ */
+function responderErrores(res, errores) {
+  const primero = Object.values(errores)[0];
+  return res.status(400).json({ success: false, error: primero, errores });
+}
+
+/**
+ * Middleware que valida req.body con un esquema de src/shared/validation
+ * @param {string} esquema - Nombre del esquema
+ * @param {Object} opciones - Opciones de validar() (ej. { campos: [...] })
+ */
+function validarBody(esquema, opciones) {
+  return (req, res, next) => {
+    const { valido, errores } = validar(esquema, req.body, { ...opciones, idioma: idiomaDe(req) });
+    if (!valido) return responderErrores(res, errores);
+    next();
+  };
+}
+
+// =============================
+// HELPERS DE LOGIN
+// =============================
+
+/**
+ * Responde 429 con la cabecera Retry-After (segundos hasta poder reintentar)
+ */
+const responderDemasiadosIntentos = (res, segundos) => {
+  res.set('Retry-After', String(segundos));
+  return res.status(429).json({
+    error: 'Demasiados intentos. Inténtalo de nuevo más tarde',
+    code: 'DEMASIADOS_INTENTOS',
+    retryAfter: segundos
+  });
+};
+
+/**
+ * Registra un fallo de contraseña y bloquea la cuenta si se llega al umbral.
+ * Cada fallo a partir de LOGIN_FALLOS_BLOQUEO duplica el bloqueo, hasta LOGIN_BLOQUEO_MAX_MIN
+ * @returns {Promise<number>} Segundos de bloqueo (0 si la cuenta sigue abierta)
+ */
+const registrarFalloLogin = async (usuarioId) => {
+  const result = await pool.query(
+    `UPDATE usuarios
+     SET intentos_fallidos = intentos_fallidos + 1,
+         bloqueado_hasta = CASE
+           WHEN intentos_fallidos + 1 >= $2
+           THEN NOW() + make_interval(mins => LEAST($4, $3 * POWER(2, intentos_fallidos + 1 - $2))::int)
+           ELSE bloqueado_hasta
+         END
+     WHERE id = $1
+     RETURNING CEIL(EXTRACT(EPOCH FROM (bloqueado_hasta - NOW())))::int AS segundos`,
+    [usuarioId, LOGIN_FALLOS_BLOQUEO, LOGIN_BLOQUEO_BASE_MIN, LOGIN_BLOQUEO_MAX_MIN]
+  );
+  return Math.max(0, result.rows[0].segundos || 0);
+};
+
+// =============================
+// HELPERS DE SESIÓN
+// =============================
+
+/**
+ * Hash SHA-256 de un refresh token; en la BD nunca se guarda el token en claro
+ * @param {string} token - Refresh token recibido del cliente
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Crea una sesión nueva y devuelve el par de tokens para el cliente
+ * @param {object} db - Pool o cliente de PostgreSQL
+ * @param {number} usuarioId - ID del usuario
+ * @param {string} userAgent - Navegador/dispositivo que inicia la sesión
+ * @returns {Promise<{token: string, refreshToken: string, sesionId: number}>}
+ */
+async function crearSesion(db, usuarioId, userAgent) {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+
+  const sesion = await db.query(
+    `INSERT INTO sesiones (usuario_id, token_hash, user_agent, expires_at)
+     VALUES ($1, $2, $3, NOW() + make_interval(days => $4)) RETURNING id`,
+    [usuarioId, hashToken(refreshToken), userAgent || null, REFRESH_TOKEN_DIAS]
+  );
+
+  const token = jwt.sign(
+    { id: usuarioId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+  return { token, refreshToken, sesionId: sesion.rows[0].id };
+}
+
+// =============================
+// 🛡️ MIDDLEWARE AUTORIZACIÓN
+// =============================
+
+/**
+ * Comprueba que el usuario autenticado actúa sobre su propia cuenta (:id)
+ * Acepta `me` como alias del propio ID y deja pasar al rol admin
+ * Debe usarse después de verificarToken
+ */
+async function verificarPropietario(req, res, next) {
+  if (req.params.id === 'me') req.params.id = String(req.usuario.id);
+
+  if (!/^\d+$/.test(req.params.id)) {
+    return res.status(400).json({ error: 'ID de usuario inválido' });
+  }
+
+  if (String(req.usuario.id) === req.params.id) return next();
+
+  try {
+    if (await esAdmin(req.usuario.id)) return next();
+
+    return res.status(403).json({ error: 'No tienes permiso sobre esta cuenta' });
+  } catch (err) {
+    console.error('Error verificando permisos:', err);
+    return res.status(500).json({ error: 'Error verificando permisos' });
+  }
+}
+
+/**
+ * Consulta el rol en la BD (el token solo lleva el ID, así un cambio de rol aplica al momento)
+ * @param {number} usuarioId - ID del usuario autenticado
+ */
+async function esAdmin(usuarioId) {
+  const result = await pool.query('SELECT role FROM usuarios WHERE id = $1', [usuarioId]);
+  return result.rows.length > 0 && result.rows[0].role === ROL_ADMIN;
+}
+
+/**
+ * Solo deja pasar al rol admin
+ * Debe usarse después de verificarToken
+ */
+async function verificarAdmin(req, res, next) {
+  try {
+    if (await esAdmin(req.usuario.id)) return next();
+
+    return res.status(403).json({ error: 'Solo disponible para administradores' });
+  } catch (err) {
+    console.error('Error verificando permisos:', err);
+    return res.status(500).json({ error: 'Error verificando permisos' });
+  }
+}
+
+/**
+ * Comprueba que el usuario autenticado pertenece a la liga :id y la deja en req.liga
+ * Debe usarse después de verificarToken
+ */
+async function verificarMiembroLiga(req, res, next) {
+  if (!/^\d+$/.test(req.params.id)) {
+    return res.status(400).json({ error: 'ID de liga inválido' });
+  }
+
+  try {
+    const [liga] = await consultarLigas(pool, req.usuario.id, parseInt(req.params.id));
+
+    if (!liga) return res.status(404).json({ error: 'No perteneces a esta liga' });
+
+    req.liga = liga;
+    next();
+  } catch (err) {
+    console.error('Error verificando liga:', err);
+    return res.status(500).json({ error: 'Error verificando liga' });
+  }
+}
+
+// =============================
+// HELPERS DE VERIFICACIÓN DE EMAIL
+// =============================
+
+/**
+ * Invalida los enlaces de verificación previos, crea uno nuevo y lo envía por correo
+ * @param {object} db - Pool o cliente de PostgreSQL
+ * @param {{id: number, nombre: string, email: string}} usuario - Destinatario
+ */
+async function enviarVerificacion(db, usuario) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await db.query(
+    'UPDATE verificaciones_email SET usado_at = NOW() WHERE usuario_id = $1 AND usado_at IS NULL',
+    [usuario.id]
+  );
+  await db.query(
+    `INSERT INTO verificaciones_email (usuario_id, token_hash, expires_at)
+     VALUES ($1, $2, NOW() + make_interval(hours => $3))`,
+    [usuario.id, hashToken(token), VERIFICACION_HORAS]
+  );
+
+  const enlace = `${FRONTEND_URL}/?verify=${token}`;
+  await enviarCorreo({
+    para: usuario.email,
+    asunto: 'Confirma tu correo en EcoGuide',
+    texto: `Hola ${usuario.nombre},\n\n` +
+      `Confirma tu correo para aparecer en el ranking y sumar puntos (enlace válido ${VERIFICACION_HORAS} horas):\n${enlace}\n\n` +
+      'Si no creaste esta cuenta, ignora este correo.'
+  });
+}
+
+/**
+ * Middleware: solo deja pasar a cuentas con el email verificado
+ * Debe usarse después de verificarPropietario (usa req.params.id)
+ */
+async function verificarEmailConfirmado(req, res, next) {
+  try {
+    const result = await pool.query('SELECT verificado FROM usuarios WHERE id = $1', [req.params.id]);
+
+    if (result.rows.length === 0)
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+
+    if (!result.rows[0].verificado)
+      return res.status(403).json({ error: 'Verifica tu email para sumar puntos', code: 'EMAIL_NO_VERIFICADO' });
+
+    next();
+  } catch (err) {
+    console.error('Error comprobando verificación:', err);
+    res.status(500).json({ error: 'Error comprobando verificación' });
+  }
+}
+
+// =============================
+// HELPERS DE IMÁGENES
+// =============================
+
+/**
+ * Valida una imagen en data URL y la guarda como WebP en uploads/<carpeta>
+ * @param {string} dataUrl - Imagen en formato data:image/...;base64,...
+ * @param {object} opciones
+ * @param {string} opciones.carpeta - Subcarpeta de UPLOADS_DIR
+ * @param {string|number} opciones.prefijo - Prefijo del nombre del archivo
+ * @param {object} opciones.resize - Opciones de sharp.resize (ej. { width, height, fit })
+ * @returns {Promise<{ruta?: string, error?: string}>} Ruta pública o mensaje de error
+ */
+async function guardarImagen(dataUrl, { carpeta, prefijo, resize }) {
+  const match = /^data:(image\/[a-z+]+);base64,(.+)$/.exec(dataUrl || '');
+
+  if (!match || !AVATAR_TIPOS.includes(match[1]))
+    return { error: 'Formato de imagen no soportado (PNG, JPEG, WebP o GIF)' };
+
+  const buffer = Buffer.from(match[2], 'base64');
+
+  if (buffer.length > AVATAR_MAX_BYTES)
+    return { error: 'La imagen supera el tamaño máximo de 2 MB' };
+
+  let imagen;
+  try {
+    imagen = await sharp(buffer)
+      .rotate()
+      .resize(resize)
+      .webp({ quality: 85 })
+      .toBuffer();
+  } catch (err) {
+    return { error: 'El archivo no es una imagen válida' };
+  }
+
+  const archivo = `${prefijo}-${crypto.randomBytes(8).toString('hex')}.webp`;
+  await fs.promises.mkdir(path.join(UPLOADS_DIR, carpeta), { recursive: true });
+  await fs.promises.writeFile(path.join(UPLOADS_DIR, carpeta, archivo), imagen);
+
+  return { ruta: `/uploads/${carpeta}/${archivo}` };
+}
+
+/**
+ * Borra del disco una imagen guardada por guardarImagen en esa carpeta (ignora otras rutas)
+ * @param {string} ruta - Ruta pública de la imagen
+ * @param {string} carpeta - Subcarpeta de UPLOADS_DIR
+ */
+function borrarImagen(ruta, carpeta) {
+  if (!ruta || !ruta.startsWith(`/uploads/${carpeta}/`)) return;
+  fs.promises.unlink(path.join(UPLOADS_DIR, carpeta, path.basename(ruta)))
+    .catch(err => console.error('Error borrando imagen:', err));
+}
+
+/**
+ * URL absoluta para las imágenes servidas por este servidor (/uploads/...);
+ * el resto de rutas (ej. /assets del frontend) se devuelven tal cual
+ * @param {object} req - Petición (para construir la URL)
+ * @param {string} ruta - Ruta guardada en la BD
+ */
+function urlPublica(req, ruta) {
+  return ruta && ruta.startsWith('/uploads/') ? `${req.protocol}://${req.get('host')}${ruta}` : ruta;
+}
+
+// =============================
+// HELPERS DE PERFIL
+// =============================
+
+/**
+ * Valida un avatar en data URL, lo recorta a AVATAR_LADO px y lo guarda como WebP
+ * @param {number} usuarioId - ID del usuario (prefijo del archivo)
+ * @param {string} dataUrl - Imagen en formato data:image/...;base64,...
+ */
+const guardarAvatar = (usuarioId, dataUrl) => guardarImagen(dataUrl, {
+  carpeta: 'avatars',
+  prefijo: usuarioId,
+  resize: { width: AVATAR_LADO, height: AVATAR_LADO, fit: 'cover' }
+});
+
+const borrarAvatar = (ruta) => borrarImagen(ruta, 'avatars');
+
+/**
+ * Da formato de respuesta a una fila de usuarios: números parseados
+ * y avatar como URL absoluta del servidor
+ * @param {object} req - Petición (para construir la URL del avatar)
+ * @param {object} usuario - Fila de la tabla usuarios (sin password)
+ */
+function formatearPerfil(req, usuario) {
+  return {
+    ...usuario,
+    puntos: parseInt(usuario.puntos) || 0,
+    co2_evitado: parseFloat(usuario.co2_evitado) || 0,
+    avatar: urlPublica(req, usuario.avatar) || null
+  };
+}
+
+// =============================
+// HELPERS DE RESIDUOS
+// =============================
+
+/**
+ * Da formato de respuesta a una fila de residuos: números parseados e imagen con URL absoluta
+ * @param {object} req - Petición (para construir la URL de la imagen)
+ * @param {object} residuo - Fila de la tabla residuos
+ */
+function formatearResiduo(req, residuo) {
+  const formateado = { ...residuo, imagen_url: urlPublica(req, residuo.imagen_url) };
+  if (residuo.co2_kg !== undefined) formateado.co2_kg = parseFloat(residuo.co2_kg) || 0;
+  return formateado;
+}
+
+/**
+ * Valores de los campos editables presentes en el body, listos para la BD
+ * (textos recortados; vacío = NULL, que en dificultad y co2_kg deja el valor por defecto)
+ * @returns {Array<[string, *]>} Pares [columna, valor]
+ */
+function leerCamposResiduo(body) {
+  return CAMPOS_RESIDUO
+    .filter(campo => body[campo] !== undefined)
+    .map(campo => {
+      const valor = body[campo] === null ? '' : String(body[campo]).trim();
+      if (campo === 'dificultad' || campo === 'co2_kg') return [campo, valor === '' ? null : Number(valor)];
+      return [campo, valor === '' ? null : valor];
+    });
+}
+
+/**
+ * Columnas y parámetros para INSERT/UPDATE: un NULL en dificultad o co2_kg
+ * se escribe como DEFAULT para no romper su NOT NULL
+ * @param {Array<[string, *]>} campos - Resultado de leerCamposResiduo
+ * @param {Array} valores - Parámetros de la consulta (se amplía)
+ * @returns {Array<{columna: string, valor: string}>} valor es '$n' o 'DEFAULT'
+ */
+function parametrosResiduo(campos, valores) {
+  return campos.map(([columna, valor]) => {
+    if (valor === null && (columna === 'dificultad' || columna === 'co2_kg')) return { columna, valor: 'DEFAULT' };
+    valores.push(valor);
+    return { columna, valor: `$${valores.length}` };
+  });
+}
+
+/**
+ * Comprueba que :id es un ID de residuo numérico
+ */
+function validarIdResiduo(req, res, next) {
+  if (!/^\d+$/.test(req.params.id)) return res.status(400).json({ error: 'ID de residuo inválido' });
+  next();
+}
+
+/**
+ * Comprueba que `tipo` (si se envía) es un contenedor del esquema por defecto,
+ * que es el que guarda residuos.tipo
+ */
+async function validarTipoResiduo(req, res, next) {
+  if (req.body.tipo === undefined) return next();
+
+  const contenedores = await contenedoresDe(pool);
+  if (!contenedores.some(contenedor => contenedor.codigo === req.body.tipo))
+    return responderErrores(res, { tipo: mensaje('tipoContenedor', idiomaDe(req)) });
+
+  next();
+}
+
+/**
+ * Filtros de las rutas de analítica (?desde, ?hasta, ?esquema); los deja en req.filtros
+ */
+function validarFiltrosAnalitica(req, res, next) {
+  const { desde, hasta, esquema } = req.query;
+
+  if (!esFechaValida(desde) || !esFechaValida(hasta))
+    return res.status(400).json({ error: 'Las fechas deben tener el formato AAAA-MM-DD' });
+
+  if (esquema !== undefined && typeof esquema !== 'string')
+    return res.status(400).json({ error: 'Esquema inválido' });
+
+  req.filtros = { desde, hasta, esquema };
+  next();
+}
+
+const guardarImagenResiduo = (dataUrl) => guardarImagen(dataUrl, {
+  carpeta: 'residuos',
+  prefijo: 'residuo',
+  resize: {
+    width: RESIDUO_IMAGEN_LADO,
+    height: RESIDUO_IMAGEN_LADO,
+    fit: 'contain',
+    background: { r: 0, g: 0, b: 0, alpha: 0 }
+  }
 });
 
-pool.query('SELECT NOW()', (err) => {
-  if (err) console.error("❌ Error conectando a PostgreSQL:", err.stack);
-  else console.log("✅ PostgreSQL conectado");
+const borrarImagenResiduo = (ruta) => borrarImagen(ruta, 'residuos');
+
+// =============================
+// HELPERS DE PARTIDA
+// =============================
+
+/**
+ * Subconsulta con el día de hoy en la zona horaria del usuario
+ * @param {string} parametro - Parámetro SQL con el ID del usuario (ej. '$1')
+ */
+const hoyDelUsuario = (parametro) => `(SELECT ${HOY_LOCAL} FROM usuarios u WHERE u.id = ${parametro})`;
+
+/**
+ * Cuenta las clasificaciones registradas hoy (en su zona horaria) por un usuario
+ * @param {object} db - Pool o cliente de PostgreSQL (para usarlo dentro de transacciones)
+ * @param {number} usuarioId - ID del usuario
+ */
+async function contarClasificacionesHoy(db, usuarioId) {
+  const result = await db.query(
+    `SELECT COUNT(*) FROM historial h JOIN usuarios u ON u.id = h.usuario_id
+     WHERE h.usuario_id = $1 AND ${diaLocal('h.fecha')} = ${HOY_LOCAL}`,
+    [usuarioId]
+  );
+  return parseInt(result.rows[0].count) || 0;
+}
+
+// =============================
+// HELPERS DE CONSULTA
+// =============================
+
+/**
+ * Lee ?pagina y ?limite de la query string (pagina empieza en 1)
+ * @param {object} query - req.query
+ * @param {{porDefecto: number, maximo: number}} opciones - Límite por defecto y máximo permitido
+ * @returns {{pagina: number, limite: number, offset: number}}
+ */
+function leerPaginacion(query, { porDefecto = 20, maximo = 100 } = {}) {
+  const pagina = Math.max(1, parseInt(query.pagina) || 1);
+  const limite = Math.min(maximo, Math.max(1, parseInt(query.limite) || porDefecto));
+  return { pagina, limite, offset: (pagina - 1) * limite };
+}
+
+/**
+ * Forma en que se guardan y se buscan los emails (sin espacios y en minúsculas),
+ * para que 'Ana@X.com' y 'ana@x.com' sean la misma cuenta
+ */
+function normalizarEmail(email) {
+  return String(email).trim().toLowerCase();
+}
+
+/**
+ * Comprueba un ID de la URL o del body (número o texto de dígitos) que cabe en INTEGER
+ */
+function esIdValido(valor) {
+  if (typeof valor !== 'number' && typeof valor !== 'string') return false;
+  return /^\d+$/.test(String(valor)) && Number(valor) > 0 && Number(valor) <= 2147483647;
+}
+
+/**
+ * Comprueba una fecha AAAA-MM-DD de la query string
+ * @returns {boolean} true si falta (filtro opcional) o es una fecha válida
+ */
+function esFechaValida(valor) {
+  if (valor === undefined) return true;
+  return /^\d{4}-\d{2}-\d{2}$/.test(valor) && !isNaN(new Date(valor).getTime());
+}
+
+// =============================
+// HELPERS DE RANKING
+// =============================
+
+/**
+ * Lee ?periodo, ?buscar, ?pagina y ?limite de las rutas de ranking
+ * @returns {object|null} Opciones para consultarRanking, o null si el periodo no existe
+ */
+function leerConsultaRanking(query) {
+  const periodo = query.periodo || 'total';
+  if (!Object.keys(PERIODOS_RANKING).includes(periodo)) return null;
+
+  const { pagina, limite, offset } = leerPaginacion(query, {
+    porDefecto: RANKING_POR_PAGINA,
+    maximo: RANKING_MAX_POR_PAGINA
+  });
+  const buscar = typeof query.buscar === 'string' ? query.buscar.trim() : '';
+
+  return { periodo, buscar, pagina, limite, offset };
+}
+
+/**
+ * Respuesta común de las rutas de ranking (global y de liga)
+ */
+async function responderRanking(res, consulta, opciones) {
+  const { lideres, yo, total } = await consultarRanking(pool, { ...consulta, ...opciones });
+  res.json({
+    success: true,
+    periodo: consulta.periodo,
+    lideres,
+    yo,
+    pagina: consulta.pagina,
+    limite: consulta.limite,
+    total,
+    hay_mas: consulta.offset + lideres.length < total
+  });
+}
+
+// =============================
+// HELPERS DE LIGAS
+// =============================
+
+// Códigos de invitación sin caracteres ambiguos (0/O, 1/I/L)
+const CODIGO_LIGA_ALFABETO = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODIGO_LIGA_LARGO = 8;
+
+const generarCodigoLiga = () => {
+  const bytes = crypto.randomBytes(CODIGO_LIGA_LARGO);
+  return Array.from(bytes, (b) => CODIGO_LIGA_ALFABETO[b % CODIGO_LIGA_ALFABETO.length]).join('');
+};
+
+/**
+ * Ligas de un usuario con su número de miembros
+ * @param {object} db - Pool o cliente de PostgreSQL
+ * @param {number} usuarioId - ID del usuario
+ * @param {number} ligaId - Limita el resultado a esa liga (opcional)
+ */
+async function consultarLigas(db, usuarioId, ligaId) {
+  const result = await db.query(
+    `SELECT l.id, l.nombre, l.codigo, l.created_at,
+            l.creador_id = $1 AS es_creador,
+            (SELECT COUNT(*) FROM liga_miembros m WHERE m.liga_id = l.id)::int AS miembros
+     FROM ligas l
+     JOIN liga_miembros lm ON lm.liga_id = l.id AND lm.usuario_id = $1
+     WHERE $2::int IS NULL OR l.id = $2
+     ORDER BY l.nombre, l.id`,
+    [usuarioId, ligaId || null]
+  );
+  return result.rows;
+}
+
+// =============================
+// RUTAS
+// =============================
+
+// RUTA 1: Obtener residuos (modo práctica)
+// Siempre al azar con todos los contenedores, también con sesión: el repaso espaciado
+// elige lo que se reparte en /partidas y aquí se envía `tipo`, así que no se usa.
+// `tipo` es el contenedor en el esquema de ?esquema=, el del usuario o el por defecto
+app.get('/api/residuos', identificarUsuario, async (req, res) => {
+  try {
+    const usuarioId = req.usuario ? req.usuario.id : null;
+    const esquema = await resolverEsquema(pool, { codigo: req.query.esquema, usuarioId });
+    const ids = await elegirResiduos(pool, null, LIMITE_DIARIO, esquema);
+    const result = await pool.query(
+      `SELECT r.id, r.nombre, ce.codigo AS tipo, r.pista, r.consejo, r.icono, r.imagen_url,
+              r.dificultad, r.co2_kg, r.co2_fuente, r.co2_notas
+       FROM residuos r ${joinContenedor('$2')}
+       WHERE r.id = ANY($1::int[]) ORDER BY array_position($1::int[], r.id)`,
+      [ids, esquema]
+    );
+    res.json(result.rows.map(residuo => formatearResiduo(req, residuo)));
+  } catch (err) {
+    res.status(500).json({ error: "Error al cargar residuos" });
+  }
+});
+
+// RUTA 2: Registro
+app.post('/api/auth/register', validarBody('registro'), async (req, res) => {
+  const nombre = req.body.nombre.trim();
+  const email = normalizarEmail(req.body.email);
+  const { password } = req.body;
+
+  try {
+    // Encriptar contraseña con bcrypt (10 rondas)
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    const result = await pool.query(
+      'INSERT INTO usuarios (nombre, email, password, puntos, co2_evitado) VALUES ($1,$2,$3,0,0) RETURNING id, nombre, email, verificado',
+      [nombre, email, hashedPassword]
+    );
+
+    // Si el correo falla la cuenta queda creada; se puede reenviar la verificación
+    await enviarVerificacion(pool, result.rows[0])
+      .catch(err => console.error('Error enviando verificación:', err));
+
+    res.status(201).json(result.rows[0]);
+
+  } catch (err) {
+    console.error('Error en registro:', err);
+    
+    // Error de email duplicado (constraint UNIQUE)
+    if (err.code === '23505') {
+      return responderErrores(res, { email: mensaje('emailRegistrado', idiomaDe(req)) });
+    }
+    
+    res.status(500).json({ 
+      success: false,
+      error: "Error al registrar usuario" 
+    });
+  }
+});
+
+// RUTA 3: Login
+app.post('/api/auth/login', validarBody('login'), async (req, res) => {
+  const email = normalizarEmail(req.body.email);
+  const { password } = req.body;
+
+  try {
+    // Límites por IP y por cuenta (exista o no), antes de tocar la BD
+    const porIp = await limitadorLoginIp.consumir(req.ip);
+    if (!porIp.permitido) return responderDemasiadosIntentos(res, porIp.retryAfter);
+
+    const porCuenta = await limitadorLoginCuenta.consumir(email);
+    if (!porCuenta.permitido) return responderDemasiadosIntentos(res, porCuenta.retryAfter);
+
+    const user = await pool.query(
+      `SELECT *, CEIL(EXTRACT(EPOCH FROM (bloqueado_hasta - NOW())))::int AS bloqueo_restante
+       FROM usuarios WHERE email = $1`,
+      [email]
+    );
+
+    // Mismo mensaje (y mismo coste de bcrypt) exista o no el email
+    if (user.rows.length === 0) {
+      await bcrypt.compare(password, HASH_RELLENO);
+      return res.status(401).json({ error: LOGIN_ERROR_GENERICO });
+    }
+
+    // Cuenta bloqueada por fallos anteriores: ni se comprueba la contraseña
+    if (user.rows[0].bloqueo_restante > 0)
+      return responderDemasiadosIntentos(res, user.rows[0].bloqueo_restante);
+
+    // Validar contraseña con bcrypt
+    const validPassword = await bcrypt.compare(password, user.rows[0].password);
+
+    if (!validPassword) {
+      const bloqueo = await registrarFalloLogin(user.rows[0].id);
+      if (bloqueo > 0) return responderDemasiadosIntentos(res, bloqueo);
+      return res.status(401).json({ error: LOGIN_ERROR_GENERICO });
+    }
+
+    // Login correcto: se olvidan los fallos acumulados
+    await pool.query(
+      'UPDATE usuarios SET intentos_fallidos = 0, bloqueado_hasta = NULL WHERE id = $1',
+      [user.rows[0].id]
+    );
+    await limitadorLoginCuenta.reiniciar(email);
+
+    const { token, refreshToken } = await crearSesion(pool, user.rows[0].id, req.get('user-agent'));
+
+    res.json({
+      token,
+      refreshToken,
+      user: {
+        id: user.rows[0].id,
+        nombre: user.rows[0].nombre,
+        puntos: user.rows[0].puntos,
+        co2_evitado: user.rows[0].co2_evitado,
+        verificado: user.rows[0].verificado,
+        role: user.rows[0].role,
+        zona_horaria: user.rows[0].zona_horaria,
+        esquema: user.rows[0].esquema
+      }
+    });
+
+  } catch (err) {
+    console.error('Error en login:', err);
+    res.status(500).json({ 
+      success: false,
+      error: "Error en el servidor" 
+    });
+  }
+});
+
+// RUTA 4: Perfil de la sesión actual
+// Permite al frontend reconstruir el usuario cuando solo tiene el token
+app.get('/api/auth/me', verificarToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${COLUMNAS_PERFIL} FROM usuarios WHERE id = $1`,
+      [req.usuario.id]
+    );
+
+    // El token es válido pero la cuenta ya no existe: la sesión no sirve
+    if (result.rows.length === 0)
+      return res.status(401).json({ error: 'Sesión expirada' });
+
+    res.json({ success: true, user: formatearPerfil(req, result.rows[0]) });
+
+  } catch (err) {
+    console.error('Error cargando perfil:', err);
+    res.status(500).json({ error: 'Error cargando perfil' });
+  }
+});
+
+// RUTA 5: Renovar tokens
+// Rota el refresh token: el usado queda revocado y se emite uno nuevo.
+// Reutilizar un token ya revocado indica robo y revoca todas las sesiones.
+app.post('/api/auth/refresh', async (req, res) => {
+  // Sin body JSON, req.body es undefined
+  const { refreshToken } = req.body || {};
+
+  if (typeof refreshToken !== 'string' || !refreshToken)
+    return res.status(400).json({ error: 'refreshToken es obligatorio' });
+
+  let client;
+
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `SELECT id, usuario_id, revocada_at, expires_at < NOW() AS expirada
+       FROM sesiones WHERE token_hash = $1 FOR UPDATE`,
+      [hashToken(refreshToken)]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ error: 'Sesión inválida' });
+    }
+
+    const sesion = result.rows[0];
+
+    if (sesion.revocada_at) {
+      await client.query(
+        'UPDATE sesiones SET revocada_at = NOW() WHERE usuario_id = $1 AND revocada_at IS NULL',
+        [sesion.usuario_id]
+      );
+      await client.query('COMMIT');
+      return res.status(401).json({ error: 'Sesión revocada' });
+    }
+
+    if (sesion.expirada) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ error: 'Sesión expirada' });
+    }
+
+    const nueva = await crearSesion(client, sesion.usuario_id, req.get('user-agent'));
+
+    await client.query(
+      'UPDATE sesiones SET revocada_at = NOW(), reemplazada_por = $1 WHERE id = $2',
+      [nueva.sesionId, sesion.id]
+    );
+
+    await client.query('COMMIT');
+
+    res.json({ success: true, token: nueva.token, refreshToken: nueva.refreshToken });
+
+  } catch (err) {
+    if (client) await client.query('ROLLBACK').catch(() => {});
+    console.error('Error renovando sesión:', err);
+    res.status(500).json({ error: 'Error renovando sesión' });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// RUTA 6: Cerrar sesión
+// No exige token de acceso para poder cerrar sesiones con el acceso ya caducado
+app.post('/api/auth/logout', async (req, res) => {
+  // Sin body JSON, req.body es undefined
+  const { refreshToken } = req.body || {};
+
+  if (typeof refreshToken !== 'string' || !refreshToken)
+    return res.status(400).json({ error: 'refreshToken es obligatorio' });
+
+  try {
+    await pool.query(
+      'UPDATE sesiones SET revocada_at = NOW() WHERE token_hash = $1 AND revocada_at IS NULL',
+      [hashToken(refreshToken)]
+    );
+
+    res.json({ success: true });
+
+  } catch (err) {
+    console.error('Error cerrando sesión:', err);
+    res.status(500).json({ error: 'Error cerrando sesión' });
+  }
+});
+
+// RUTA 7: Cerrar sesión en todos los dispositivos
+app.post('/api/auth/logout-all', verificarToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'UPDATE sesiones SET revocada_at = NOW() WHERE usuario_id = $1 AND revocada_at IS NULL',
+      [req.usuario.id]
+    );
+
+    res.json({ success: true, sesiones_cerradas: result.rowCount });
+
+  } catch (err) {
+    console.error('Error cerrando sesiones:', err);
+    res.status(500).json({ error: 'Error cerrando sesiones' });
+  }
+});
+
+// RUTA 8: Solicitar recuperación de contraseña
+// Responde siempre lo mismo para no revelar qué emails están registrados
+app.post('/api/auth/forgot', validarBody('recuperar'), async (req, res) => {
+  const { email } = req.body;
+  const respuesta = {
+    success: true,
+    mensaje: 'Si el correo está registrado, recibirás un enlace para restablecer tu contraseña'
+  };
+
+  try {
+    const user = await pool.query('SELECT id, nombre, email FROM usuarios WHERE email = $1', [normalizarEmail(email)]);
+
+    if (user.rows.length === 0) return res.json(respuesta);
+
+    const usuario = user.rows[0];
+    const token = crypto.randomBytes(32).toString('hex');
+
+    // Solo el último enlace solicitado es válido
+    await pool.query(
+      'UPDATE password_resets SET usado_at = NOW() WHERE usuario_id = $1 AND usado_at IS NULL',
+      [usuario.id]
+    );
+    await pool.query(
+      `INSERT INTO password_resets (usuario_id, token_hash, expires_at)
+       VALUES ($1, $2, NOW() + make_interval(mins => $3))`,
+      [usuario.id, hashToken(token), RESET_TOKEN_MINUTOS]
+    );
+
+    const enlace = `${FRONTEND_URL}/?reset=${token}`;
+    await enviarCorreo({
+      para: usuario.email,
+      asunto: 'Restablece tu contraseña de EcoGuide',
+      texto: `Hola ${usuario.nombre},\n\n` +
+        `Para restablecer tu contraseña abre este enlace (válido ${RESET_TOKEN_MINUTOS} minutos):\n${enlace}\n\n` +
+        'Si no lo solicitaste, ignora este correo.'
+    });
+
+    res.json(respuesta);
+
+  } catch (err) {
+    console.error('Error en recuperación de contraseña:', err);
+    res.status(500).json({ error: 'Error al solicitar la recuperación' });
+  }
+});
+
+// RUTA 9: Restablecer contraseña con el enlace de un solo uso
+// confirmPassword solo se comprueba en el formulario
+app.post('/api/auth/reset', validarBody('restablecer', { campos: ['token', 'password'] }), async (req, res) => {
+  const { token, password } = req.body;
+
+  let client;
+
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const reset = await client.query(
+      `SELECT id, usuario_id FROM password_resets
+       WHERE token_hash = $1 AND usado_at IS NULL AND expires_at > NOW()
+       FOR UPDATE`,
+      [hashToken(token)]
+    );
+
+    if (reset.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'El enlace no es válido o ha caducado' });
+    }
+
+    const { id, usuario_id } = reset.rows[0];
+    const hashedPassword = await bcrypt.hash(String(password), 10);
+
+    // La nueva contraseña también desbloquea la cuenta
+    await client.query(
+      'UPDATE usuarios SET password = $1, intentos_fallidos = 0, bloqueado_hasta = NULL WHERE id = $2',
+      [hashedPassword, usuario_id]
+    );
+    await client.query('UPDATE password_resets SET usado_at = NOW() WHERE id = $1', [id]);
+    // La contraseña anterior pudo estar comprometida: se cierran todas las sesiones
+    await client.query(
+      'UPDATE sesiones SET revocada_at = NOW() WHERE usuario_id = $1 AND revocada_at IS NULL',
+      [usuario_id]
+    );
+
+    await client.query('COMMIT');
+
+    res.json({ success: true, mensaje: 'Contraseña actualizada. Ya puedes iniciar sesión' });
+
+  } catch (err) {
+    if (client) await client.query('ROLLBACK').catch(() => {});
+    console.error('Error restableciendo contraseña:', err);
+    res.status(500).json({ error: 'Error al restablecer la contraseña' });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// RUTA 10: Verificar email con el enlace enviado al registrarse
+app.get('/api/auth/verify/:token', async (req, res) => {
+  let client;
+
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const verificacion = await client.query(
+      `SELECT id, usuario_id FROM verificaciones_email
+       WHERE token_hash = $1 AND usado_at IS NULL AND expires_at > NOW()
+       FOR UPDATE`,
+      [hashToken(req.params.token)]
+    );
+
+    if (verificacion.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'El enlace de verificación no es válido o ha caducado' });
+    }
+
+    const { id, usuario_id } = verificacion.rows[0];
+
+    await client.query('UPDATE usuarios SET verificado = TRUE WHERE id = $1', [usuario_id]);
+    await client.query('UPDATE verificaciones_email SET usado_at = NOW() WHERE id = $1', [id]);
+
+    await client.query('COMMIT');
+
+    res.json({ success: true, mensaje: '¡Correo verificado! Ya puedes sumar puntos y aparecer en el ranking' });
+
+  } catch (err) {
+    if (client) await client.query('ROLLBACK').catch(() => {});
+    console.error('Error verificando email:', err);
+    res.status(500).json({ error: 'Error al verificar el email' });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// RUTA 11: Reenviar correo de verificación
+// Igual que /forgot, la respuesta no revela si el email existe
+app.post('/api/auth/verify/resend', validarBody('recuperar'), async (req, res) => {
+  const { email } = req.body;
+  const respuesta = {
+    success: true,
+    mensaje: 'Si la cuenta existe y no está verificada, te enviamos un nuevo enlace'
+  };
+
+  try {
+    const user = await pool.query(
+      'SELECT id, nombre, email FROM usuarios WHERE email = $1 AND NOT verificado',
+      [normalizarEmail(email)]
+    );
+
+    if (user.rows.length > 0) await enviarVerificacion(pool, user.rows[0]);
+
+    res.json(respuesta);
+
+  } catch (err) {
+    console.error('Error reenviando verificación:', err);
+    res.status(500).json({ error: 'Error al reenviar la verificación' });
+  }
+});
+
+// RUTA 12: Stats hoy
+app.get('/api/usuarios/:id/stats-hoy', verificarToken, verificarPropietario, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const stats = await pool.query(
+      `SELECT 
+        (SELECT puntos FROM usuarios WHERE id = $1) as puntos_totales,
+        (SELECT co2_evitado FROM usuarios WHERE id = $1) as co2_total`,
+      [id]
+    );
+    const countHoy = await contarClasificacionesHoy(pool, id);
+    // Solo lectura: las congelaciones se gastan al completar el cupo en /progreso
+    const racha = await consultarRacha(pool, id, { limiteDiario: LIMITE_DIARIO });
+
+    res.json({
+      success: true,
+      puntos_totales: parseInt(stats.rows[0].puntos_totales) || 0,
+      co2_total: parseFloat(stats.rows[0].co2_total) || 0,
+      count_hoy: countHoy,
+      limite_diario: LIMITE_DIARIO,
+      restantes: Math.max(0, LIMITE_DIARIO - countHoy),
+      racha
+    });
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// RUTA 13: Historial personal
+// Paginado (?pagina, ?limite) y con filtros opcionales:
+// ?desde / ?hasta (AAAA-MM-DD, ambos incluidos) y ?resultado=acierto|fallo
+app.get('/api/usuarios/:id/historial', verificarToken, verificarPropietario, async (req, res) => {
+  const { id } = req.params;
+  const { desde, hasta, resultado } = req.query;
+  const { pagina, limite, offset } = leerPaginacion(req.query);
+
+  if (!esFechaValida(desde) || !esFechaValida(hasta))
+    return res.status(400).json({ error: 'Las fechas deben tener el formato AAAA-MM-DD' });
+
+  if (resultado !== undefined && resultado !== 'acierto' && resultado !== 'fallo')
+    return res.status(400).json({ error: 'El resultado debe ser "acierto" o "fallo"' });
+
+  // Filtros construidos con parámetros numerados ($2, $3...)
+  const condiciones = ['h.usuario_id = $1'];
+  const valores = [id];
+  if (desde) {
+    valores.push(desde);
+    condiciones.push(`${diaLocal('h.fecha')} >= $${valores.length}::date`);
+  }
+  if (hasta) {
+    valores.push(hasta);
+    condiciones.push(`${diaLocal('h.fecha')} <= $${valores.length}::date`);
+  }
+  if (resultado) condiciones.push(resultado === 'acierto' ? 'h.acierto' : 'NOT h.acierto');
+  const where = condiciones.join(' AND ');
+
+  try {
+    // usuarios (u) aporta la zona horaria para filtrar por días locales
+    const total = await pool.query(
+      `SELECT COUNT(*) FROM historial h JOIN usuarios u ON u.id = h.usuario_id WHERE ${where}`,
+      valores
+    );
+
+    const result = await pool.query(
+      `SELECT h.id, r.nombre AS objeto, r.icono, r.imagen_url, h.acierto, h.fecha
+       FROM historial h
+       JOIN residuos r ON r.id = h.residuo_id
+       JOIN usuarios u ON u.id = h.usuario_id
+       WHERE ${where}
+       ORDER BY h.fecha DESC, h.id DESC
+       LIMIT $${valores.length + 1} OFFSET $${valores.length + 2}`,
+      [...valores, limite, offset]
+    );
+
+    const totalItems = parseInt(total.rows[0].count) || 0;
+
+    res.json({
+      success: true,
+      items: result.rows.map(item => ({ ...item, imagen_url: urlPublica(req, item.imagen_url) })),
+      pagina,
+      limite,
+      total: totalItems,
+      hay_mas: offset + result.rows.length < totalItems
+    });
+
+  } catch (err) {
+    console.error('Error cargando historial:', err);
+    res.status(500).json({ error: 'Error cargando historial' });
+  }
+});
+
+// RUTA 14: Estadísticas de precisión
+// Agregados sobre historial + residuos para el panel de estadísticas.
+// Un acierto es una clasificación resuelta a la primera
+app.get('/api/usuarios/:id/estadisticas', verificarToken, verificarPropietario, async (req, res) => {
+  const { id } = req.params;
+
+  // precision en % con un decimal (null si no hay intentos)
+  const conPrecision = (fila) => {
+    const total = parseInt(fila.total) || 0;
+    const aciertos = parseInt(fila.aciertos) || 0;
+    return {
+      ...fila,
+      total,
+      aciertos,
+      fallos: total - aciertos,
+      precision: total ? Math.round((aciertos / total) * 1000) / 10 : null
+    };
+  };
+
+  try {
+    // Contenedores del esquema actual del usuario; todos los que tienen residuos
+    // aparecen, aunque el usuario aún no haya clasificado ninguno
+    const porTipo = await pool.query(
+      `SELECT ce.codigo AS tipo, ce.nombre, ce.color,
+              COUNT(h.id) AS total, COUNT(h.id) FILTER (WHERE h.acierto) AS aciertos
+       FROM residuos r
+       ${joinContenedor(esquemaDelUsuario('$1'))}
+       LEFT JOIN historial h ON h.residuo_id = r.id AND h.usuario_id = $1
+       GROUP BY ce.codigo, ce.nombre, ce.color, ce.orden
+       ORDER BY ce.orden`,
+      [id]
+    );
+
+    const porResiduo = await pool.query(
+      `SELECT r.id AS residuo_id, r.nombre, r.icono, ce.codigo AS tipo, ce.color,
+              COUNT(h.id) AS total, COUNT(h.id) FILTER (WHERE h.acierto) AS aciertos
+       FROM historial h
+       JOIN residuos r ON r.id = h.residuo_id
+       ${joinContenedor(esquemaDelUsuario('$1'), false)}
+       WHERE h.usuario_id = $1
+       GROUP BY r.id, ce.codigo, ce.color
+       ORDER BY r.nombre`,
+      [id]
+    );
+
+    // Rachas de aciertos seguidos (huecos e islas sobre el orden de inserción)
+    const rachas = await pool.query(
+      `WITH h AS (
+         SELECT acierto,
+                ROW_NUMBER() OVER (ORDER BY id) - ROW_NUMBER() OVER (PARTITION BY acierto ORDER BY id) AS grupo,
+                MAX(id) OVER (PARTITION BY usuario_id) AS ultimo_id,
+                id
+         FROM historial
+         WHERE usuario_id = $1
+       )
+       SELECT COALESCE(MAX(largo), 0) AS mejor,
+              COALESCE(MAX(largo) FILTER (WHERE incluye_ultimo), 0) AS actual
+       FROM (
+         SELECT COUNT(*) AS largo, BOOL_OR(id = ultimo_id) AS incluye_ultimo
+         FROM h
+         WHERE acierto
+         GROUP BY grupo
+       ) islas`,
+      [id]
+    );
+
+    // Últimos 30 días (en la zona horaria del usuario), incluidos los días sin partidas
+    const tendencia = await pool.query(
+      `SELECT TO_CHAR(d, 'YYYY-MM-DD') AS fecha,
+              COUNT(h.id) AS total, COUNT(h.id) FILTER (WHERE h.acierto) AS aciertos
+       FROM usuarios u
+       CROSS JOIN generate_series(${HOY_LOCAL} - 29, ${HOY_LOCAL}, INTERVAL '1 day') d
+       LEFT JOIN historial h ON h.usuario_id = u.id AND ${diaLocal('h.fecha')} = d::date
+       WHERE u.id = $1
+       GROUP BY d
+       ORDER BY d`,
+      [id]
+    );
+
+    const residuos = porResiduo.rows.map(conPrecision);
+    const tipos = porTipo.rows.map(conPrecision);
+    const total = conPrecision({
+      total: tipos.reduce((suma, t) => suma + t.total, 0),
+      aciertos: tipos.reduce((suma, t) => suma + t.aciertos, 0)
+    });
+
+    res.json({
+      success: true,
+      total,
+      por_tipo: tipos,
+      por_residuo: residuos,
+      mas_fallados: residuos
+        .filter(r => r.fallos > 0)
+        .sort((a, b) => b.fallos - a.fallos || a.precision - b.precision || a.nombre.localeCompare(b.nombre))
+        .slice(0, 5),
+      racha: {
+        actual: parseInt(rachas.rows[0].actual) || 0,
+        mejor: parseInt(rachas.rows[0].mejor) || 0
+      },
+      tendencia: tendencia.rows.map(conPrecision)
+    });
+
+  } catch (err) {
+    console.error('Error cargando estadísticas:', err);
+    res.status(500).json({ error: 'Error cargando estadísticas' });
+  }
+});
+
+// RUTA 15: Logros del usuario
+// Catálogo completo con obtenido_at (null = bloqueado)
+app.get('/api/usuarios/:id/logros', verificarToken, verificarPropietario, async (req, res) => {
+  try {
+    res.json({ success: true, logros: await consultarLogros(pool, req.params.id) });
+  } catch (err) {
+    console.error('Error cargando logros:', err);
+    res.status(500).json({ error: 'Error cargando logros' });
+  }
+});
+
+// RUTA 16: Catálogo de logros
+app.get('/api/logros', (req, res) => {
+  res.json({ success: true, logros: LOGROS });
+});
+
+// RUTA 17: Actualizar perfil
+// Actualización parcial: solo se modifican los campos presentes en el body.
+// Cambiar la contraseña exige la contraseña actual.
+async function actualizarPerfil(req, res) {
+  const { id } = req.params;
+  const { nombre, email, avatar_base64, currentPassword, newPassword, zona_horaria, esquema } = req.body;
+
+  const idioma = idiomaDe(req);
+
+  // Solo se validan los campos enviados; la contraseña nueva exige la actual
+  const campos = ['nombre', 'email', 'newPassword', 'zona_horaria', 'esquema'].filter(campo => req.body[campo] !== undefined);
+  if (newPassword !== undefined) campos.push('currentPassword');
+
+  const { valido, errores } = validar('perfil', req.body, { campos, idioma });
+  if (!valido) return responderErrores(res, errores);
+
+  const cambios = [];
+  const valores = [];
+  const cambiar = (columna, valor) => {
+    valores.push(valor);
+    cambios.push(`${columna} = $${valores.length}`);
+  };
+
+  if (nombre !== undefined) cambiar('nombre', String(nombre).trim());
+  if (email !== undefined) cambiar('email', normalizarEmail(email));
+  if (zona_horaria !== undefined) cambiar('zona_horaria', zona_horaria);
+  // null o '' vuelven al esquema de contenedores por defecto
+  if (esquema !== undefined) cambiar('esquema', esquema || null);
+
+  let avatarNuevo = null;
+
+  try {
+    const actual = await pool.query('SELECT email, password, avatar FROM usuarios WHERE id = $1', [id]);
+
+    if (actual.rows.length === 0)
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+
+    // Un email nuevo vuelve a requerir verificación
+    const emailCambiado = email !== undefined && normalizarEmail(email) !== actual.rows[0].email;
+    if (emailCambiado) cambiar('verificado', false);
+
+    if (newPassword !== undefined) {
+      const validPassword = await bcrypt.compare(String(currentPassword), actual.rows[0].password);
+      if (!validPassword)
+        return responderErrores(res, { currentPassword: mensaje('passwordActualIncorrecta', idioma) });
+
+      cambiar('password', await bcrypt.hash(String(newPassword), 10));
+    }
+
+    // null elimina el avatar; una data URL lo reemplaza
+    if (avatar_base64 === null) {
+      cambiar('avatar', null);
+    } else if (avatar_base64 !== undefined) {
+      const avatar = await guardarAvatar(id, avatar_base64);
+      if (avatar.error) return responderErrores(res, { avatar: avatar.error });
+      avatarNuevo = avatar.ruta;
+      cambiar('avatar', avatarNuevo);
+    }
+
+    if (cambios.length === 0)
+      return res.status(400).json({ error: 'No hay cambios para guardar' });
+
+    valores.push(id);
+    const usuario = await pool.query(
+      `UPDATE usuarios SET ${cambios.join(', ')} WHERE id = $${valores.length}
+       RETURNING ${COLUMNAS_PERFIL}`,
+      valores
+    );
+
+    if (avatar_base64 !== undefined) borrarAvatar(actual.rows[0].avatar);
+
+    if (emailCambiado) {
+      await enviarVerificacion(pool, usuario.rows[0])
+        .catch(err => console.error('Error enviando verificación:', err));
+    }
+
+    res.json(formatearPerfil(req, usuario.rows[0]));
+
+  } catch (error) {
+    if (avatarNuevo) borrarAvatar(avatarNuevo);
+
+    if (error.code === '23505')
+      return responderErrores(res, { email: mensaje('emailRegistrado', idioma) });
+
+    // Clave foránea de usuarios.esquema: el esquema no existe
+    if (error.code === '23503')
+      return responderErrores(res, { esquema: mensaje('esquema', idioma) });
+
+    console.error('Error actualizando perfil:', error);
+    res.status(500).json({ error: 'Error actualizando perfil' });
+  }
+}
+
+app.patch('/api/usuarios/:id/perfil', verificarToken, verificarPropietario, actualizarPerfil);
+// PUT se mantiene por compatibilidad con clientes anteriores (misma semántica parcial)
+app.put('/api/usuarios/:id/perfil', verificarToken, verificarPropietario, actualizarPerfil);
+
+// RUTA 18: Eliminar usuario
+app.delete('/api/usuarios/:id', verificarToken, verificarPropietario, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const usuario = await pool.query(
+      'DELETE FROM usuarios WHERE id=$1 RETURNING *',
+      [id]
+    );
+
+    if (usuario.rows.length === 0)
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+
+    borrarAvatar(usuario.rows[0].avatar);
+
+    res.json({ mensaje: 'Usuario eliminado correctamente' });
+
+  } catch (error) {
+    res.status(500).json({ error: 'Error eliminando usuario' });
+  }
+});
+
+// RUTA 19: Iniciar partida
+// Reparte los residuos que le quedan al usuario hoy. Si ya hay una partida
+// abierta con residuos pendientes, se reanuda en lugar de crear otra.
+// La partida guarda el esquema de contenedores con el que se repartió: si el
+// usuario cambia de región, la partida abierta se cierra y se reparte otra.
+app.post('/api/usuarios/:id/partidas', verificarToken, verificarPropietario, verificarEmailConfirmado, async (req, res) => {
+  const { id } = req.params;
+  let client;
+
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    // Serializa las operaciones de partida del mismo usuario
+    await client.query('SELECT pg_advisory_xact_lock($1)', [id]);
+
+    // Las partidas de días anteriores ya no se pueden jugar
+    await client.query(
+      `UPDATE partidas SET cerrada_at = NOW()
+       WHERE usuario_id = $1 AND cerrada_at IS NULL AND fecha < ${hoyDelUsuario('$1')}`,
+      [id]
+    );
+
+    const countHoy = await contarClasificacionesHoy(client, id);
+    const restantes = Math.max(0, LIMITE_DIARIO - countHoy);
+    const esquema = await resolverEsquema(client, { usuarioId: id });
+
+    const abierta = await client.query(
+      `SELECT p.id FROM partidas p
+       WHERE p.usuario_id = $1 AND p.fecha = ${hoyDelUsuario('$1')} AND p.cerrada_at IS NULL
+         AND p.esquema = $2
+         AND EXISTS (SELECT 1 FROM partida_residuos pr WHERE pr.partida_id = p.id AND NOT pr.resuelto)
+       ORDER BY p.created_at DESC LIMIT 1`,
+      [id, esquema]
+    );
+
+    let partidaId;
+    const eventos = [];
+
+    if (abierta.rows.length > 0) {
+      partidaId = abierta.rows[0].id;
+    } else {
+      if (restantes === 0) {
+        await client.query('ROLLBACK');
+        return res.status(403).json({
+          error: 'Límite diario alcanzado',
+          count_hoy: countHoy,
+          limite_diario: LIMITE_DIARIO,
+          restantes
+        });
+      }
+
+      // Cierra partidas de hoy que quedaron abiertas sin residuos pendientes o con otro esquema
+      await client.query(
+        'UPDATE partidas SET cerrada_at = NOW() WHERE usuario_id = $1 AND cerrada_at IS NULL',
+        [id]
+      );
+
+      const partida = await client.query(
+        `INSERT INTO partidas (usuario_id, fecha, esquema) VALUES ($1, ${hoyDelUsuario('$1')}, $2) RETURNING id`,
+        [id, esquema]
+      );
+      partidaId = partida.rows[0].id;
+      eventos.push(await registrarEvento(client, 'partida_iniciada', { usuario_id: id, partida_id: partidaId, esquema }));
+
+      // Repaso espaciado: fallados y pendientes primero, con todos los contenedores
+      const elegidos = await elegirResiduos(client, id, restantes, esquema);
+      await client.query(
+        `INSERT INTO partida_residuos (partida_id, residuo_id, orden)
+         SELECT $1, r.id, r.orden
+         FROM UNNEST($2::int[]) WITH ORDINALITY AS r(id, orden)`,
+        [partidaId, elegidos]
+      );
+    }
+
+    // No se envían tipo, pista ni consejo: el servidor los revela al clasificar
+    const residuos = await client.query(
+      `SELECT r.id, r.nombre, r.icono, r.imagen_url
+       FROM partida_residuos pr JOIN residuos r ON r.id = pr.residuo_id
+       WHERE pr.partida_id = $1 AND NOT pr.resuelto
+       ORDER BY pr.orden`,
+      [partidaId]
+    );
+
+    const contenedores = await contenedoresDe(client, esquema);
+
+    await client.query('COMMIT');
+    publicarEventos(eventos);
+
+    res.json({
+      success: true,
+      partida_id: partidaId,
+      count_hoy: countHoy,
+      limite_diario: LIMITE_DIARIO,
+      restantes,
+      esquema,
+      contenedores,
+      residuos: residuos.rows.map(residuo => formatearResiduo(req, residuo))
+    });
+
+  } catch (err) {
+    if (client) await client.query('ROLLBACK').catch(() => {});
+    console.error('Error al iniciar partida:', err);
+    res.status(500).json({ error: "Error al iniciar partida" });
+  } finally {
+    if (client) client.release();
+  }
 });
 
-// =============================
-// MONGODB CONNECTION
-// =============================
-mongoose.connect(process.env.MONGO_URI)
-  .then(() => console.log("🍃 MongoDB Atlas conectado"))
-  .catch(err => console.error("❌ Error MongoDB:", err));
+// RUTA 20: Progreso
+// El cliente solo envía el intento (partida, residuo y contenedor elegido);
+// el servidor decide si es correcto (con el esquema de contenedores de la partida),
+// si fue a la primera y cuánto se otorga.
+// tiempo_ms (opcional) es lo que tardó desde que apareció el residuo; se guarda en
+// el evento, pero el bonus por rapidez usa el tiempo que mide el servidor desde
+// el aviso de la ruta .../mostrado (o, sin él, desde el intento anterior de la
+// partida o su reparto): tiempo_ms solo puede alargarlo.
+// Cada intento, acertado o no, queda en los eventos de juego (ver eventos.js).
+app.put('/api/usuarios/:id/progreso', verificarToken, verificarPropietario, verificarEmailConfirmado, async (req, res) => {
+  const { id } = req.params;
+  const { partida_id, residuo_id, contenedor, tiempo_ms } = req.body;
 
-// =============================
-// MONGOOSE MODEL
-// =============================
-const LogPartida = mongoose.model('LogPartida', new mongoose.Schema({
-  usuario_id: Number,
-  residuo_id: Number,
-  es_correcto: Boolean,
-  puntos_obtenidos: Number,
-  fecha: { type: Date, default: Date.now }
-}));
+  if (!partida_id || !residuo_id || !contenedor)
+    return res.status(400).json({ error: 'partida_id, residuo_id y contenedor son obligatorios' });
 
-// =============================
-// 🔐 MIDDLEWARE JWT
-// =============================
-function verificarToken(req, res, next) {
-  const authHeader = req.headers['authorization'];
+  if (!esIdValido(partida_id) || !esIdValido(residuo_id))
+    return res.status(400).json({ error: 'partida_id y residuo_id deben ser números enteros' });
 
-  if (!authHeader) {
-    return res.status(401).json({ error: 'Token requerido' });
-  }
+  // Mismo límite que el código de contenedores.codigo
+  if (typeof contenedor !== 'string' || contenedor.length > 20)
+    return res.status(400).json({ error: 'Contenedor inválido' });
+
+  const tiempoMs = tiempo_ms === undefined || tiempo_ms === null ? null : Math.round(Number(tiempo_ms));
+  if (tiempoMs !== null && !(Number.isFinite(tiempoMs) && tiempoMs >= 0 && tiempoMs <= MAX_TIEMPO_MS))
+    return res.status(400).json({ error: 'tiempo_ms debe ser un número de milisegundos' });
+
+  let client;
 
   try {
-    const token = authHeader.split(' ')[1];
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.usuario = decoded;
-    next();
-  } catch (error) {
-    return res.status(403).json({ error: 'Token inválido' });
+    client = await pool.connect();
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock($1)', [id]);
+
+    const jugada = await client.query(
+      `SELECT pr.intentos, pr.resuelto, p.cerrada_at, p.fecha = ${hoyDelUsuario('$2')} AS es_hoy,
+              ce.esquema, ce.codigo AS tipo, r.pista, r.consejo, r.dificultad, r.co2_kg, r.co2_fuente,
+              EXTRACT(EPOCH FROM NOW() - COALESCE(pr.mostrado_at, GREATEST(p.created_at, (
+                SELECT MAX(e.fecha) FROM eventos e WHERE e.partida_id = p.id AND e.tipo = 'intento'
+              )))) * 1000 AS tiempo_medido_ms
+       FROM partidas p
+       JOIN partida_residuos pr ON pr.partida_id = p.id
+       JOIN residuos r ON r.id = pr.residuo_id
+       ${joinContenedor(`COALESCE(p.esquema, ${ESQUEMA_POR_DEFECTO})`)}
+       WHERE p.id = $1 AND p.usuario_id = $2 AND pr.residuo_id = $3`,
+      [partida_id, id, residuo_id]
+    );
+
+    if (jugada.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'El residuo no pertenece a esta partida' });
+    }
+
+    const { intentos, resuelto, cerrada_at, es_hoy, esquema, tipo, pista, consejo, dificultad, co2_kg, co2_fuente, tiempo_medido_ms } = jugada.rows[0];
+
+    if (cerrada_at || !es_hoy) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'La partida ya está cerrada' });
+    }
+
+    if (resuelto) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Este residuo ya fue clasificado' });
+    }
+
+    const countHoy = await contarClasificacionesHoy(client, id);
+    if (countHoy >= LIMITE_DIARIO) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'Límite diario alcanzado' });
+    }
+
+    const intento = {
+      usuario_id: id,
+      partida_id,
+      residuo_id,
+      esquema,
+      contenedor_correcto: tipo,
+      contenedor_elegido: contenedor,
+      correcto: contenedor === tipo,
+      intento: intentos + 1,
+      tiempo_ms: tiempoMs
+    };
+
+    // Contenedor equivocado: se cuenta el intento y se devuelve la pista
+    // junto con la parte de la recompensa que aún se puede conseguir
+    if (!intento.correcto) {
+      await client.query(
+        'UPDATE partida_residuos SET intentos = intentos + 1 WHERE partida_id = $1 AND residuo_id = $2',
+        [partida_id, residuo_id]
+      );
+      const eventos = [await registrarEvento(client, 'intento', intento)];
+      if (pista) eventos.push(await registrarEvento(client, 'pista', { usuario_id: id, partida_id, residuo_id, esquema }));
+      await client.query('COMMIT');
+      publicarEventos(eventos);
+      return res.json({ success: true, correcto: false, pista, fallos: intentos + 1, factor_restante: factorFallos(intentos + 1) });
+    }
+
+    // Cada intento previo fue un contenedor equivocado
+    const fue_acierto = intentos === 0;
+    const { puntos: puntos_obtenidos, co2: co2_obtenido, desglose } =
+      calcularPuntuacion({ dificultad, co2_kg }, {
+        fallos: intentos,
+        tiempoMs: tiempoDeRespuesta(tiempoMs, tiempo_medido_ms === null ? null : Math.max(0, Math.round(parseFloat(tiempo_medido_ms))))
+      });
+
+    // 1. Registrar la clasificación (con lo otorgado, para los rankings por periodo)
+    //    y marcar el residuo como resuelto
+    const evento = await registrarEvento(client, 'intento', { ...intento, puntos: puntos_obtenidos, co2: co2_obtenido });
+
+    await client.query(
+      'UPDATE partida_residuos SET intentos = intentos + 1, resuelto = TRUE WHERE partida_id = $1 AND residuo_id = $2',
+      [partida_id, residuo_id]
+    );
+
+    // 2. Sumar puntos y CO2 del usuario
+    const usuario = await client.query(
+      `UPDATE usuarios SET puntos = puntos + $1, co2_evitado = co2_evitado + $2
+       WHERE id = $3 RETURNING puntos, co2_evitado`,
+      [puntos_obtenidos, co2_obtenido, id]
+    );
+
+    if (usuario.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+
+    // 3. Si con esta clasificación se completa el cupo de hoy, la racha suma un día
+    let racha = null;
+    if (countHoy + 1 === LIMITE_DIARIO) {
+      const { congelados_ahora, ...diaCompleto } = await registrarDiaCompleto(client, id, { limiteDiario: LIMITE_DIARIO });
+      racha = { ...diaCompleto, congelados: congelados_ahora };
+    }
+
+    // 4. Logros desbloqueados por esta clasificación
+    const logros_nuevos = await evaluarLogros(client, id, { limiteDiario: LIMITE_DIARIO });
+
+    await client.query('COMMIT');
+    publicarEventos([evento]);
+
+    res.json({
+      success: true,
+      correcto: true,
+      acierto: fue_acierto,
+      consejo,
+      puntos_obtenidos,
+      co2_obtenido,
+      desglose: { ...desglose, co2_fuente },
+      puntos_totales: parseInt(usuario.rows[0].puntos) || 0,
+      co2_total: parseFloat(usuario.rows[0].co2_evitado) || 0,
+      logros_nuevos,
+      racha
+    });
+
+  } catch (err) {
+    if (client) await client.query('ROLLBACK').catch(() => {});
+    console.error('Error al guardar progreso:', err);
+    res.status(500).json({ error: "Error al guardar progreso" });
+  } finally {
+    if (client) client.release();
   }
-}
+});
 
-// =============================
-// RUTAS
-// =============================
+// RUTA 21: Cerrar partida
+app.post('/api/usuarios/:id/partidas/:partidaId/cerrar', verificarToken, verificarPropietario, async (req, res) => {
+  const { id, partidaId } = req.params;
+
+  if (!esIdValido(partidaId))
+    return res.status(400).json({ error: 'ID de partida inválido' });
 
-// RUTA 1: Obtener residuos
-app.get('/api/residuos', async (req, res) => {
   try {
-    const result = await pool.query('SELECT * FROM residuos ORDER BY RANDOM() LIMIT 10');
-    res.json(result.rows);
+    const partida = await pool.query(
+      `UPDATE partidas SET cerrada_at = COALESCE(cerrada_at, NOW())
+       WHERE id = $1 AND usuario_id = $2 RETURNING id`,
+      [partidaId, id]
+    );
+
+    if (partida.rows.length === 0)
+      return res.status(404).json({ error: 'Partida no encontrada' });
+
+    res.json({ success: true });
+
   } catch (err) {
-    res.status(500).json({ error: "Error al cargar residuos" });
+    res.status(500).json({ error: "Error al cerrar partida" });
   }
 });
 
-// RUTA 2: Registro
-app.post('/api/auth/register', async (req, res) => {
-  const { nombre, email, password } = req.body;
+// RUTA 22: Residuo mostrado
+// El juego avisa al mostrar cada residuo de la partida: /progreso mide desde
+// aquí el bonus por rapidez. Cuenta el primer aviso (volver a mostrar el
+// residuo no reinicia el tiempo).
+app.post('/api/usuarios/:id/partidas/:partidaId/residuos/:residuoId/mostrado', verificarToken, verificarPropietario, async (req, res) => {
+  const { id, partidaId, residuoId } = req.params;
 
-  try {
-    // Encriptar contraseña con bcrypt (10 rondas)
-    const hashedPassword = await bcrypt.hash(password, 10);
+  if (!esIdValido(partidaId) || !esIdValido(residuoId))
+    return res.status(400).json({ error: 'ID de partida o residuo inválido' });
 
-    const result = await pool.query(
-      'INSERT INTO usuarios (nombre, email, password, puntos, co2_evitado) VALUES ($1,$2,$3,0,0) RETURNING id, nombre, email',
-      [nombre, email, hashedPassword]
+  try {
+    const residuo = await pool.query(
+      `UPDATE partida_residuos pr SET mostrado_at = COALESCE(pr.mostrado_at, NOW())
+       FROM partidas p
+       WHERE p.id = pr.partida_id AND pr.partida_id = $1 AND pr.residuo_id = $2 AND p.usuario_id = $3
+         AND p.cerrada_at IS NULL AND NOT pr.resuelto
+       RETURNING pr.residuo_id`,
+      [partidaId, residuoId, id]
     );
 
-    res.status(201).json(result.rows[0]);
+    if (residuo.rows.length === 0)
+      return res.status(404).json({ error: 'Residuo pendiente no encontrado en la partida' });
+
+    res.json({ success: true });
 
   } catch (err) {
-    console.error('Error en registro:', err);
-    
-    // Error de email duplicado (constraint UNIQUE)
-    if (err.code === '23505') {
-      return res.status(400).json({ 
-        success: false,
-        error: "El email ya está registrado" 
-      });
-    }
-    
-    res.status(500).json({ 
-      success: false,
-      error: "Error al registrar usuario" 
-    });
+    console.error('Error al registrar residuo mostrado:', err);
+    res.status(500).json({ error: "Error al registrar residuo mostrado" });
   }
 });
 
-// RUTA 3: Login
-app.post('/api/auth/login', async (req, res) => {
-  const { email, password } = req.body;
+// RUTA 23: Ranking
+// ?periodo=dia|semana|mes|total (por defecto total); los periodos se calculan desde historial
+// y el total con los puntos acumulados de cada usuario.
+// Paginado (?pagina, ?limite) y con búsqueda por nombre (?buscar).
+// Con token se incluye el puesto del usuario aunque esté fuera de la página
+app.get('/api/ranking', identificarUsuario, async (req, res) => {
+  const consulta = leerConsultaRanking(req.query);
+
+  if (!consulta)
+    return res.status(400).json({ error: 'El periodo debe ser dia, semana, mes o total' });
+
+  try {
+    await responderRanking(res, consulta, { usuarioId: req.usuario ? req.usuario.id : undefined });
+  } catch (err) {
+    console.error('Error cargando ranking:', err);
+    res.status(500).json({ error: "Error cargando ranking" });
+  }
+});
 
+// RUTA 24: Mis ligas
+app.get('/api/ligas', verificarToken, async (req, res) => {
   try {
-    const user = await pool.query('SELECT * FROM usuarios WHERE email = $1', [email]);
+    res.json({ success: true, ligas: await consultarLigas(pool, req.usuario.id) });
+  } catch (err) {
+    console.error('Error cargando ligas:', err);
+    res.status(500).json({ error: 'Error cargando ligas' });
+  }
+});
 
-    if (user.rows.length === 0)
-      return res.status(404).json({ error: "Usuario no encontrado" });
+// RUTA 25: Crear liga
+// El creador entra como primer miembro y recibe el código de invitación
+app.post('/api/ligas', verificarToken, validarBody('liga'), async (req, res) => {
+  const nombre = req.body.nombre.trim();
+  let client;
 
-    // Validar contraseña con bcrypt
-    const validPassword = await bcrypt.compare(password, user.rows[0].password);
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
 
-    if (!validPassword)
-      return res.status(401).json({ error: "Credenciales inválidas" });
+    // El código es único: en la improbable colisión se genera otro
+    let liga = null;
+    while (!liga) {
+      const result = await client.query(
+        `INSERT INTO ligas (nombre, codigo, creador_id) VALUES ($1, $2, $3)
+         ON CONFLICT (codigo) DO NOTHING RETURNING id`,
+        [nombre, generarCodigoLiga(), req.usuario.id]
+      );
+      liga = result.rows[0];
+    }
 
-    const token = jwt.sign(
-      { id: user.rows[0].id },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
+    await client.query(
+      'INSERT INTO liga_miembros (liga_id, usuario_id) VALUES ($1, $2)',
+      [liga.id, req.usuario.id]
     );
 
-    res.json({
-      token,
-      user: {
-        id: user.rows[0].id,
-        nombre: user.rows[0].nombre,
-        puntos: user.rows[0].puntos,
-        co2_evitado: user.rows[0].co2_evitado
-      }
-    });
+    const [creada] = await consultarLigas(client, req.usuario.id, liga.id);
+    await client.query('COMMIT');
+
+    res.status(201).json({ success: true, liga: creada });
 
   } catch (err) {
-    console.error('Error en login:', err);
-    res.status(500).json({ 
-      success: false,
-      error: "Error en el servidor" 
-    });
+    if (client) await client.query('ROLLBACK').catch(() => {});
+    console.error('Error creando liga:', err);
+    res.status(500).json({ error: 'Error creando liga' });
+  } finally {
+    if (client) client.release();
   }
 });
 
-// ENDPOINTS DE RESIDUOS
+// RUTA 26: Unirse a una liga con su código de invitación
+app.post('/api/ligas/unirse', verificarToken, validarBody('unirseLiga'), async (req, res) => {
+  const codigo = req.body.codigo.trim().toUpperCase();
 
-/**
- * OBTENER residuos aleatorios
- * GET /api/residuos
- */
-app.get('/api/residuos', async (req, res) => {
   try {
-    const result = await pool.query(
-      'SELECT * FROM residuos ORDER BY RANDOM() LIMIT 10'
+    const liga = await pool.query('SELECT id FROM ligas WHERE codigo = $1', [codigo]);
+
+    if (liga.rows.length === 0)
+      return res.status(404).json({ error: 'Código de liga no válido' });
+
+    // Unirse dos veces no es un error: simplemente no cambia nada
+    await pool.query(
+      `INSERT INTO liga_miembros (liga_id, usuario_id) VALUES ($1, $2)
+       ON CONFLICT DO NOTHING`,
+      [liga.rows[0].id, req.usuario.id]
     );
-    
-    res.json({
-      success: true,
-      total: result.rows.length,
-      residuos: result.rows
-    });
+
+    const [unida] = await consultarLigas(pool, req.usuario.id, liga.rows[0].id);
+    res.json({ success: true, liga: unida });
+
   } catch (err) {
-    console.error('Error al obtener residuos:', err);
-    res.status(500).json({ 
-      success: false,
-      error: "Error al cargar residuos" 
-    });
+    console.error('Error uniéndose a la liga:', err);
+    res.status(500).json({ error: 'Error uniéndose a la liga' });
   }
 });
 
-// RUTA 4: Stats hoy
-app.get('/api/usuarios/:id/stats-hoy', verificarToken, async (req, res) => {
-  const { id } = req.params;
+// RUTA 27: Salir de una liga
+// Cuando sale el último miembro la liga se elimina
+app.post('/api/ligas/:id/salir', verificarToken, verificarMiembroLiga, async (req, res) => {
+  const ligaId = req.liga.id;
+  let client;
 
   try {
-    const stats = await pool.query(
-      `SELECT 
-        (SELECT puntos FROM usuarios WHERE id = $1) as puntos_totales,
-        (SELECT co2_evitado FROM usuarios WHERE id = $1) as co2_total,
-        (SELECT COUNT(*) FROM historial WHERE usuario_id = $1 AND fecha::date = CURRENT_DATE) as count_hoy`,
-      [id]
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    await client.query(
+      'DELETE FROM liga_miembros WHERE liga_id = $1 AND usuario_id = $2',
+      [ligaId, req.usuario.id]
     );
 
-    res.json({
-      success: true,
-      puntos_totales: parseInt(stats.rows[0].puntos_totales) || 0,
-      co2_total: parseFloat(stats.rows[0].co2_total) || 0,
-      count_hoy: parseInt(stats.rows[0].count_hoy) || 0
-    });
+    await client.query(
+      'DELETE FROM ligas WHERE id = $1 AND NOT EXISTS (SELECT 1 FROM liga_miembros WHERE liga_id = $1)',
+      [ligaId]
+    );
+
+    await client.query('COMMIT');
+    res.json({ success: true });
 
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    if (client) await client.query('ROLLBACK').catch(() => {});
+    console.error('Error saliendo de la liga:', err);
+    res.status(500).json({ error: 'Error saliendo de la liga' });
+  } finally {
+    if (client) client.release();
   }
 });
 
-// RUTA 5: Actualizar perfil
-app.put('/api/usuarios/:id/perfil', verificarToken, async (req, res) => {
-  const { id } = req.params;
-  const { nombre, email } = req.body;
+// RUTA 28: Ranking de una liga (solo para sus miembros)
+// Mismos parámetros y respuesta que /api/ranking, limitado a los miembros
+app.get('/api/ligas/:id/ranking', verificarToken, verificarMiembroLiga, async (req, res) => {
+  const consulta = leerConsultaRanking(req.query);
 
-  if (!nombre || !email)
-    return res.status(400).json({ error: 'Nombre y email son obligatorios' });
+  if (!consulta)
+    return res.status(400).json({ error: 'El periodo debe ser dia, semana, mes o total' });
 
   try {
-    const usuario = await pool.query(
-      'UPDATE usuarios SET nombre=$1, email=$2 WHERE id=$3 RETURNING id, nombre, email',
-      [nombre, email, id]
-    );
+    await responderRanking(res, consulta, { usuarioId: req.usuario.id, ligaId: req.liga.id });
+  } catch (err) {
+    console.error('Error cargando ranking de la liga:', err);
+    res.status(500).json({ error: "Error cargando ranking" });
+  }
+});
 
-    if (usuario.rows.length === 0)
-      return res.status(404).json({ error: 'Usuario no encontrado' });
+// RUTA 29: Catálogo completo de residuos (admin)
+// ?eliminados=1 incluye los dados de baja; `usos` = clasificaciones en historial
+app.get('/api/admin/residuos', verificarToken, verificarAdmin, async (req, res) => {
+  const incluirEliminados = req.query.eliminados === '1' || req.query.eliminados === 'true';
 
-    res.json(usuario.rows[0]);
+  try {
+    const result = await pool.query(
+      `SELECT r.*, (SELECT COUNT(*) FROM historial h WHERE h.residuo_id = r.id)::int AS usos
+       FROM residuos r
+       WHERE $1 OR r.eliminado_at IS NULL
+       ORDER BY r.eliminado_at IS NOT NULL, r.tipo, r.nombre`,
+      [incluirEliminados]
+    );
 
-  } catch (error) {
-    res.status(500).json({ error: 'Error actualizando perfil' });
+    res.json({ success: true, residuos: result.rows.map(residuo => formatearResiduo(req, residuo)) });
+  } catch (err) {
+    console.error('Error listando residuos:', err);
+    res.status(500).json({ error: 'Error al cargar residuos' });
   }
 });
 
-// RUTA 6: Eliminar usuario
-app.delete('/api/usuarios/:id', verificarToken, async (req, res) => {
-  const { id } = req.params;
+// RUTA 30: Crear residuo (admin)
+// Acepta los campos de CAMPOS_RESIDUO e imagen_base64 (data URL) para subir la imagen
+app.post('/api/admin/residuos', verificarToken, verificarAdmin, validarBody('residuo'), validarTipoResiduo, async (req, res) => {
+  let imagenNueva = null;
 
   try {
-    const usuario = await pool.query(
-      'DELETE FROM usuarios WHERE id=$1 RETURNING *',
-      [id]
-    );
+    let campos = leerCamposResiduo(req.body);
 
-    if (usuario.rows.length === 0)
-      return res.status(404).json({ error: 'Usuario no encontrado' });
+    if (req.body.imagen_base64) {
+      const imagen = await guardarImagenResiduo(req.body.imagen_base64);
+      if (imagen.error) return responderErrores(res, { imagen: imagen.error });
+      imagenNueva = imagen.ruta;
+      campos = [...campos.filter(([columna]) => columna !== 'imagen_url'), ['imagen_url', imagenNueva]];
+    }
 
-    res.json({ mensaje: 'Usuario eliminado correctamente' });
+    const valores = [];
+    const parametros = parametrosResiduo(campos, valores);
+    const result = await pool.query(
+      `INSERT INTO residuos (${parametros.map(p => p.columna).join(', ')})
+       VALUES (${parametros.map(p => p.valor).join(', ')})
+       RETURNING *`,
+      valores
+    );
 
-  } catch (error) {
-    res.status(500).json({ error: 'Error eliminando usuario' });
+    res.status(201).json({ success: true, residuo: formatearResiduo(req, { ...result.rows[0], usos: 0 }) });
+  } catch (err) {
+    if (imagenNueva) borrarImagenResiduo(imagenNueva);
+    console.error('Error creando residuo:', err);
+    res.status(500).json({ error: 'Error al crear el residuo' });
   }
 });
 
-// RUTA 7: Progreso
-app.put('/api/usuarios/:id/progreso', verificarToken, async (req, res) => {
+// RUTA 31: Editar residuo (admin)
+// Actualización parcial; imagen_base64 sube una imagen nueva y null la quita
+app.patch('/api/admin/residuos/:id', verificarToken, verificarAdmin, validarIdResiduo, validarBody('residuo', { parcial: true }), validarTipoResiduo, async (req, res) => {
   const { id } = req.params;
-  const { puntos, co2_evitado, residuo_id, fue_acierto } = req.body;
+  const { imagen_base64 } = req.body;
+  let imagenNueva = null;
 
   try {
-    await pool.query(
-      'INSERT INTO historial (usuario_id, residuo_id, acierto, fecha) VALUES ($1,$2,$3,NOW())',
-      [id, residuo_id, fue_acierto]
+    const actual = await pool.query('SELECT imagen_url FROM residuos WHERE id = $1', [id]);
+    if (actual.rows.length === 0)
+      return res.status(404).json({ error: 'Residuo no encontrado' });
+
+    let campos = leerCamposResiduo(req.body);
+
+    if (imagen_base64 !== undefined) {
+      if (imagen_base64 !== null) {
+        const imagen = await guardarImagenResiduo(imagen_base64);
+        if (imagen.error) return responderErrores(res, { imagen: imagen.error });
+        imagenNueva = imagen.ruta;
+      }
+      campos = [...campos.filter(([columna]) => columna !== 'imagen_url'), ['imagen_url', imagenNueva]];
+    }
+
+    if (campos.length === 0)
+      return res.status(400).json({ error: 'No hay cambios para guardar' });
+
+    const valores = [];
+    const cambios = parametrosResiduo(campos, valores).map(p => `${p.columna} = ${p.valor}`);
+    valores.push(id);
+    const result = await pool.query(
+      `UPDATE residuos SET ${cambios.join(', ')} WHERE id = $${valores.length}
+       RETURNING *, (SELECT COUNT(*) FROM historial h WHERE h.residuo_id = residuos.id)::int AS usos`,
+      valores
     );
 
-    // 2. Actualizar puntos y CO2 del usuario
-    await pool.query(
-      'UPDATE usuarios SET puntos=$1, co2_evitado=$2 WHERE id=$3',
-      [puntos, co2_evitado, id]
+    // La imagen anterior solo se borra si era una subida y ha cambiado
+    const anterior = actual.rows[0].imagen_url;
+    if (anterior !== result.rows[0].imagen_url) borrarImagenResiduo(anterior);
+
+    res.json({ success: true, residuo: formatearResiduo(req, result.rows[0]) });
+  } catch (err) {
+    if (imagenNueva) borrarImagenResiduo(imagenNueva);
+    console.error('Error editando residuo:', err);
+    res.status(500).json({ error: 'Error al editar el residuo' });
+  }
+});
+
+// RUTA 32: Dar de baja un residuo (admin)
+// Borrado lógico: deja de repartirse pero el historial que lo referencia sigue siendo válido
+app.delete('/api/admin/residuos/:id', verificarToken, verificarAdmin, validarIdResiduo, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE residuos SET eliminado_at = COALESCE(eliminado_at, NOW()) WHERE id = $1
+       RETURNING *, (SELECT COUNT(*) FROM historial h WHERE h.residuo_id = residuos.id)::int AS usos`,
+      [req.params.id]
     );
 
-    new LogPartida({
-      usuario_id: id,
-      residuo_id,
-      es_correcto: fue_acierto,
-      puntos_obtenidos: fue_acierto ? 10 : 0
-    }).save().catch(err => console.error(err));
+    if (result.rows.length === 0)
+      return res.status(404).json({ error: 'Residuo no encontrado' });
 
-    res.json({ success: true });
+    res.json({ success: true, residuo: formatearResiduo(req, result.rows[0]) });
+  } catch (err) {
+    console.error('Error dando de baja el residuo:', err);
+    res.status(500).json({ error: 'Error al dar de baja el residuo' });
+  }
+});
+
+// RUTA 33: Restaurar un residuo dado de baja (admin)
+app.post('/api/admin/residuos/:id/restaurar', verificarToken, verificarAdmin, validarIdResiduo, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE residuos SET eliminado_at = NULL WHERE id = $1
+       RETURNING *, (SELECT COUNT(*) FROM historial h WHERE h.residuo_id = residuos.id)::int AS usos`,
+      [req.params.id]
+    );
 
+    if (result.rows.length === 0)
+      return res.status(404).json({ error: 'Residuo no encontrado' });
+
+    res.json({ success: true, residuo: formatearResiduo(req, result.rows[0]) });
   } catch (err) {
-    res.status(500).json({ error: "Error al guardar progreso" });
+    console.error('Error restaurando residuo:', err);
+    res.status(500).json({ error: 'Error al restaurar el residuo' });
   }
 });
 
-// RUTA 8: Ranking
-app.get('/api/ranking', async (req, res) => {
+// RUTA 34: Exportar el catálogo (admin)
+// ?formato=csv (por defecto) o json; mismas columnas que acepta la importación
+app.get('/api/admin/residuos/exportar', verificarToken, verificarAdmin, async (req, res) => {
+  const formato = req.query.formato || 'csv';
+
+  if (!['csv', 'json'].includes(formato))
+    return res.status(400).json({ error: 'El formato debe ser csv o json' });
+
   try {
     const result = await pool.query(
-      'SELECT nombre, puntos, co2_evitado FROM usuarios ORDER BY puntos DESC LIMIT 10'
+      `SELECT ${CAMPOS_IMPORTACION.join(', ')} FROM residuos WHERE eliminado_at IS NULL ORDER BY tipo, nombre`
     );
-    res.json(result.rows);
+    const residuos = result.rows.map(residuo => ({ ...residuo, co2_kg: parseFloat(residuo.co2_kg) || 0 }));
+    const fecha = new Date().toISOString().slice(0, 10);
+
+    res.attachment(`residuos-${fecha}.${formato}`);
+    if (formato === 'json') return res.json(residuos);
+
+    res.type('text/csv; charset=utf-8').send(generarCsv(CAMPOS_IMPORTACION, residuos));
   } catch (err) {
-    res.status(500).json({ error: "Error cargando ranking" });
+    console.error('Error exportando residuos:', err);
+    res.status(500).json({ error: 'Error al exportar residuos' });
+  }
+});
+
+// RUTA 35: Importar residuos desde CSV o JSON (admin)
+// Body: texto CSV (Content-Type text/csv) o JSON (array o { residuos: [...] })
+// ?modo=prueba (por defecto) solo informa; ?modo=aplicar crea/actualiza por nombre
+// en una transacción, y no aplica nada si alguna fila tiene errores
+app.post(
+  '/api/admin/residuos/importar',
+  verificarToken,
+  verificarAdmin,
+  express.text({ type: ['text/csv', 'text/plain'], limit: '4mb' }),
+  async (req, res) => {
+    const modo = req.query.modo || 'prueba';
+
+    if (!['prueba', 'aplicar'].includes(modo))
+      return res.status(400).json({ error: 'El modo debe ser prueba o aplicar' });
+
+    const formato = req.is('json') ? 'json' : 'csv';
+    const archivo = leerArchivo(req.body, formato);
+    if (archivo.error) return res.status(400).json({ error: archivo.error });
+
+    let client;
+
+    try {
+      client = await pool.connect();
+      await client.query('BEGIN');
+      // Dos importaciones a la vez podrían crear el mismo nombre dos veces
+      await client.query("SELECT pg_advisory_xact_lock(hashtext('importar_residuos'))");
+
+      const existentes = await client.query('SELECT id, nombre, eliminado_at FROM residuos');
+      const tipos = (await contenedoresDe(client)).map(contenedor => contenedor.codigo);
+      const plan = planificarImportacion(archivo.filas, existentes.rows, idiomaDe(req), tipos);
+      const aplicar = modo === 'aplicar' && plan.resumen.errores === 0;
+
+      if (aplicar) {
+        for (const fila of plan.filas) {
+          const valores = [];
+          const parametros = parametrosResiduo(leerCamposResiduo(fila.datos), valores);
+
+          if (fila.accion === 'crear') {
+            await client.query(
+              `INSERT INTO residuos (${parametros.map(p => p.columna).join(', ')})
+               VALUES (${parametros.map(p => p.valor).join(', ')})`,
+              valores
+            );
+          } else {
+            const cambios = parametros.map(p => `${p.columna} = ${p.valor}`);
+            cambios.push('eliminado_at = NULL');
+            valores.push(fila.id);
+            await client.query(`UPDATE residuos SET ${cambios.join(', ')} WHERE id = $${valores.length}`, valores);
+          }
+        }
+      }
+
+      await client.query(aplicar ? 'COMMIT' : 'ROLLBACK');
+
+      const informe = {
+        modo,
+        aplicado: aplicar,
+        columnas_ignoradas: archivo.ignoradas,
+        resumen: plan.resumen,
+        filas: plan.filas.map(({ fila, nombre, accion, id, errores }) => ({ fila, nombre, accion, id, errores }))
+      };
+
+      if (modo === 'aplicar' && !aplicar) {
+        return res.status(400).json({
+          success: false,
+          error: 'Hay filas con errores: no se ha importado nada',
+          ...informe
+        });
+      }
+
+      res.json({ success: true, ...informe });
+    } catch (err) {
+      if (client) await client.query('ROLLBACK').catch(() => {});
+      console.error('Error importando residuos:', err);
+      res.status(500).json({ error: 'Error al importar residuos' });
+    } finally {
+      if (client) client.release();
+    }
+  }
+);
+
+// RUTA 36: Esquemas regionales de contenedores
+// Público: la guía de la portada se muestra también sin sesión
+app.get('/api/esquemas', async (req, res) => {
+  try {
+    res.json({ success: true, esquemas: await listarEsquemas(pool) });
+  } catch (err) {
+    console.error('Error cargando esquemas de contenedores:', err);
+    res.status(500).json({ error: 'Error al cargar los contenedores' });
+  }
+});
+
+// RUTA 37: Actividad por día (admin)
+// Jugadores, partidas, intentos, precisión a la primera, pistas y tiempo mediano
+app.get('/api/admin/analitica/resumen', verificarToken, verificarAdmin, validarFiltrosAnalitica, async (req, res) => {
+  try {
+    res.json({ success: true, dias: await resumenDiario(pool, req.filtros) });
+  } catch (err) {
+    console.error('Error cargando analítica:', err);
+    res.status(500).json({ error: 'Error al cargar la analítica' });
+  }
+});
+
+// RUTA 38: Residuos más difíciles (admin)
+// Ordenados por precisión a la primera, de menor a mayor; ?limite (20 por defecto)
+app.get('/api/admin/analitica/residuos', verificarToken, verificarAdmin, validarFiltrosAnalitica, async (req, res) => {
+  const { limite } = leerPaginacion(req.query);
+
+  try {
+    res.json({ success: true, residuos: await dificultadResiduos(pool, req.filtros, limite) });
+  } catch (err) {
+    console.error('Error cargando analítica:', err);
+    res.status(500).json({ error: 'Error al cargar la analítica' });
+  }
+});
+
+// RUTA 39: Contenedores que se confunden (admin)
+// Matriz contenedor correcto × elegido y los residuos que más se equivocan; ?limite de residuos
+app.get('/api/admin/analitica/confusiones', verificarToken, verificarAdmin, validarFiltrosAnalitica, async (req, res) => {
+  const { limite } = leerPaginacion(req.query);
+
+  try {
+    res.json({ success: true, ...await informeConfusiones(pool, req.filtros, limite) });
+  } catch (err) {
+    console.error('Error cargando analítica:', err);
+    res.status(500).json({ error: 'Error al cargar la analítica' });
   }
 });
 
@@ -300,4 +2221,17 @@ app.get('/api/ranking', async (req, res) => {
 // SERVER
 // =============================
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => console.log(`🚀 Servidor en puerto ${PORT}`));
+
+// Sin migraciones pendientes: las rutas dependen del esquema más reciente.
+// Un EVENTOS_DESTINO mal configurado también impide arrancar
+comprobarMigraciones(pool)
+  .then(async ({ desconocidas }) => {
+    if (desconocidas.length > 0)
+      console.warn(`⚠️ La BD tiene migraciones que este código no conoce: ${desconocidas.join(', ')}`);
+    await prepararDestino();
+    app.listen(PORT, () => console.log(`🚀 Servidor en puerto ${PORT}`));
+  })
+  .catch(err => {
+    console.error('❌ El servidor no arranca:', err.message);
+    process.exit(1);
+  });
@@ -0,0 +1,163 @@
+// =============================
+// LOGROS
+// =============================
+// Motor de logros basado en reglas. Cada logro es un objeto con:
+//   codigo, nombre, descripcion, icono
+//   cumple(db, usuarioId, contexto) -> Promise<boolean>
+// Tras cada clasificación se evalúan los logros que el usuario aún no tiene
+// y los nuevos se guardan en `logros_usuario`. Para añadir un logro basta
+// con añadir una regla a LOGROS (el código no debe cambiar una vez publicado).
+const { diaLocal, cargarDias, calcularRachas } = require('./rachas');
+const { esquemaDelUsuario, joinContenedor } = require('./contenedores');
+
+/**
+ * Ejecuta una consulta que devuelve una fila con la columna booleana `cumple`
+ */
+const consultarCumple = async (db, sql, params) => {
+  const result = await db.query(sql, params);
+  return Boolean(result.rows[0] && result.rows[0].cumple);
+};
+
+const LOGROS = [
+  {
+    codigo: 'primer_acierto',
+    nombre: 'Primer paso',
+    descripcion: 'Clasifica tu primer residuo a la primera',
+    icono: '🌱',
+    cumple: (db, usuarioId) => consultarCumple(
+      db,
+      'SELECT EXISTS (SELECT 1 FROM historial WHERE usuario_id = $1 AND acierto) AS cumple',
+      [usuarioId]
+    )
+  },
+  {
+    codigo: 'dia_perfecto',
+    nombre: 'Día perfecto',
+    descripcion: 'Completa el cupo diario sin fallar ninguno',
+    icono: '⭐',
+    cumple: (db, usuarioId, { limiteDiario }) => consultarCumple(
+      db,
+      `SELECT EXISTS (
+         SELECT 1 FROM historial h JOIN usuarios u ON u.id = h.usuario_id
+         WHERE h.usuario_id = $1
+         GROUP BY ${diaLocal('h.fecha')}
+         HAVING COUNT(*) >= $2 AND BOOL_AND(h.acierto)
+       ) AS cumple`,
+      [usuarioId, limiteDiario]
+    )
+  },
+  {
+    codigo: 'racha_7',
+    nombre: 'Semana verde',
+    descripcion: 'Completa el cupo diario 7 días seguidos',
+    icono: '🔥',
+    // Misma racha que la del juego (días completos y congelados); solo lectura:
+    // las congelaciones ya se gastaron en registrarDiaCompleto si tocaba
+    cumple: async (db, usuarioId, { limiteDiario }) => {
+      const { hoy, completos, congelados } = await cargarDias(db, usuarioId, limiteDiario);
+      return calcularRachas(new Set([...completos, ...congelados]), hoy).mejor >= 7;
+    }
+  },
+  {
+    codigo: 'vidrio_100',
+    nombre: 'Maestro del vidrio',
+    descripcion: 'Acierta 100 residuos de vidrio a la primera',
+    icono: '🍾',
+    // Vidrio según el material del contenedor en el esquema con que se jugó
+    // (green, glass_white, glass_green...); sin partida, el esquema del usuario
+    cumple: (db, usuarioId) => consultarCumple(
+      db,
+      `SELECT COUNT(*) >= 100 AS cumple
+       FROM historial h
+       JOIN residuos r ON r.id = h.residuo_id
+       LEFT JOIN partidas p ON p.id = h.partida_id
+       ${joinContenedor(`COALESCE(p.esquema, ${esquemaDelUsuario('$1')})`)}
+       WHERE h.usuario_id = $1 AND h.acierto AND ce.material = 'vidrio'`,
+      [usuarioId]
+    )
+  },
+  {
+    codigo: 'centenario',
+    nombre: 'Centenario',
+    descripcion: 'Acierta 100 residuos a la primera',
+    icono: '💯',
+    cumple: (db, usuarioId) => consultarCumple(
+      db,
+      'SELECT COUNT(*) >= 100 AS cumple FROM historial WHERE usuario_id = $1 AND acierto',
+      [usuarioId]
+    )
+  },
+  {
+    codigo: 'coleccionista',
+    nombre: 'Coleccionista',
+    descripcion: 'Clasifica todos los residuos del catálogo al menos una vez',
+    icono: '🗂️',
+    // Solo cuentan los residuos que se reparten en el esquema del usuario
+    cumple: (db, usuarioId) => consultarCumple(
+      db,
+      `SELECT NOT EXISTS (
+         SELECT 1 FROM residuos r
+         ${joinContenedor(esquemaDelUsuario('$1'))}
+         WHERE r.eliminado_at IS NULL
+           AND NOT EXISTS (SELECT 1 FROM historial h WHERE h.usuario_id = $1 AND h.residuo_id = r.id)
+       ) AS cumple`,
+      [usuarioId]
+    )
+  }
+];
+
+// Datos públicos de un logro (sin la regla)
+const describirLogro = ({ codigo, nombre, descripcion, icono }) => ({ codigo, nombre, descripcion, icono });
+
+/**
+ * Evalúa los logros pendientes del usuario y guarda los nuevos
+ * @param {object} db - Pool o cliente de PostgreSQL (dentro de la transacción de /progreso)
+ * @param {number} usuarioId - ID del usuario
+ * @param {object} contexto - Parámetros del juego que usan las reglas (ej. { limiteDiario })
+ * @returns {Promise<Array>} Logros desbloqueados en esta evaluación
+ */
+async function evaluarLogros(db, usuarioId, contexto) {
+  const obtenidos = await db.query('SELECT logro FROM logros_usuario WHERE usuario_id = $1', [usuarioId]);
+  const yaObtenidos = new Set(obtenidos.rows.map(fila => fila.logro));
+  const nuevos = [];
+
+  for (const logro of LOGROS) {
+    if (yaObtenidos.has(logro.codigo)) continue;
+    if (!(await logro.cumple(db, usuarioId, contexto))) continue;
+
+    const insertado = await db.query(
+      `INSERT INTO logros_usuario (usuario_id, logro) VALUES ($1, $2)
+       ON CONFLICT DO NOTHING RETURNING obtenido_at`,
+      [usuarioId, logro.codigo]
+    );
+    if (insertado.rows.length > 0) {
+      nuevos.push({ ...describirLogro(logro), obtenido_at: insertado.rows[0].obtenido_at });
+    }
+  }
+
+  return nuevos;
+}
+
+/**
+ * Catálogo completo con la fecha en que el usuario obtuvo cada logro (null si no lo tiene)
+ * @param {object} db - Pool o cliente de PostgreSQL
+ * @param {number} usuarioId - ID del usuario
+ */
+async function consultarLogros(db, usuarioId) {
+  const result = await db.query(
+    'SELECT logro, obtenido_at FROM logros_usuario WHERE usuario_id = $1',
+    [usuarioId]
+  );
+  const fechas = new Map(result.rows.map(fila => [fila.logro, fila.obtenido_at]));
+
+  return LOGROS.map(logro => ({
+    ...describirLogro(logro),
+    obtenido_at: fechas.get(logro.codigo) || null
+  }));
+}
+
+module.exports = {
+  LOGROS: LOGROS.map(describirLogro),
+  evaluarLogros,
+  consultarLogros
+};
@@ -0,0 +1,69 @@
+// =============================
+// MAIL TRANSPORT
+// =============================
+// Envío de correos con transporte intercambiable.
+// Un transporte es cualquier objeto con `enviar({ para, asunto, texto, html })`
+// que devuelve una promesa. Por defecto se usa el "outbox" de desarrollo,
+// que escribe cada mensaje como archivo en una carpeta local.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Transporte de desarrollo: guarda cada mensaje como JSON en `directorio`
+ * @param {string} directorio - Carpeta de salida (se crea si no existe)
+ */
+function crearTransporteOutbox(directorio) {
+  return {
+    async enviar(mensaje) {
+      await fs.promises.mkdir(directorio, { recursive: true });
+      const archivo = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+      const contenido = { ...mensaje, fecha: new Date().toISOString() };
+      await fs.promises.writeFile(path.join(directorio, archivo), JSON.stringify(contenido, null, 2));
+      console.log(`📧 Correo para ${mensaje.para} guardado en ${path.join(directorio, archivo)}`);
+    }
+  };
+}
+
+/**
+ * Elige el transporte según MAIL_TRANSPORT:
+ * - vacío u "outbox": carpeta MAIL_OUTBOX_DIR (por defecto server/outbox)
+ * - ruta a un módulo: se carga con require y debe exportar `enviar`
+ */
+function crearTransportePorDefecto() {
+  const tipo = process.env.MAIL_TRANSPORT;
+
+  if (!tipo || tipo === 'outbox') {
+    return crearTransporteOutbox(process.env.MAIL_OUTBOX_DIR || path.join(__dirname, 'outbox'));
+  }
+
+  const modulo = require(path.resolve(__dirname, tipo));
+  if (typeof modulo.enviar !== 'function') {
+    throw new Error(`MAIL_TRANSPORT "${tipo}" no exporta una función enviar`);
+  }
+  return modulo;
+}
+
+let transporte = null;
+
+/**
+ * Reemplaza el transporte activo (útil para integrar SMTP u otro proveedor)
+ * @param {{enviar: Function}} nuevo - Transporte a usar desde ahora
+ */
+function usarTransporte(nuevo) {
+  transporte = nuevo;
+}
+
+/**
+ * Envía un correo con el transporte activo
+ * @param {{para: string, asunto: string, texto: string, html?: string}} mensaje
+ */
+async function enviarCorreo(mensaje) {
+  if (!transporte) transporte = crearTransportePorDefecto();
+  return transporte.enviar({
+    de: process.env.MAIL_FROM || 'EcoGuide <no-reply@ecoguide.local>',
+    ...mensaje
+  });
+}
+
+module.exports = { enviarCorreo, usarTransporte, crearTransporteOutbox };
@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS historial;
+DROP TABLE IF EXISTS residuos;
+DROP TABLE IF EXISTS usuarios;
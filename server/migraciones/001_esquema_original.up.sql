@@ -0,0 +1,34 @@
+-- Esquema original del proyecto (usuarios, residuos e historial).
+-- IF NOT EXISTS: las BD creadas a mano con el README anterior se adoptan tal cual
+-- y las migraciones siguientes añaden lo que les falte.
+
+CREATE TABLE IF NOT EXISTS usuarios (
+  id SERIAL PRIMARY KEY,
+  nombre VARCHAR(100) NOT NULL,
+  email VARCHAR(100) UNIQUE NOT NULL,
+  password VARCHAR(255) NOT NULL,
+  puntos INTEGER DEFAULT 0,
+  co2_evitado DECIMAL(10,2) DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS residuos (
+  id SERIAL PRIMARY KEY,
+  nombre VARCHAR(100) NOT NULL,
+  tipo VARCHAR(20) NOT NULL,
+  icono VARCHAR(10),
+  imagen_url VARCHAR(255),
+  consejo TEXT,
+  pista TEXT
+);
+
+CREATE TABLE IF NOT EXISTS historial (
+  id SERIAL PRIMARY KEY,
+  usuario_id INTEGER NOT NULL REFERENCES usuarios(id) ON DELETE CASCADE,
+  residuo_id INTEGER NOT NULL REFERENCES residuos(id),
+  acierto BOOLEAN DEFAULT FALSE,
+  fecha TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_historial_usuario_fecha ON historial(usuario_id, fecha);
+CREATE INDEX IF NOT EXISTS idx_usuarios_email ON usuarios(email);
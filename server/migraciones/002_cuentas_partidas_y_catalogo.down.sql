@@ -0,0 +1,39 @@
+-- Vuelve al esquema original: se pierden partidas, sesiones, ligas, logros,
+-- rachas, contenedores por región y las columnas añadidas
+DROP TABLE IF EXISTS rachas_congeladas;
+DROP TABLE IF EXISTS logros_usuario;
+DROP TABLE IF EXISTS liga_miembros;
+DROP TABLE IF EXISTS ligas;
+
+ALTER TABLE historial
+  DROP COLUMN IF EXISTS partida_id,
+  DROP COLUMN IF EXISTS puntos,
+  DROP COLUMN IF EXISTS co2;
+
+DROP TABLE IF EXISTS partida_residuos;
+DROP TABLE IF EXISTS partidas;
+DROP TABLE IF EXISTS verificaciones_email;
+DROP TABLE IF EXISTS password_resets;
+DROP TABLE IF EXISTS sesiones;
+DROP TABLE IF EXISTS residuo_contenedores;
+
+ALTER TABLE residuos
+  DROP COLUMN IF EXISTS dificultad,
+  DROP COLUMN IF EXISTS co2_kg,
+  DROP COLUMN IF EXISTS co2_fuente,
+  DROP COLUMN IF EXISTS co2_notas,
+  DROP COLUMN IF EXISTS eliminado_at;
+
+ALTER TABLE usuarios
+  DROP COLUMN IF EXISTS avatar,
+  DROP COLUMN IF EXISTS verificado,
+  DROP COLUMN IF EXISTS role,
+  DROP COLUMN IF EXISTS intentos_fallidos,
+  DROP COLUMN IF EXISTS bloqueado_hasta,
+  DROP COLUMN IF EXISTS zona_horaria,
+  DROP COLUMN IF EXISTS congelaciones,
+  DROP COLUMN IF EXISTS esquema;
+ALTER TABLE usuarios ALTER COLUMN co2_evitado TYPE DECIMAL(10,2);
+
+DROP TABLE IF EXISTS contenedores;
+DROP TABLE IF EXISTS esquemas_contenedores;
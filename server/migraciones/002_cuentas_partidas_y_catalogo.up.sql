@@ -0,0 +1,174 @@
+-- Todo lo que el servidor usa además del esquema original: cuentas (avatar,
+-- roles, verificación, sesiones, bloqueo de login, zona horaria), partidas,
+-- puntuación por clasificación, ligas, logros, rachas, catálogo de residuos
+-- administrable y contenedores por región.
+-- Con IF NOT EXISTS, para las BD que ya tenían parte de estos cambios.
+
+-- Esquemas regionales de contenedores (ver server/contenedores.js)
+CREATE TABLE IF NOT EXISTS esquemas_contenedores (
+  codigo VARCHAR(20) PRIMARY KEY,
+  nombre VARCHAR(100) NOT NULL,
+  por_defecto BOOLEAN NOT NULL DEFAULT FALSE -- el de residuos.tipo y el de usuarios sin región
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_esquemas_por_defecto ON esquemas_contenedores(por_defecto) WHERE por_defecto;
+
+CREATE TABLE IF NOT EXISTS contenedores (
+  id SERIAL PRIMARY KEY,
+  esquema VARCHAR(20) NOT NULL REFERENCES esquemas_contenedores(codigo) ON DELETE CASCADE,
+  codigo VARCHAR(20) NOT NULL, -- lo que envía el juego en /progreso
+  nombre VARCHAR(50) NOT NULL, -- etiqueta del contenedor en el juego
+  titulo VARCHAR(100), -- título en la guía de la portada (por defecto, nombre)
+  descripcion VARCHAR(300),
+  icono VARCHAR(10),
+  color VARCHAR(7) NOT NULL, -- #rrggbb
+  orden INTEGER NOT NULL DEFAULT 0,
+  UNIQUE (esquema, codigo)
+);
+
+-- Usuarios
+ALTER TABLE usuarios ALTER COLUMN co2_evitado TYPE DECIMAL(10,3); -- hay residuos que evitan pocos gramos
+ALTER TABLE usuarios
+  ADD COLUMN IF NOT EXISTS avatar TEXT, -- ruta del avatar subido (/uploads/avatars/...)
+  ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'user', -- 'user' o 'admin'
+  ADD COLUMN IF NOT EXISTS intentos_fallidos INTEGER NOT NULL DEFAULT 0, -- fallos de login seguidos
+  ADD COLUMN IF NOT EXISTS bloqueado_hasta TIMESTAMP, -- login bloqueado hasta esta fecha
+  ADD COLUMN IF NOT EXISTS zona_horaria VARCHAR(64) NOT NULL DEFAULT 'Europe/Madrid', -- zona IANA del navegador
+  ADD COLUMN IF NOT EXISTS congelaciones INTEGER NOT NULL DEFAULT 0, -- congelaciones de racha disponibles
+  ADD COLUMN IF NOT EXISTS esquema VARCHAR(20) REFERENCES esquemas_contenedores(codigo) ON DELETE SET NULL; -- región (NULL = por defecto)
+
+-- Email confirmado. Las cuentas que ya existían se dan por verificadas: si no,
+-- verificarEmailConfirmado les impediría sumar puntos y salir en el ranking
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = 'usuarios' AND column_name = 'verificado'
+  ) THEN
+    ALTER TABLE usuarios ADD COLUMN verificado BOOLEAN NOT NULL DEFAULT FALSE;
+    UPDATE usuarios SET verificado = TRUE;
+  END IF;
+END $$;
+
+-- Residuos
+ALTER TABLE residuos
+  ADD COLUMN IF NOT EXISTS dificultad SMALLINT NOT NULL DEFAULT 1 CHECK (dificultad BETWEEN 1 AND 3), -- multiplica los puntos base
+  ADD COLUMN IF NOT EXISTS co2_kg DECIMAL(6,3) NOT NULL DEFAULT 0.05, -- kg CO2e evitados por unidad bien reciclada
+  ADD COLUMN IF NOT EXISTS co2_fuente VARCHAR(200), -- origen del factor de emisión
+  ADD COLUMN IF NOT EXISTS co2_notas TEXT, -- supuestos del cálculo (peso de la unidad, factor por kg)
+  ADD COLUMN IF NOT EXISTS eliminado_at TIMESTAMP; -- baja lógica: no se reparte, pero el historial lo sigue referenciando
+
+-- Contenedor de un residuo en los esquemas donde no coincide con residuos.tipo
+CREATE TABLE IF NOT EXISTS residuo_contenedores (
+  esquema VARCHAR(20) NOT NULL,
+  residuo_id INTEGER NOT NULL REFERENCES residuos(id) ON DELETE CASCADE,
+  contenedor VARCHAR(20) NOT NULL,
+  PRIMARY KEY (esquema, residuo_id),
+  FOREIGN KEY (esquema, contenedor) REFERENCES contenedores(esquema, codigo) ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- Sesiones de login (refresh tokens rotativos, guardados como hash SHA-256)
+CREATE TABLE IF NOT EXISTS sesiones (
+  id SERIAL PRIMARY KEY,
+  usuario_id INTEGER NOT NULL REFERENCES usuarios(id) ON DELETE CASCADE,
+  token_hash VARCHAR(64) UNIQUE NOT NULL,
+  user_agent TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  revocada_at TIMESTAMP,
+  reemplazada_por INTEGER REFERENCES sesiones(id) ON DELETE SET NULL
+);
+
+-- Enlaces de recuperación de contraseña (un solo uso, guardados como hash)
+CREATE TABLE IF NOT EXISTS password_resets (
+  id SERIAL PRIMARY KEY,
+  usuario_id INTEGER NOT NULL REFERENCES usuarios(id) ON DELETE CASCADE,
+  token_hash VARCHAR(64) UNIQUE NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  usado_at TIMESTAMP
+);
+
+-- Enlaces de verificación de email (un solo uso, guardados como hash)
+CREATE TABLE IF NOT EXISTS verificaciones_email (
+  id SERIAL PRIMARY KEY,
+  usuario_id INTEGER NOT NULL REFERENCES usuarios(id) ON DELETE CASCADE,
+  token_hash VARCHAR(64) UNIQUE NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  usado_at TIMESTAMP
+);
+
+-- Partidas (sesiones de juego) con los residuos repartidos cada día
+CREATE TABLE IF NOT EXISTS partidas (
+  id SERIAL PRIMARY KEY,
+  usuario_id INTEGER NOT NULL REFERENCES usuarios(id) ON DELETE CASCADE,
+  fecha DATE NOT NULL DEFAULT CURRENT_DATE,
+  esquema VARCHAR(20) REFERENCES esquemas_contenedores(codigo) ON DELETE SET NULL, -- contenedores con los que se reparte y corrige
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  cerrada_at TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS partida_residuos (
+  partida_id INTEGER NOT NULL REFERENCES partidas(id) ON DELETE CASCADE,
+  residuo_id INTEGER NOT NULL REFERENCES residuos(id),
+  orden INTEGER NOT NULL,
+  intentos INTEGER DEFAULT 0,
+  resuelto BOOLEAN DEFAULT FALSE,
+  PRIMARY KEY (partida_id, residuo_id)
+);
+
+-- Historial: partida y lo otorgado en cada clasificación (rankings por periodo)
+ALTER TABLE historial
+  ADD COLUMN IF NOT EXISTS partida_id INTEGER REFERENCES partidas(id) ON DELETE SET NULL;
+
+-- Las clasificaciones que ya existían valían 10 puntos y el CO2 del residuo
+-- por acierto: se rellenan para que rankings y eventos (003) no las pierdan
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = 'historial' AND column_name = 'puntos'
+  ) THEN
+    ALTER TABLE historial
+      ADD COLUMN puntos INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS co2 DECIMAL(10,3) NOT NULL DEFAULT 0;
+    UPDATE historial h SET puntos = 10, co2 = r.co2_kg
+    FROM residuos r
+    WHERE r.id = h.residuo_id AND h.acierto;
+  END IF;
+END $$;
+
+-- Ligas privadas (se unen con el código de invitación)
+CREATE TABLE IF NOT EXISTS ligas (
+  id SERIAL PRIMARY KEY,
+  nombre VARCHAR(100) NOT NULL,
+  codigo VARCHAR(12) UNIQUE NOT NULL,
+  creador_id INTEGER REFERENCES usuarios(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS liga_miembros (
+  liga_id INTEGER NOT NULL REFERENCES ligas(id) ON DELETE CASCADE,
+  usuario_id INTEGER NOT NULL REFERENCES usuarios(id) ON DELETE CASCADE,
+  unido_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (liga_id, usuario_id)
+);
+
+-- Logros obtenidos (el catálogo y sus reglas están en server/logros.js)
+CREATE TABLE IF NOT EXISTS logros_usuario (
+  usuario_id INTEGER NOT NULL REFERENCES usuarios(id) ON DELETE CASCADE,
+  logro VARCHAR(50) NOT NULL,
+  obtenido_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (usuario_id, logro)
+);
+
+-- Días de racha cubiertos con una congelación (ver server/rachas.js)
+CREATE TABLE IF NOT EXISTS rachas_congeladas (
+  usuario_id INTEGER NOT NULL REFERENCES usuarios(id) ON DELETE CASCADE,
+  fecha DATE NOT NULL, -- día local del usuario
+  PRIMARY KEY (usuario_id, fecha)
+);
+
+CREATE INDEX IF NOT EXISTS idx_partidas_usuario_fecha ON partidas(usuario_id, fecha);
+CREATE INDEX IF NOT EXISTS idx_sesiones_usuario ON sesiones(usuario_id);
+CREATE INDEX IF NOT EXISTS idx_liga_miembros_usuario ON liga_miembros(usuario_id);
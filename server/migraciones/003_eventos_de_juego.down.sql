@@ -0,0 +1,24 @@
+-- Vuelve a la tabla historial con las clasificaciones; se pierden los
+-- intentos fallidos, las pistas y los inicios de partida
+DROP VIEW IF EXISTS historial;
+
+CREATE TABLE historial (
+  id SERIAL PRIMARY KEY,
+  usuario_id INTEGER NOT NULL REFERENCES usuarios(id) ON DELETE CASCADE,
+  residuo_id INTEGER NOT NULL REFERENCES residuos(id),
+  acierto BOOLEAN DEFAULT FALSE,
+  fecha TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  partida_id INTEGER REFERENCES partidas(id) ON DELETE SET NULL,
+  puntos INTEGER NOT NULL DEFAULT 0,
+  co2 DECIMAL(10,3) NOT NULL DEFAULT 0
+);
+
+INSERT INTO historial (usuario_id, residuo_id, acierto, fecha, partida_id, puntos, co2)
+SELECT usuario_id, residuo_id, intento = 1, fecha, partida_id, COALESCE(puntos, 0), COALESCE(co2, 0)
+FROM eventos
+WHERE tipo = 'intento' AND correcto
+ORDER BY fecha, id;
+
+CREATE INDEX idx_historial_usuario_fecha ON historial(usuario_id, fecha);
+
+DROP TABLE IF EXISTS eventos;
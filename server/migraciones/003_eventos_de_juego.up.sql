@@ -0,0 +1,52 @@
+-- Registro único de eventos de juego (ver server/eventos.js).
+-- Sustituye a la tabla historial y a la copia en MongoDB (LogPartida):
+--   - Cada intento de clasificar queda registrado, también los contenedores
+--     equivocados, con el contenedor elegido y el tiempo que tardó el jugador
+--   - historial pasa a ser una vista de los intentos correctos, con las mismas
+--     columnas que la tabla, así que rankings, estadísticas, rachas, logros y
+--     repaso la siguen leyendo igual
+
+CREATE TABLE eventos (
+  id BIGSERIAL PRIMARY KEY,
+  tipo VARCHAR(30) NOT NULL CHECK (tipo IN ('partida_iniciada', 'intento', 'pista')),
+  usuario_id INTEGER NOT NULL REFERENCES usuarios(id) ON DELETE CASCADE,
+  partida_id INTEGER REFERENCES partidas(id) ON DELETE SET NULL,   -- sesión de juego
+  residuo_id INTEGER REFERENCES residuos(id),
+  esquema VARCHAR(20),                 -- esquema de contenedores con el que se jugó
+  contenedor_correcto VARCHAR(20),
+  contenedor_elegido VARCHAR(20),
+  correcto BOOLEAN,
+  intento INTEGER,                     -- nº de intento con ese residuo en la partida (1 = a la primera)
+  tiempo_ms INTEGER,                   -- desde que apareció el residuo hasta que se soltó
+  puntos INTEGER,                      -- otorgado (solo en intentos correctos)
+  co2 DECIMAL(10,3),
+  fecha TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Las clasificaciones que había: una por residuo resuelto. No se sabe qué
+-- contenedores equivocados se eligieron antes, solo cuántos intentos hubo
+-- si la partida sigue existiendo
+INSERT INTO eventos (tipo, usuario_id, partida_id, residuo_id, esquema, contenedor_correcto,
+                     contenedor_elegido, correcto, intento, puntos, co2, fecha)
+SELECT 'intento', h.usuario_id, h.partida_id, h.residuo_id, p.esquema,
+       COALESCE(rc.contenedor, r.tipo), COALESCE(rc.contenedor, r.tipo), TRUE,
+       CASE WHEN h.acierto THEN 1 ELSE GREATEST(COALESCE(pr.intentos, 2), 2) END,
+       h.puntos, h.co2, h.fecha
+FROM historial h
+JOIN residuos r ON r.id = h.residuo_id
+LEFT JOIN partidas p ON p.id = h.partida_id
+LEFT JOIN partida_residuos pr ON pr.partida_id = h.partida_id AND pr.residuo_id = h.residuo_id
+LEFT JOIN residuo_contenedores rc ON rc.residuo_id = h.residuo_id AND rc.esquema = p.esquema
+ORDER BY h.fecha, h.id;
+
+DROP TABLE historial;
+
+-- Clasificaciones (residuos resueltos): acierto = resuelto a la primera
+CREATE VIEW historial AS
+SELECT id, usuario_id, residuo_id, partida_id, intento = 1 AS acierto, puntos, co2, fecha
+FROM eventos
+WHERE tipo = 'intento' AND correcto;
+
+CREATE INDEX idx_eventos_clasificaciones ON eventos(usuario_id, fecha) WHERE tipo = 'intento' AND correcto;
+CREATE INDEX idx_eventos_fecha ON eventos(fecha);
+CREATE INDEX idx_eventos_residuo ON eventos(residuo_id);
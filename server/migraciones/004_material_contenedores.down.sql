@@ -0,0 +1 @@
+ALTER TABLE contenedores DROP COLUMN IF EXISTS material;
@@ -0,0 +1,8 @@
+-- Material de cada contenedor, común a todos los esquemas regionales: los
+-- códigos cambian por región (green, glass_white, glass_green...) pero las
+-- reglas que dependen del material, como el logro vidrio_100, no.
+-- Los valores de los esquemas incluidos los pone `npm run seed`; aquí se
+-- completan los contenedores de vidrio que ya existieran.
+ALTER TABLE contenedores ADD COLUMN material VARCHAR(20);
+
+UPDATE contenedores SET material = 'vidrio' WHERE codigo = 'green' OR codigo LIKE 'glass\_%';
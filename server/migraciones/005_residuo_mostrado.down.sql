@@ -0,0 +1 @@
+ALTER TABLE partida_residuos DROP COLUMN IF EXISTS mostrado_at;
@@ -0,0 +1,4 @@
+-- Momento en que el servidor supo que se mostró cada residuo de la partida
+-- (ruta .../residuos/:residuoId/mostrado). El bonus por rapidez se calcula
+-- desde aquí y no solo con el tiempo que declara el cliente.
+ALTER TABLE partida_residuos ADD COLUMN mostrado_at TIMESTAMP;
@@ -0,0 +1,2 @@
+-- Los emails quedan en minúsculas
+ALTER TABLE usuarios DROP CONSTRAINT IF EXISTS usuarios_email_normalizado;
@@ -0,0 +1,26 @@
+-- Los emails se guardan sin espacios y en minúsculas (normalizarEmail en
+-- index.js): login, recuperación y reenvío de verificación los buscan igual,
+-- y 'Ana@X.com' ya no puede registrarse aparte de 'ana@x.com'.
+-- Si ya hay cuentas cuyo email solo se diferencia en mayúsculas o espacios,
+-- la migración se detiene: hay que unificarlas o cambiar uno de los emails.
+DO $$
+DECLARE
+  repetidos TEXT;
+BEGIN
+  SELECT string_agg(emails, '; ') INTO repetidos
+  FROM (
+    SELECT string_agg(email, ', ' ORDER BY id) AS emails
+    FROM usuarios
+    GROUP BY LOWER(TRIM(email))
+    HAVING COUNT(*) > 1
+  ) grupos;
+
+  IF repetidos IS NOT NULL THEN
+    RAISE EXCEPTION 'Cuentas con el mismo email salvo mayúsculas o espacios: %', repetidos;
+  END IF;
+END $$;
+
+UPDATE usuarios SET email = LOWER(TRIM(email)) WHERE email <> LOWER(TRIM(email));
+
+-- Cualquier escritura que no normalice falla en lugar de crear un duplicado
+ALTER TABLE usuarios ADD CONSTRAINT usuarios_email_normalizado CHECK (email = LOWER(TRIM(email)));
@@ -0,0 +1,219 @@
+// =============================
+// MIGRACIONES
+// =============================
+// Versionado del esquema de PostgreSQL con pares de archivos SQL en server/migraciones:
+//   NNN_nombre.up.sql    aplica el cambio
+//   NNN_nombre.down.sql  lo deshace
+// Se aplican por orden de nombre, cada una en su propia transacción, y la tabla
+// `migraciones` registra las aplicadas. El servidor no arranca si queda alguna
+// pendiente (ver comprobarMigraciones en index.js).
+//
+// Uso desde server/ (ver los scripts de package.json):
+//   node migrador.js up          aplica las pendientes
+//   node migrador.js down [n]    deshace las n últimas aplicadas (1 por defecto)
+//   node migrador.js status      lista aplicadas y pendientes
+const fs = require('fs');
+const path = require('path');
+
+const DIRECTORIO_MIGRACIONES = path.join(__dirname, 'migraciones');
+
+// Cerrojo de sesión: dos procesos no pueden migrar a la vez
+const CERROJO = "hashtext('migraciones')";
+
+/**
+ * Lee los pares up/down del directorio de migraciones
+ * @returns {Array<{version: string, up: string, down: string}>} en orden de aplicación
+ * @throws {Error} Si a una migración le falta su up o su down
+ */
+function leerMigraciones(directorio = DIRECTORIO_MIGRACIONES) {
+  const versiones = [...new Set(
+    fs.readdirSync(directorio)
+      .map(archivo => (archivo.match(/^(.+)\.(up|down)\.sql$/) || [])[1])
+      .filter(Boolean)
+  )].sort();
+
+  return versiones.map(version => {
+    const leer = (sentido) => {
+      const ruta = path.join(directorio, `${version}.${sentido}.sql`);
+      if (!fs.existsSync(ruta)) throw new Error(`Falta ${version}.${sentido}.sql en ${directorio}`);
+      return fs.readFileSync(ruta, 'utf8');
+    };
+    return { version, up: leer('up'), down: leer('down') };
+  });
+}
+
+/**
+ * Migraciones registradas en la BD (vacío si la tabla aún no existe)
+ * @returns {Promise<Array<{version, aplicada_at}>>} en orden de versión
+ */
+async function consultarAplicadas(db) {
+  const tabla = await db.query("SELECT to_regclass('migraciones') IS NOT NULL AS existe");
+  if (!tabla.rows[0].existe) return [];
+
+  const result = await db.query('SELECT version, aplicada_at FROM migraciones ORDER BY version');
+  return result.rows;
+}
+
+/**
+ * Compara los archivos con lo aplicado en la BD
+ * @returns {Promise<{aplicadas: Array, pendientes: string[], desconocidas: string[]}>}
+ *   desconocidas = aplicadas en la BD sin archivo (código más antiguo que la BD)
+ */
+async function estadoMigraciones(db, migraciones = leerMigraciones()) {
+  const aplicadas = await consultarAplicadas(db);
+  const hechas = new Set(aplicadas.map(fila => fila.version));
+  const conocidas = new Set(migraciones.map(migracion => migracion.version));
+
+  return {
+    aplicadas,
+    pendientes: migraciones.filter(migracion => !hechas.has(migracion.version)).map(migracion => migracion.version),
+    desconocidas: aplicadas.filter(fila => !conocidas.has(fila.version)).map(fila => fila.version)
+  };
+}
+
+/**
+ * Ejecuta fn con un cliente que tiene el cerrojo de migraciones
+ */
+async function conCerrojo(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query(`SELECT pg_advisory_lock(${CERROJO})`);
+    return await fn(client);
+  } finally {
+    await client.query(`SELECT pg_advisory_unlock(${CERROJO})`).catch(() => {});
+    client.release();
+  }
+}
+
+/**
+ * Ejecuta el SQL de una migración y su registro en una sola transacción
+ */
+async function ejecutarMigracion(client, sql, registro, version) {
+  try {
+    await client.query('BEGIN');
+    await client.query(sql);
+    await client.query(registro, [version]);
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    err.message = `Migración ${version}: ${err.message}`;
+    throw err;
+  }
+}
+
+/**
+ * Aplica las migraciones pendientes en orden; si una falla, se detiene ahí
+ * @param {Pool} pool - Pool de PostgreSQL
+ * @param {Object} opciones - { log: función para informar de cada paso }
+ * @returns {Promise<string[]>} Versiones aplicadas
+ */
+async function migrar(pool, { log = () => {} } = {}) {
+  const migraciones = leerMigraciones();
+
+  return conCerrojo(pool, async (client) => {
+    await client.query(
+      `CREATE TABLE IF NOT EXISTS migraciones (
+         version VARCHAR(255) PRIMARY KEY,
+         aplicada_at TIMESTAMP NOT NULL DEFAULT NOW()
+       )`
+    );
+
+    const { pendientes } = await estadoMigraciones(client, migraciones);
+    for (const version of pendientes) {
+      const { up } = migraciones.find(migracion => migracion.version === version);
+      await ejecutarMigracion(client, up, 'INSERT INTO migraciones (version) VALUES ($1)', version);
+      log(`⬆️  ${version}`);
+    }
+    return pendientes;
+  });
+}
+
+/**
+ * Deshace las últimas migraciones aplicadas, de la más reciente hacia atrás
+ * @param {Pool} pool - Pool de PostgreSQL
+ * @param {number} pasos - Cuántas deshacer
+ * @param {Object} opciones - { log }
+ * @returns {Promise<string[]>} Versiones deshechas
+ */
+async function revertir(pool, pasos = 1, { log = () => {} } = {}) {
+  const migraciones = leerMigraciones();
+
+  return conCerrojo(pool, async (client) => {
+    const aplicadas = await consultarAplicadas(client);
+    const deshacer = aplicadas.map(fila => fila.version).reverse().slice(0, pasos);
+
+    for (const version of deshacer) {
+      const migracion = migraciones.find(item => item.version === version);
+      if (!migracion) throw new Error(`No hay archivos para deshacer ${version}`);
+      await ejecutarMigracion(client, migracion.down, 'DELETE FROM migraciones WHERE version = $1', version);
+      log(`⬇️  ${version}`);
+    }
+    return deshacer;
+  });
+}
+
+/**
+ * Falla si hay migraciones pendientes: el código depende del esquema más reciente
+ * @returns {Promise<{desconocidas: string[]}>} Aplicadas en la BD que este código no conoce
+ */
+async function comprobarMigraciones(db) {
+  const { pendientes, desconocidas } = await estadoMigraciones(db);
+
+  if (pendientes.length > 0) {
+    throw new Error(
+      `Hay ${pendientes.length} migraciones pendientes (${pendientes.join(', ')}). ` +
+      'Ejecuta "npm run migrate" en server/'
+    );
+  }
+  return { desconocidas };
+}
+
+module.exports = {
+  leerMigraciones,
+  estadoMigraciones,
+  migrar,
+  revertir,
+  comprobarMigraciones
+};
+
+// =============================
+// LÍNEA DE COMANDOS
+// =============================
+if (require.main === module) {
+  require('dotenv').config();
+  const { crearPool } = require('./db');
+
+  const pool = crearPool();
+  const [orden = 'status', argumento] = process.argv.slice(2);
+
+  const ordenes = {
+    up: async () => {
+      const aplicadas = await migrar(pool, { log: console.log });
+      console.log(aplicadas.length ? `✅ ${aplicadas.length} migraciones aplicadas` : '✅ No hay migraciones pendientes');
+    },
+    down: async () => {
+      const pasos = argumento === undefined ? 1 : parseInt(argumento, 10);
+      if (!(pasos > 0)) throw new Error('down espera un número de migraciones mayor que 0');
+      const deshechas = await revertir(pool, pasos, { log: console.log });
+      console.log(deshechas.length ? `✅ ${deshechas.length} migraciones deshechas` : '✅ No hay migraciones aplicadas');
+    },
+    status: async () => {
+      const { aplicadas, pendientes, desconocidas } = await estadoMigraciones(pool);
+      aplicadas.forEach(fila => console.log(`✔ ${fila.version}  (${fila.aplicada_at.toISOString()})`));
+      pendientes.forEach(version => console.log(`… ${version}  (pendiente)`));
+      desconocidas.forEach(version => console.log(`? ${version}  (aplicada, sin archivo)`));
+    }
+  };
+
+  if (!ordenes[orden]) {
+    console.error('Uso: node migrador.js up | down [n] | status');
+    process.exit(1);
+  }
+
+  ordenes[orden]()
+    .catch(err => {
+      console.error('❌', err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
@@ -0,0 +1,83 @@
+// =============================
+// PUNTUACIÓN
+// =============================
+// Calcula lo que se otorga al clasificar un residuo correctamente:
+//   - Puntos base según la dificultad del residuo (residuos.dificultad, 1-3)
+//   - Cada contenedor equivocado reduce la recompensa a la mitad; a partir
+//     de FALLOS_SIN_RECOMPENSA fallos no se otorga nada
+//   - Bonus por rapidez solo a la primera: máximo hasta TIEMPO_RAPIDO_MS y
+//     decreciente hasta 0 en TIEMPO_SIN_BONUS_MS. El tiempo lo mide el servidor
+//     (ver tiempoDeRespuesta): el que envía el cliente no puede mejorarlo
+//   - El CO2 es el del residuo (residuos.co2_kg) con la misma reducción por fallos
+
+const PUNTOS_BASE = 10;
+const MULTIPLICADOR_DIFICULTAD = { 1: 1, 2: 1.5, 3: 2 };
+const REDUCCION_POR_FALLO = 0.5;
+const FALLOS_SIN_RECOMPENSA = 3;
+const BONUS_RAPIDEZ_MAX = 5;
+const TIEMPO_RAPIDO_MS = 3000;
+const TIEMPO_SIN_BONUS_MS = 10000;
+
+/**
+ * Factor de la recompensa tras `fallos` contenedores equivocados
+ */
+const factorFallos = (fallos) => (fallos >= FALLOS_SIN_RECOMPENSA ? 0 : REDUCCION_POR_FALLO ** fallos);
+
+/**
+ * Tiempo de respuesta con el que se calcula el bonus: el mayor entre el que
+ * declara el cliente y el que mide el servidor, así que el cliente solo puede
+ * declararse más lento
+ * @param {number|null} declarado - tiempo_ms enviado por el cliente
+ * @param {number|null} medido - Desde que el servidor supo que se mostró el residuo
+ * @returns {number|null} null si el servidor no lo ha medido (sin bonus)
+ */
+const tiempoDeRespuesta = (declarado, medido) => (medido === null ? null : Math.max(medido, declarado || 0));
+
+/**
+ * Bonus por rapidez para un tiempo de respuesta
+ * @param {number|null} tiempoMs - null si no se conoce (sin bonus)
+ */
+function bonusRapidez(tiempoMs) {
+  if (tiempoMs === null || tiempoMs >= TIEMPO_SIN_BONUS_MS) return 0;
+  if (tiempoMs <= TIEMPO_RAPIDO_MS) return BONUS_RAPIDEZ_MAX;
+  return Math.round(BONUS_RAPIDEZ_MAX * (TIEMPO_SIN_BONUS_MS - tiempoMs) / (TIEMPO_SIN_BONUS_MS - TIEMPO_RAPIDO_MS));
+}
+
+/**
+ * Puntuación de una clasificación correcta con su desglose
+ * @param {object} residuo - { dificultad, co2_kg }
+ * @param {object} jugada - { fallos, tiempoMs }
+ * @returns {{puntos, co2, desglose: {base, dificultad, fallos, reduccion, bonus_rapidez, tiempo_ms, puntos, co2}}}
+ */
+function calcularPuntuacion({ dificultad, co2_kg }, { fallos, tiempoMs = null }) {
+  const nivel = MULTIPLICADOR_DIFICULTAD[dificultad] ? dificultad : 1;
+  const base = Math.round(PUNTOS_BASE * MULTIPLICADOR_DIFICULTAD[nivel]);
+  const factor = factorFallos(fallos);
+  const conFallos = Math.round(base * factor);
+  const bonus = fallos === 0 ? bonusRapidez(tiempoMs) : 0;
+
+  const puntos = conFallos + bonus;
+  const co2 = Math.round((parseFloat(co2_kg) || 0) * factor * 1000) / 1000;
+
+  return {
+    puntos,
+    co2,
+    desglose: {
+      base,
+      dificultad: nivel,
+      fallos,
+      reduccion: base - conFallos, // puntos perdidos por los fallos
+      bonus_rapidez: bonus,
+      tiempo_ms: tiempoMs,
+      puntos,
+      co2
+    }
+  };
+}
+
+module.exports = {
+  FALLOS_SIN_RECOMPENSA,
+  factorFallos,
+  tiempoDeRespuesta,
+  calcularPuntuacion
+};
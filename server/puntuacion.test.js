@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FALLOS_SIN_RECOMPENSA, factorFallos, tiempoDeRespuesta, calcularPuntuacion } = require('./puntuacion');
+
+test('factorFallos: cada fallo reduce a la mitad hasta no otorgar nada', () => {
+  assert.equal(factorFallos(0), 1);
+  assert.equal(factorFallos(1), 0.5);
+  assert.equal(factorFallos(2), 0.25);
+  assert.equal(factorFallos(FALLOS_SIN_RECOMPENSA), 0);
+  assert.equal(factorFallos(FALLOS_SIN_RECOMPENSA + 4), 0);
+});
+
+test('calcularPuntuacion: puntos base según la dificultad', () => {
+  const puntos = (dificultad) => calcularPuntuacion({ dificultad, co2_kg: '0' }, { fallos: 0 }).puntos;
+
+  assert.equal(puntos(1), 10);
+  assert.equal(puntos(2), 15);
+  assert.equal(puntos(3), 20);
+  // Dificultad desconocida: como la 1
+  assert.equal(puntos(7), 10);
+  assert.equal(puntos(null), 10);
+});
+
+test('calcularPuntuacion: bonus por rapidez solo a la primera', () => {
+  const residuo = { dificultad: 1, co2_kg: '0.050' };
+  const puntos = (fallos, tiempoMs) => calcularPuntuacion(residuo, { fallos, tiempoMs }).puntos;
+
+  assert.equal(puntos(0, 1000), 15);
+  assert.equal(puntos(0, 3000), 15);
+  assert.equal(puntos(0, 6500), 13);
+  assert.equal(puntos(0, 10000), 10);
+  assert.equal(puntos(0, undefined), 10);
+  assert.equal(puntos(1, 1000), 5);
+});
+
+test('tiempoDeRespuesta: el cliente no puede declararse más rápido de lo medido', () => {
+  assert.equal(tiempoDeRespuesta(0, 8000), 8000);
+  assert.equal(tiempoDeRespuesta(null, 2500), 2500);
+  assert.equal(tiempoDeRespuesta(4000, 3500), 4000);
+  assert.equal(tiempoDeRespuesta(0, null), null);
+});
+
+test('calcularPuntuacion: un tiempo_ms de 0 inventado no gana el bonus', () => {
+  const residuo = { dificultad: 1, co2_kg: '0.050' };
+  const { puntos, desglose } = calcularPuntuacion(residuo, { fallos: 0, tiempoMs: tiempoDeRespuesta(0, 12000) });
+
+  assert.equal(puntos, 10);
+  assert.equal(desglose.bonus_rapidez, 0);
+  assert.equal(desglose.tiempo_ms, 12000);
+});
+
+test('calcularPuntuacion: los fallos reducen puntos y CO2', () => {
+  const residuo = { dificultad: 3, co2_kg: '0.250' };
+
+  assert.deepEqual(calcularPuntuacion(residuo, { fallos: 2, tiempoMs: 2000 }), {
+    puntos: 5,
+    co2: 0.063,
+    desglose: {
+      base: 20,
+      dificultad: 3,
+      fallos: 2,
+      reduccion: 15,
+      bonus_rapidez: 0,
+      tiempo_ms: 2000,
+      puntos: 5,
+      co2: 0.063
+    }
+  });
+
+  const sinRecompensa = calcularPuntuacion(residuo, { fallos: FALLOS_SIN_RECOMPENSA });
+  assert.equal(sinRecompensa.puntos, 0);
+  assert.equal(sinRecompensa.co2, 0);
+});
+
+test('calcularPuntuacion: CO2 no numérico cuenta como 0', () => {
+  assert.equal(calcularPuntuacion({ dificultad: 1, co2_kg: null }, { fallos: 0 }).co2, 0);
+});
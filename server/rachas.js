@@ -0,0 +1,213 @@
+// =============================
+// RACHAS
+// =============================
+// Días seguidos completando el cupo diario, contados en la zona horaria
+// del usuario (usuarios.zona_horaria). Un día completo es aquel con al menos
+// `limiteDiario` clasificaciones en historial.
+//
+// Congelaciones: cada RACHA_DIAS_POR_CONGELACION días de racha se gana una
+// (hasta CONGELACIONES_MAX). Si el usuario falta uno o varios días y tiene
+// congelaciones suficientes para cubrirlos todos, se gastan automáticamente
+// al completar el cupo de hoy (dentro de la transacción de /progreso) y esos
+// días quedan registrados en `rachas_congeladas`. Las consultas (stats-hoy,
+// logros) no modifican nada: usan consultarRacha o cargarDias + calcularRachas.
+
+const RACHA_DIAS_POR_CONGELACION = 7;
+const CONGELACIONES_MAX = 2;
+
+/**
+ * Día local de una columna timestamp de historial; requiere el alias `u` para usuarios
+ * (los timestamp sin zona se guardan con NOW() en la zona de la sesión de PostgreSQL)
+ */
+const diaLocal = (columna) => `(${columna}::timestamptz AT TIME ZONE u.zona_horaria)::date`;
+
+// Día de hoy en la zona del usuario; requiere el alias `u` para usuarios
+const HOY_LOCAL = '(NOW() AT TIME ZONE u.zona_horaria)::date';
+
+// Aritmética de fechas 'AAAA-MM-DD' sin depender de la zona del proceso
+const sumarDias = (dia, n) => {
+  const fecha = new Date(`${dia}T00:00:00Z`);
+  fecha.setUTCDate(fecha.getUTCDate() + n);
+  return fecha.toISOString().slice(0, 10);
+};
+
+const diasEntre = (desde, hasta) => Math.round((new Date(`${hasta}T00:00:00Z`) - new Date(`${desde}T00:00:00Z`)) / 86400000);
+
+/**
+ * Racha actual y mejor racha de un conjunto de días
+ * La racha actual sigue viva mientras hoy no haya terminado: cuenta desde hoy
+ * si ya está completo o desde ayer si todavía no
+ * @param {Set<string>} dias - Días completos o congelados ('AAAA-MM-DD')
+ * @param {string} hoy - Día local del usuario
+ */
+function calcularRachas(dias, hoy) {
+  let actual = 0;
+  let dia = dias.has(hoy) ? hoy : sumarDias(hoy, -1);
+  while (dias.has(dia)) {
+    actual++;
+    dia = sumarDias(dia, -1);
+  }
+
+  let mejor = 0;
+  let largo = 0;
+  let anterior = null;
+  [...dias].sort().forEach((d) => {
+    largo = anterior && diasEntre(anterior, d) === 1 ? largo + 1 : 1;
+    mejor = Math.max(mejor, largo);
+    anterior = d;
+  });
+
+  return { actual, mejor };
+}
+
+/**
+ * Carga los días de racha del usuario
+ * @returns {Promise<{hoy: string, completos: Set, congelados: Set, congelaciones: number}>}
+ */
+async function cargarDias(db, usuarioId, limiteDiario) {
+  const usuario = await db.query(
+    `SELECT TO_CHAR(${HOY_LOCAL}, 'YYYY-MM-DD') AS hoy, u.congelaciones
+     FROM usuarios u WHERE u.id = $1`,
+    [usuarioId]
+  );
+
+  const completos = await db.query(
+    `SELECT TO_CHAR(${diaLocal('h.fecha')}, 'YYYY-MM-DD') AS dia
+     FROM historial h JOIN usuarios u ON u.id = h.usuario_id
+     WHERE h.usuario_id = $1
+     GROUP BY 1
+     HAVING COUNT(*) >= $2`,
+    [usuarioId, limiteDiario]
+  );
+
+  const congelados = await db.query(
+    "SELECT TO_CHAR(fecha, 'YYYY-MM-DD') AS dia FROM rachas_congeladas WHERE usuario_id = $1",
+    [usuarioId]
+  );
+
+  return {
+    hoy: usuario.rows[0].hoy,
+    congelaciones: usuario.rows[0].congelaciones,
+    completos: new Set(completos.rows.map(fila => fila.dia)),
+    congelados: new Set(congelados.rows.map(fila => fila.dia))
+  };
+}
+
+/**
+ * Días perdidos entre el último día de racha y hoy (sin contar hoy, que aún no
+ * ha terminado), si las congelaciones disponibles alcanzan para cubrirlos todos
+ * @param {Set<string>} dias - Días completos o congelados ('AAAA-MM-DD')
+ * @param {string} hoy - Día local del usuario
+ * @param {number} disponibles - Congelaciones del usuario
+ * @returns {string[]} Días a cubrir (vacío si no hay hueco o no alcanzan)
+ */
+function diasPorCongelar(dias, hoy, disponibles) {
+  const ultimo = [...dias].filter(d => d < hoy).sort().pop();
+  if (!ultimo) return [];
+
+  const perdidos = diasEntre(ultimo, hoy) - 1;
+  if (perdidos <= 0 || perdidos > disponibles) return [];
+
+  return Array.from({ length: perdidos }, (_, i) => sumarDias(ultimo, i + 1));
+}
+
+/**
+ * Racha del usuario sin modificar nada
+ * Los días perdidos que las congelaciones pueden cubrir ya cuentan en `actual`
+ * (se gastarán al completar el cupo de hoy) y se listan en `por_congelar`
+ * @param {object} db - Pool o cliente de PostgreSQL
+ * @param {number} usuarioId - ID del usuario
+ * @param {{limiteDiario: number}} contexto
+ * @returns {Promise<{actual, mejor, congelaciones, hoy_completo, por_congelar}>}
+ */
+async function consultarRacha(db, usuarioId, { limiteDiario }) {
+  const { hoy, completos, congelados, congelaciones } = await cargarDias(db, usuarioId, limiteDiario);
+  const dias = new Set([...completos, ...congelados]);
+  const porCongelar = diasPorCongelar(dias, hoy, congelaciones);
+  porCongelar.forEach(d => dias.add(d));
+
+  return {
+    ...calcularRachas(dias, hoy),
+    congelaciones,
+    hoy_completo: completos.has(hoy),
+    por_congelar: porCongelar
+  };
+}
+
+/**
+ * Calcula la racha del usuario gastando congelaciones si cubren los días perdidos
+ * (solo desde registrarDiaCompleto, en la transacción de /progreso)
+ * @param {object} db - Pool o cliente de PostgreSQL
+ * @param {number} usuarioId - ID del usuario
+ * @param {{limiteDiario: number}} contexto
+ * @returns {Promise<{actual, mejor, congelaciones, hoy_completo, congelados_ahora}>}
+ *   congelados_ahora: días cubiertos con congelaciones en esta llamada
+ */
+async function actualizarRacha(db, usuarioId, { limiteDiario }) {
+  const { hoy, completos, congelados, congelaciones } = await cargarDias(db, usuarioId, limiteDiario);
+  const dias = new Set([...completos, ...congelados]);
+  let disponibles = congelaciones;
+  let congeladosAhora = diasPorCongelar(dias, hoy, disponibles);
+
+  if (congeladosAhora.length > 0) {
+    // Gasto e inserción en una sola sentencia: o se cubren todos o ninguno
+    const gasto = await db.query(
+      `WITH gasto AS (
+         UPDATE usuarios SET congelaciones = congelaciones - $2
+         WHERE id = $1 AND congelaciones >= $2
+         RETURNING id
+       )
+       INSERT INTO rachas_congeladas (usuario_id, fecha)
+       SELECT gasto.id, dia FROM gasto, UNNEST($3::date[]) AS dia
+       ON CONFLICT DO NOTHING
+       RETURNING fecha`,
+      [usuarioId, congeladosAhora.length, congeladosAhora]
+    );
+
+    if (gasto.rows.length > 0) {
+      congeladosAhora.forEach(d => dias.add(d));
+      disponibles -= congeladosAhora.length;
+    } else {
+      congeladosAhora = [];
+    }
+  }
+
+  return {
+    ...calcularRachas(dias, hoy),
+    congelaciones: disponibles,
+    hoy_completo: completos.has(hoy),
+    congelados_ahora: congeladosAhora
+  };
+}
+
+/**
+ * Se llama cuando el usuario acaba de completar el cupo de hoy:
+ * actualiza la racha y concede una congelación cada RACHA_DIAS_POR_CONGELACION días
+ * @returns {Promise<object>} Racha (como actualizarRacha) con `congelacion_ganada`
+ */
+async function registrarDiaCompleto(db, usuarioId, contexto) {
+  const racha = await actualizarRacha(db, usuarioId, contexto);
+  let congelacionGanada = false;
+
+  if (racha.actual > 0 && racha.actual % RACHA_DIAS_POR_CONGELACION === 0 && racha.congelaciones < CONGELACIONES_MAX) {
+    await db.query('UPDATE usuarios SET congelaciones = congelaciones + 1 WHERE id = $1', [usuarioId]);
+    racha.congelaciones++;
+    congelacionGanada = true;
+  }
+
+  return { ...racha, congelacion_ganada: congelacionGanada };
+}
+
+module.exports = {
+  RACHA_DIAS_POR_CONGELACION,
+  CONGELACIONES_MAX,
+  diaLocal,
+  HOY_LOCAL,
+  diasEntre,
+  calcularRachas,
+  diasPorCongelar,
+  cargarDias,
+  consultarRacha,
+  actualizarRacha,
+  registrarDiaCompleto
+};
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calcularRachas, diasPorCongelar, diasEntre, consultarRacha, actualizarRacha } = require('./rachas');
+
+const dias = (...lista) => new Set(lista);
+
+/**
+ * Base de datos de mentira para cargarDias: responde según la tabla de la
+ * consulta y guarda las sentencias recibidas
+ */
+function crearDb({ hoy, congelaciones = 0, completos = [], congelados = [] }) {
+  const consultas = [];
+  return {
+    consultas,
+    async query(sql, valores) {
+      consultas.push(sql);
+      if (sql.includes('FROM usuarios u WHERE')) return { rows: [{ hoy, congelaciones }] };
+      if (sql.includes('FROM historial')) return { rows: completos.map(dia => ({ dia })) };
+      if (sql.includes('FROM rachas_congeladas')) return { rows: congelados.map(dia => ({ dia })) };
+      if (sql.includes('INSERT INTO rachas_congeladas')) return { rows: valores[2].map(fecha => ({ fecha })) };
+      throw new Error(`Consulta inesperada: ${sql}`);
+    }
+  };
+}
+
+test('calcularRachas: la racha sigue viva hasta que acaba hoy', () => {
+  const completos = dias('2026-03-01', '2026-03-02', '2026-03-03');
+
+  assert.deepEqual(calcularRachas(completos, '2026-03-03'), { actual: 3, mejor: 3 });
+  assert.deepEqual(calcularRachas(completos, '2026-03-04'), { actual: 3, mejor: 3 });
+  assert.deepEqual(calcularRachas(completos, '2026-03-05'), { actual: 0, mejor: 3 });
+});
+
+test('calcularRachas: la mejor racha puede ser antigua', () => {
+  const historial = dias('2026-01-10', '2026-01-11', '2026-01-12', '2026-01-13', '2026-02-01', '2026-02-02');
+  assert.deepEqual(calcularRachas(historial, '2026-02-02'), { actual: 2, mejor: 4 });
+  assert.deepEqual(calcularRachas(new Set(), '2026-02-02'), { actual: 0, mejor: 0 });
+});
+
+test('calcularRachas: cruza fin de mes, fin de año y años bisiestos', () => {
+  assert.equal(calcularRachas(dias('2024-02-28', '2024-02-29', '2024-03-01'), '2024-03-01').actual, 3);
+  assert.equal(calcularRachas(dias('2025-02-28', '2025-03-01'), '2025-03-01').actual, 2);
+  assert.equal(calcularRachas(dias('2025-12-31', '2026-01-01'), '2026-01-01').actual, 2);
+});
+
+test('calcularRachas: no depende de la zona horaria del proceso', () => {
+  // Días alrededor de los cambios de hora de EE. UU. (8 mar) y la UE (29 mar)
+  const marzo = dias('2026-03-07', '2026-03-08', '2026-03-09', '2026-03-28', '2026-03-29', '2026-03-30');
+  const zonaOriginal = process.env.TZ;
+
+  try {
+    ['UTC', 'America/Los_Angeles', 'Europe/Madrid', 'Pacific/Kiritimati', 'Pacific/Pago_Pago'].forEach((zona) => {
+      process.env.TZ = zona;
+      assert.deepEqual(calcularRachas(marzo, '2026-03-30'), { actual: 3, mejor: 3 }, zona);
+      assert.equal(diasEntre('2026-03-07', '2026-03-30'), 23, zona);
+      assert.deepEqual(diasPorCongelar(dias('2026-03-28'), '2026-03-31', 2), ['2026-03-29', '2026-03-30'], zona);
+    });
+  } finally {
+    if (zonaOriginal === undefined) delete process.env.TZ;
+    else process.env.TZ = zonaOriginal;
+  }
+});
+
+test('diasPorCongelar: cubre el hueco solo si alcanzan las congelaciones', () => {
+  const completos = dias('2026-03-01', '2026-03-02');
+
+  assert.deepEqual(diasPorCongelar(completos, '2026-03-03', 1), []);
+  assert.deepEqual(diasPorCongelar(completos, '2026-03-04', 1), ['2026-03-03']);
+  assert.deepEqual(diasPorCongelar(completos, '2026-03-05', 2), ['2026-03-03', '2026-03-04']);
+  assert.deepEqual(diasPorCongelar(completos, '2026-03-05', 1), []);
+  assert.deepEqual(diasPorCongelar(new Set(), '2026-03-05', 2), []);
+});
+
+test('diasPorCongelar: hoy no cuenta como día perdido', () => {
+  assert.deepEqual(diasPorCongelar(dias('2026-03-03'), '2026-03-04', 2), []);
+  assert.deepEqual(diasPorCongelar(dias('2026-03-01', '2026-03-04'), '2026-03-04', 2), ['2026-03-02', '2026-03-03']);
+});
+
+test('consultarRacha: cuenta los días por congelar sin gastar nada', async () => {
+  const db = crearDb({ hoy: '2026-03-05', congelaciones: 2, completos: ['2026-03-01', '2026-03-02', '2026-03-05'] });
+  const racha = await consultarRacha(db, 1, { limiteDiario: 5 });
+
+  assert.deepEqual(racha, {
+    actual: 5,
+    mejor: 5,
+    congelaciones: 2,
+    hoy_completo: true,
+    por_congelar: ['2026-03-03', '2026-03-04']
+  });
+  db.consultas.forEach(sql => assert.match(sql.trim(), /^SELECT/));
+});
+
+test('actualizarRacha: gasta las congelaciones y registra los días', async () => {
+  const db = crearDb({ hoy: '2026-03-05', congelaciones: 2, completos: ['2026-03-01', '2026-03-02', '2026-03-05'] });
+  const racha = await actualizarRacha(db, 1, { limiteDiario: 5 });
+
+  assert.equal(racha.actual, 5);
+  assert.equal(racha.congelaciones, 0);
+  assert.deepEqual(racha.congelados_ahora, ['2026-03-03', '2026-03-04']);
+  assert.ok(db.consultas.some(sql => sql.includes('INSERT INTO rachas_congeladas')));
+});
@@ -0,0 +1,107 @@
+// =============================
+// RANKING
+// =============================
+// Clasificación de usuarios verificados por puntos, global o de una liga.
+// Los periodos (dia, semana, mes) se cuentan en el día local de cada jugador
+// (usuarios.zona_horaria), igual que el cupo diario y las rachas: el "Hoy" de
+// cada uno es su propio día, así que lo que juega cerca de medianoche cae en
+// el mismo día en el ranking que en su cupo. La semana empieza el lunes.
+const { diaLocal, HOY_LOCAL } = require('./rachas');
+
+// Inicio de cada periodo en el día local del usuario (requiere el alias `u`) y
+// un límite por fecha del servidor que no descarta nada (las zonas horarias
+// distan menos de 2 días) pero deja usar el índice de eventos.fecha.
+// null = sin límite
+const PERIODOS_RANKING = {
+  dia: { inicio: HOY_LOCAL, margen: 'CURRENT_DATE - 2' },
+  semana: { inicio: `date_trunc('week', ${HOY_LOCAL})::date`, margen: "date_trunc('week', CURRENT_DATE)::date - 2" },
+  mes: { inicio: `date_trunc('month', ${HOY_LOCAL})::date`, margen: "date_trunc('month', CURRENT_DATE)::date - 2" },
+  total: null
+};
+const RANKING_POR_PAGINA = 10;
+const RANKING_MAX_POR_PAGINA = 50;
+
+/**
+ * Ranking de un periodo calculado a partir de historial (el total, con los
+ * puntos acumulados de cada usuario).
+ * Empates: gana quien llegó antes a esos puntos (última clasificación con
+ * puntos más antigua) y, si persiste, el id más bajo.
+ * La búsqueda filtra por nombre sin alterar los puestos globales
+ * @param {object} db - Pool o cliente de PostgreSQL
+ * @param {object} opciones - { periodo, usuarioId (opcional, para obtener su puesto),
+ *                             buscar (opcional), ligaId (opcional, solo sus miembros),
+ *                             limite, offset }
+ * @returns {Promise<{lideres: Array, yo: object|null, total: number}>}
+ */
+async function consultarRanking(db, { periodo, usuarioId, buscar, ligaId, limite = RANKING_POR_PAGINA, offset = 0 }) {
+  const desde = PERIODOS_RANKING[periodo];
+  // Coincidencia parcial por nombre; % y _ se buscan literalmente
+  const patron = buscar ? `%${buscar.replace(/[\\%_]/g, '\\$&')}%` : null;
+
+  const enLiga = '($2::int IS NULL OR u.id IN (SELECT usuario_id FROM liga_miembros WHERE liga_id = $2))';
+
+  // Sin periodo cuentan los totales del usuario: incluyen lo jugado antes de que
+  // historial guardara los puntos de cada clasificación
+  const puntuaciones = desde
+    ? `SELECT u.id, u.nombre,
+              SUM(h.puntos) AS puntos,
+              SUM(h.co2) AS co2_evitado,
+              MAX(h.fecha) FILTER (WHERE h.puntos > 0) AS ultima
+       FROM historial h
+       JOIN usuarios u ON u.id = h.usuario_id
+       WHERE u.verificado AND ${diaLocal('h.fecha')} >= ${desde.inicio} AND h.fecha >= ${desde.margen}
+         AND ${enLiga}
+       GROUP BY u.id
+       HAVING SUM(h.puntos) > 0`
+    : `SELECT u.id, u.nombre, u.puntos, u.co2_evitado,
+              (SELECT MAX(h.fecha) FROM historial h WHERE h.usuario_id = u.id AND h.puntos > 0) AS ultima
+       FROM usuarios u
+       WHERE u.verificado AND u.puntos > 0 AND ${enLiga}`;
+
+  const ranking = `
+    WITH puntuaciones AS (
+      ${puntuaciones}
+    ), ranking AS (
+      SELECT *, ROW_NUMBER() OVER (ORDER BY puntos DESC, ultima ASC, id ASC) AS posicion
+      FROM puntuaciones
+    ), filtrado AS (
+      SELECT * FROM ranking WHERE $1::text IS NULL OR nombre ILIKE $1
+    )`;
+
+  const total = await db.query(`${ranking} SELECT COUNT(*) FROM filtrado`, [patron, ligaId || null]);
+
+  const result = await db.query(
+    `${ranking}, pagina AS (
+       SELECT id FROM filtrado ORDER BY posicion LIMIT $3 OFFSET $4
+     )
+     SELECT id, nombre, puntos, co2_evitado, posicion, id IN (SELECT id FROM pagina) AS en_pagina
+     FROM ranking
+     WHERE id IN (SELECT id FROM pagina) OR id = $5
+     ORDER BY posicion`,
+    [patron, ligaId || null, limite, offset, usuarioId || null]
+  );
+
+  const esYo = (fila) => usuarioId !== undefined && fila.id === usuarioId;
+
+  // en_pagina solo sirve para separar la página del puesto propio: no se envía
+  const aFila = (fila) => ({
+    posicion: parseInt(fila.posicion),
+    nombre: fila.nombre,
+    puntos: parseInt(fila.puntos) || 0,
+    co2_evitado: parseFloat(fila.co2_evitado) || 0,
+    es_yo: esYo(fila)
+  });
+
+  return {
+    lideres: result.rows.filter(fila => fila.en_pagina).map(aFila),
+    yo: result.rows.filter(esYo).map(aFila)[0] || null,
+    total: parseInt(total.rows[0].count) || 0
+  };
+}
+
+module.exports = {
+  PERIODOS_RANKING,
+  RANKING_POR_PAGINA,
+  RANKING_MAX_POR_PAGINA,
+  consultarRanking
+};
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { consultarRanking } = require('./ranking');
+const { diaLocal, HOY_LOCAL } = require('./rachas');
+
+const MIGRACIONES = path.join(__dirname, 'migraciones');
+
+// Zonas en los extremos: para cualquier hora del servidor, el día local de al
+// menos una de ellas empieza o acaba en un día distinto del día del servidor
+const ZONAS = ['Pacific/Kiritimati', 'Pacific/Pago_Pago', 'Europe/Madrid'];
+
+// Instante (en la hora de la sesión, como guarda NOW()) a `segundos` de la medianoche local de hoy
+const cercaDeMedianoche = (segundos) =>
+  `(date_trunc('day', NOW() AT TIME ZONE $1) AT TIME ZONE $1)::timestamp + INTERVAL '${segundos} seconds'`;
+
+/**
+ * PostgreSQL en memoria (PGlite) con todas las migraciones aplicadas
+ */
+async function crearBd() {
+  const { PGlite } = await import('@electric-sql/pglite');
+  const db = new PGlite();
+  const archivos = fs.readdirSync(MIGRACIONES).filter(archivo => archivo.endsWith('.up.sql')).sort();
+  for (const archivo of archivos) {
+    await db.exec(fs.readFileSync(path.join(MIGRACIONES, archivo), 'utf8'));
+  }
+  return db;
+}
+
+test('consultarRanking: "dia" es el día local de cada jugador, como el cupo diario', async (t) => {
+  const db = await crearBd();
+  t.after(() => db.close());
+  await db.exec("SET TimeZone = 'UTC'");
+
+  for (const zona of ZONAS) {
+    const usuario = await db.query(
+      `INSERT INTO usuarios (nombre, email, password, verificado, zona_horaria, puntos)
+       VALUES ($1, $2, 'x', TRUE, $1, 100) RETURNING id`,
+      [zona, `${zona.toLowerCase().replace('/', '.')}@example.com`]
+    );
+    const id = usuario.rows[0].id;
+
+    // Justo después de su medianoche (hoy) y justo antes (ayer)
+    await db.query(
+      `INSERT INTO eventos (tipo, usuario_id, correcto, intento, puntos, co2, fecha)
+       VALUES ('intento', $2, TRUE, 1, 10, 0.1, ${cercaDeMedianoche(1)}),
+              ('intento', $2, TRUE, 1, 1000, 0.1, ${cercaDeMedianoche(-1)})`,
+      [zona, id]
+    );
+  }
+
+  const { lideres } = await consultarRanking(db, { periodo: 'dia' });
+  assert.deepEqual(lideres.map(({ nombre, puntos }) => ({ nombre, puntos })).sort((a, b) => a.nombre.localeCompare(b.nombre)),
+    [...ZONAS].sort().map(nombre => ({ nombre, puntos: 10 })));
+
+  // Lo mismo que cuenta el cupo diario de cada uno
+  const cupo = await db.query(
+    `SELECT u.nombre, COUNT(*)::int AS hoy
+     FROM historial h JOIN usuarios u ON u.id = h.usuario_id
+     WHERE ${diaLocal('h.fecha')} = ${HOY_LOCAL}
+     GROUP BY u.nombre`
+  );
+  cupo.rows.forEach(fila => assert.equal(fila.hoy, 1, fila.nombre));
+
+  // El total sigue siendo el acumulado del usuario
+  const total = await consultarRanking(db, { periodo: 'total' });
+  total.lideres.forEach(lider => assert.equal(lider.puntos, 100));
+});
+
+test('consultarRanking: el puesto propio y la búsqueda no cambian las posiciones', async (t) => {
+  const db = await crearBd();
+  t.after(() => db.close());
+
+  await db.exec(`
+    INSERT INTO usuarios (nombre, email, password, verificado, puntos) VALUES
+      ('Ana', 'ana@example.com', 'x', TRUE, 30),
+      ('Bea', 'bea@example.com', 'x', TRUE, 20),
+      ('Carla', 'carla@example.com', 'x', TRUE, 10),
+      ('Sin verificar', 'dani@example.com', 'x', FALSE, 50)`);
+
+  const { lideres, yo, total } = await consultarRanking(db, { periodo: 'total', usuarioId: 3, buscar: 'b', limite: 1 });
+
+  assert.equal(total, 1);
+  assert.deepEqual(lideres, [{ posicion: 2, nombre: 'Bea', puntos: 20, co2_evitado: 0, es_yo: false }]);
+  assert.deepEqual(yo, { posicion: 3, nombre: 'Carla', puntos: 10, co2_evitado: 0, es_yo: true });
+});
@@ -0,0 +1,90 @@
+// =============================
+// RATE LIMITING
+// =============================
+// Limitadores de ventana fija con almacén intercambiable.
+// Un almacén es cualquier objeto con:
+//   incrementar(clave, ventanaMs) -> Promise<{ total, reinicioMs }>
+//   reiniciar(clave)              -> Promise<void>
+// Por defecto se usa un almacén en memoria (válido para un solo proceso);
+// con varias instancias del servidor conviene uno compartido (Redis, etc.).
+
+/**
+ * Almacén en memoria: un contador por clave que caduca al cerrar su ventana
+ * @param {number} intervaloLimpiezaMs - Cada cuánto se purgan las claves caducadas
+ */
+function crearAlmacenMemoria(intervaloLimpiezaMs = 60 * 1000) {
+  const contadores = new Map();
+
+  const limpieza = setInterval(() => {
+    const ahora = Date.now();
+    contadores.forEach((contador, clave) => {
+      if (contador.reinicio <= ahora) contadores.delete(clave);
+    });
+  }, intervaloLimpiezaMs);
+  // No mantener vivo el proceso solo por la limpieza
+  limpieza.unref();
+
+  return {
+    async incrementar(clave, ventanaMs) {
+      const ahora = Date.now();
+      let contador = contadores.get(clave);
+
+      if (!contador || contador.reinicio <= ahora) {
+        contador = { total: 0, reinicio: ahora + ventanaMs };
+        contadores.set(clave, contador);
+      }
+
+      contador.total++;
+      return { total: contador.total, reinicioMs: contador.reinicio - ahora };
+    },
+
+    async reiniciar(clave) {
+      contadores.delete(clave);
+    }
+  };
+}
+
+let almacen = null;
+
+/**
+ * Reemplaza el almacén de contadores (ej. uno respaldado por Redis)
+ * @param {{incrementar: Function, reiniciar: Function}} nuevo - Almacén a usar desde ahora
+ */
+function usarAlmacen(nuevo) {
+  almacen = nuevo;
+}
+
+const almacenActivo = () => {
+  if (!almacen) almacen = crearAlmacenMemoria();
+  return almacen;
+};
+
+/**
+ * Crea un limitador de `max` intentos por ventana
+ * @param {{prefijo: string, max: number, ventanaMs: number}} opciones
+ *   prefijo separa las claves de cada limitador en el almacén compartido
+ */
+function crearLimitador({ prefijo, max, ventanaMs }) {
+  return {
+    /**
+     * Cuenta un intento para `clave`
+     * @returns {Promise<{permitido: boolean, retryAfter: number}>} retryAfter en segundos
+     */
+    async consumir(clave) {
+      const { total, reinicioMs } = await almacenActivo().incrementar(`${prefijo}:${clave}`, ventanaMs);
+      return {
+        permitido: total <= max,
+        retryAfter: Math.max(1, Math.ceil(reinicioMs / 1000))
+      };
+    },
+
+    /**
+     * Borra el contador de `clave` (ej. tras un login correcto)
+     */
+    async reiniciar(clave) {
+      await almacenActivo().reiniciar(`${prefijo}:${clave}`);
+    }
+  };
+}
+
+module.exports = { crearLimitador, crearAlmacenMemoria, usarAlmacen };
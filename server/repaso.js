@@ -0,0 +1,151 @@
+// =============================
+// REPASO ESPACIADO
+// =============================
+// Selección de residuos por usuario con cajas de Leitner calculadas a partir
+// de su historial (no se guarda estado aparte):
+//   - Cada acierto a la primera sube el residuo una caja; cada fallo lo
+//     devuelve a la caja 0, que se repasa cuanto antes
+//   - Un residuo vuelve a salir cuando han pasado INTERVALOS_CAJA[caja] días
+//     desde la última vez que se clasificó
+// Prioridad: fallados > vencidos (más retrasados primero) > nunca vistos >
+// el resto (los que antes vencen). Además, el reparto incluye al menos un
+// residuo de cada contenedor que el usuario aún no ha visto hoy.
+// Los contenedores son los del esquema regional del usuario (ver contenedores.js).
+const { diaLocal, HOY_LOCAL, diasEntre } = require('./rachas');
+const { joinContenedor } = require('./contenedores');
+
+// Días de espera en cada caja (la última se repite para los ya dominados)
+const INTERVALOS_CAJA = [0, 1, 3, 7, 14, 30];
+const CAJA_MAX = INTERVALOS_CAJA.length - 1;
+
+// Grupos de prioridad (menor = antes)
+const PRIORIDAD = { FALLADO: 0, VENCIDO: 1, NUEVO: 2, PENDIENTE: 3 };
+
+/**
+ * Caja de Leitner y último día de cada residuo a partir del historial
+ * @param {Array<{residuo_id, acierto, dia}>} historial - Clasificaciones en orden cronológico
+ * @returns {Map<number, {caja: number, ultimo: string}>}
+ */
+function calcularCajas(historial) {
+  const cajas = new Map();
+  historial.forEach(({ residuo_id, acierto, dia }) => {
+    const previa = cajas.get(residuo_id);
+    const caja = acierto ? Math.min(CAJA_MAX, (previa ? previa.caja : 0) + 1) : 0;
+    cajas.set(residuo_id, { caja, ultimo: dia });
+  });
+  return cajas;
+}
+
+/**
+ * Grupo y orden dentro del grupo de un residuo para el día `hoy`
+ * @returns {{grupo: number, orden: number}}
+ */
+function prioridad(estado, hoy) {
+  if (!estado) return { grupo: PRIORIDAD.NUEVO, orden: 0 };
+
+  const transcurridos = diasEntre(estado.ultimo, hoy);
+  if (estado.caja === 0) return { grupo: PRIORIDAD.FALLADO, orden: -transcurridos };
+
+  // Retraso relativo al intervalo: 0 = vence hoy, negativo = aún no toca
+  const retraso = (transcurridos - INTERVALOS_CAJA[estado.caja]) / INTERVALOS_CAJA[estado.caja];
+  return { grupo: retraso >= 0 ? PRIORIDAD.VENCIDO : PRIORIDAD.PENDIENTE, orden: -retraso };
+}
+
+const barajar = (lista) => {
+  const copia = [...lista];
+  for (let i = copia.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copia[i], copia[j]] = [copia[j], copia[i]];
+  }
+  return copia;
+};
+
+/**
+ * Elige `cantidad` residuos del catálogo
+ * @param {Array<{id, tipo}>} residuos - Catálogo
+ * @param {object} opciones
+ * @param {Map} opciones.cajas - Resultado de calcularCajas (vacío para anónimos)
+ * @param {string} opciones.hoy - Día local del usuario ('AAAA-MM-DD')
+ * @param {number} opciones.cantidad - Residuos a repartir
+ * @param {Set<number>} opciones.vistosHoy - Residuos ya clasificados hoy (se evitan si hay otros)
+ * @param {Set<string>} opciones.tiposVistosHoy - Contenedores ya practicados hoy
+ * @returns {Array<number>} IDs en orden de juego
+ */
+function seleccionar(residuos, { cajas = new Map(), hoy, cantidad, vistosHoy = new Set(), tiposVistosHoy = new Set() }) {
+  // Barajar antes de ordenar desempata al azar dentro de cada grupo
+  const candidatos = barajar(residuos)
+    .map(residuo => ({ ...residuo, ...prioridad(cajas.get(residuo.id), hoy), vistoHoy: vistosHoy.has(residuo.id) }))
+    .sort((a, b) => (a.vistoHoy - b.vistoHoy) || (a.grupo - b.grupo) || (a.orden - b.orden));
+
+  const elegidos = [];
+  const elegir = (candidato) => {
+    elegidos.push(candidato.id);
+    candidato.elegido = true;
+  };
+
+  // 1. El mejor candidato de cada contenedor que falta hoy
+  const tiposPendientes = new Set(candidatos.map(c => c.tipo).filter(tipo => !tiposVistosHoy.has(tipo)));
+  candidatos.forEach(candidato => {
+    if (elegidos.length < cantidad && tiposPendientes.delete(candidato.tipo)) elegir(candidato);
+  });
+
+  // 2. El resto por prioridad
+  candidatos.forEach(candidato => {
+    if (elegidos.length < cantidad && !candidato.elegido) elegir(candidato);
+  });
+
+  // El orden de juego no delata qué residuos son repasos
+  return barajar(elegidos);
+}
+
+/**
+ * Elige los residuos de la partida de hoy de un usuario
+ * @param {object} db - Pool o cliente de PostgreSQL (dentro de la transacción de /partidas)
+ * @param {number|null} usuarioId - ID del usuario (null = sin historial)
+ * @param {number} cantidad - Residuos a repartir
+ * @param {string} esquema - Código del esquema regional de contenedores
+ * @returns {Promise<Array<number>>} IDs de residuos en orden de juego
+ */
+async function elegirResiduos(db, usuarioId, cantidad, esquema) {
+  // Los residuos dados de baja o sin contenedor en el esquema no se reparten
+  const residuos = await db.query(
+    `SELECT r.id, ce.codigo AS tipo FROM residuos r ${joinContenedor('$1')} WHERE r.eliminado_at IS NULL`,
+    [esquema]
+  );
+  if (!usuarioId) return seleccionar(residuos.rows, { cantidad });
+
+  const usuario = await db.query(
+    `SELECT TO_CHAR(${HOY_LOCAL}, 'YYYY-MM-DD') AS hoy FROM usuarios u WHERE u.id = $1`,
+    [usuarioId]
+  );
+  if (usuario.rows.length === 0) return seleccionar(residuos.rows, { cantidad });
+
+  const historial = await db.query(
+    `SELECT h.residuo_id, h.acierto, TO_CHAR(${diaLocal('h.fecha')}, 'YYYY-MM-DD') AS dia, ce.codigo AS tipo
+     FROM historial h
+     JOIN usuarios u ON u.id = h.usuario_id
+     JOIN residuos r ON r.id = h.residuo_id
+     ${joinContenedor('$2', false)}
+     WHERE h.usuario_id = $1
+     ORDER BY h.id`,
+    [usuarioId, esquema]
+  );
+
+  const { hoy } = usuario.rows[0];
+  const deHoy = historial.rows.filter(fila => fila.dia === hoy);
+
+  return seleccionar(residuos.rows, {
+    cajas: calcularCajas(historial.rows),
+    hoy,
+    cantidad,
+    vistosHoy: new Set(deHoy.map(fila => fila.residuo_id)),
+    tiposVistosHoy: new Set(deHoy.map(fila => fila.tipo))
+  });
+}
+
+module.exports = {
+  INTERVALOS_CAJA,
+  calcularCajas,
+  seleccionar,
+  elegirResiduos
+};
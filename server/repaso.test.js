@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { INTERVALOS_CAJA, calcularCajas, seleccionar } = require('./repaso');
+
+// Catálogo de ejemplo: dos residuos por contenedor
+const CATALOGO = [
+  { id: 1, tipo: 'yellow' }, { id: 2, tipo: 'yellow' },
+  { id: 3, tipo: 'blue' }, { id: 4, tipo: 'blue' },
+  { id: 5, tipo: 'green' }, { id: 6, tipo: 'green' }
+];
+
+test('calcularCajas: cada acierto sube una caja y un fallo vuelve a la 0', () => {
+  const cajas = calcularCajas([
+    { residuo_id: 1, acierto: true, dia: '2026-01-01' },
+    { residuo_id: 1, acierto: true, dia: '2026-01-02' },
+    { residuo_id: 2, acierto: true, dia: '2026-01-02' },
+    { residuo_id: 2, acierto: false, dia: '2026-01-05' }
+  ]);
+
+  assert.deepEqual(cajas.get(1), { caja: 2, ultimo: '2026-01-02' });
+  assert.deepEqual(cajas.get(2), { caja: 0, ultimo: '2026-01-05' });
+  assert.equal(cajas.has(3), false);
+});
+
+test('calcularCajas: no pasa de la última caja', () => {
+  const historial = Array.from({ length: INTERVALOS_CAJA.length + 3 }, (_, i) => (
+    { residuo_id: 1, acierto: true, dia: `2026-01-${String(i + 1).padStart(2, '0')}` }
+  ));
+  assert.equal(calcularCajas(historial).get(1).caja, INTERVALOS_CAJA.length - 1);
+});
+
+test('seleccionar: reparte la cantidad pedida sin repetir', () => {
+  const elegidos = seleccionar(CATALOGO, { cantidad: 4, hoy: '2026-01-10' });
+
+  assert.equal(elegidos.length, 4);
+  assert.equal(new Set(elegidos).size, 4);
+  elegidos.forEach(id => assert.ok(CATALOGO.some(residuo => residuo.id === id)));
+});
+
+test('seleccionar: incluye un residuo de cada contenedor que falta hoy', () => {
+  for (let i = 0; i < 20; i++) {
+    const elegidos = seleccionar(CATALOGO, { cantidad: 3, hoy: '2026-01-10' });
+    const tipos = new Set(elegidos.map(id => CATALOGO.find(residuo => residuo.id === id).tipo));
+    assert.deepEqual([...tipos].sort(), ['blue', 'green', 'yellow']);
+  }
+});
+
+test('seleccionar: prioriza fallados, luego vencidos, luego nuevos', () => {
+  const cajas = new Map([
+    [1, { caja: 0, ultimo: '2026-01-09' }],  // fallado
+    [3, { caja: 1, ultimo: '2026-01-01' }],  // vencido hace días
+    [2, { caja: 5, ultimo: '2026-01-09' }],  // dominado, aún no toca
+    [4, { caja: 5, ultimo: '2026-01-09' }],
+    [6, { caja: 5, ultimo: '2026-01-09' }]
+  ]);
+  // Contenedores ya practicados hoy: solo cuenta la prioridad
+  const tiposVistosHoy = new Set(['yellow', 'blue', 'green']);
+
+  for (let i = 0; i < 20; i++) {
+    const elegidos = seleccionar(CATALOGO, { cajas, hoy: '2026-01-10', cantidad: 3, tiposVistosHoy });
+    assert.deepEqual([...elegidos].sort(), [1, 3, 5]);
+  }
+});
+
+test('seleccionar: evita los residuos ya clasificados hoy si hay otros', () => {
+  const cajas = new Map([[1, { caja: 0, ultimo: '2026-01-10' }]]);
+  const elegidos = seleccionar(CATALOGO, {
+    cajas,
+    hoy: '2026-01-10',
+    cantidad: 5,
+    vistosHoy: new Set([1]),
+    tiposVistosHoy: new Set(['yellow'])
+  });
+
+  assert.equal(elegidos.includes(1), false);
+});
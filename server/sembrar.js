@@ -0,0 +1,176 @@
+// =============================
+// DATOS INICIALES
+// =============================
+// Carga el catálogo con el que arranca el juego:
+//   - datos/contenedores.json: esquemas regionales, sus contenedores y las
+//     excepciones de cada residuo por región
+//   - datos/residuos.json: los 25 residuos, en el mismo formato que la
+//     importación del panel de administración
+// Se puede ejecutar tantas veces como se quiera:
+//   - Esquemas y contenedores se crean o se actualizan por código (no tienen
+//     pantalla de administración: este archivo es su fuente)
+//   - Un residuo solo se crea si no hay otro con el mismo nombre, así que no
+//     pisa lo editado desde el panel
+//   - Las excepciones por región solo se añaden si faltan
+// Las imágenes (/assets/...) las sirve el frontend desde public/: si falta un
+// archivo se avisa y el residuo se crea sin imagen (el juego muestra su icono).
+//
+// Uso desde server/, con las migraciones aplicadas: node sembrar.js
+const fs = require('fs');
+const path = require('path');
+const { validar } = require('../src/shared/validation');
+const { CAMPOS, claveNombre } = require('./importacion');
+const { comprobarMigraciones } = require('./migrador');
+
+const DIRECTORIO_DATOS = path.join(__dirname, 'datos');
+const DIRECTORIO_PUBLICO = path.join(__dirname, '..', 'public');
+
+const leerJson = (archivo) => JSON.parse(fs.readFileSync(path.join(DIRECTORIO_DATOS, archivo), 'utf8'));
+
+/**
+ * ¿Existe la imagen de un residuo? Solo se comprueban las del frontend (/assets/...)
+ */
+function imagenDisponible(imagenUrl) {
+  if (!imagenUrl || !imagenUrl.startsWith('/assets/')) return true;
+  return fs.existsSync(path.join(DIRECTORIO_PUBLICO, imagenUrl));
+}
+
+/**
+ * Esquemas y contenedores: se crean o se actualizan por código.
+ * El esquema por defecto solo se marca si la BD aún no tiene ninguno
+ */
+async function sembrarContenedores(client, esquemas) {
+  for (const esquema of esquemas) {
+    await client.query(
+      `INSERT INTO esquemas_contenedores (codigo, nombre, por_defecto)
+       VALUES ($1, $2, $3 AND NOT EXISTS (SELECT 1 FROM esquemas_contenedores WHERE por_defecto))
+       ON CONFLICT (codigo) DO UPDATE SET nombre = EXCLUDED.nombre`,
+      [esquema.codigo, esquema.nombre, Boolean(esquema.por_defecto)]
+    );
+
+    for (const [orden, contenedor] of esquema.contenedores.entries()) {
+      await client.query(
+        `INSERT INTO contenedores (esquema, codigo, nombre, titulo, descripcion, icono, color, material, orden)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         ON CONFLICT (esquema, codigo) DO UPDATE SET
+           nombre = EXCLUDED.nombre, titulo = EXCLUDED.titulo, descripcion = EXCLUDED.descripcion,
+           icono = EXCLUDED.icono, color = EXCLUDED.color, material = EXCLUDED.material, orden = EXCLUDED.orden`,
+        [esquema.codigo, contenedor.codigo, contenedor.nombre, contenedor.titulo || null,
+          contenedor.descripcion || null, contenedor.icono || null, contenedor.color,
+          contenedor.material || null, orden + 1]
+      );
+    }
+  }
+}
+
+/**
+ * Residuos: se crean los que faltan (por nombre, sin distinguir mayúsculas ni espacios)
+ * @returns {Promise<{creados: number, existentes: number}>}
+ */
+async function sembrarResiduos(client, residuos) {
+  const actuales = await client.query('SELECT nombre FROM residuos');
+  const nombres = new Set(actuales.rows.map(fila => claveNombre(fila.nombre)));
+  let creados = 0;
+
+  for (const residuo of residuos) {
+    if (nombres.has(claveNombre(residuo.nombre))) continue;
+
+    const datos = { ...residuo };
+    if (!imagenDisponible(datos.imagen_url)) {
+      console.warn(`⚠️  ${datos.nombre}: no existe public${datos.imagen_url}, se crea sin imagen`);
+      datos.imagen_url = null;
+    }
+
+    const columnas = CAMPOS.filter(campo => datos[campo] !== undefined && datos[campo] !== null);
+    await client.query(
+      `INSERT INTO residuos (${columnas.join(', ')})
+       VALUES (${columnas.map((columna, i) => `$${i + 1}`).join(', ')})`,
+      columnas.map(columna => datos[columna])
+    );
+    nombres.add(claveNombre(datos.nombre));
+    creados++;
+  }
+
+  return { creados, existentes: residuos.length - creados };
+}
+
+/**
+ * Excepciones por región ({ nombre del residuo: contenedor }); se ignoran las que ya existen
+ */
+async function sembrarExcepciones(client, esquemas) {
+  for (const esquema of esquemas) {
+    for (const [nombre, contenedor] of Object.entries(esquema.excepciones || {})) {
+      const result = await client.query(
+        `INSERT INTO residuo_contenedores (esquema, residuo_id, contenedor)
+         SELECT $1, r.id, $3 FROM residuos r
+         WHERE LOWER(TRIM(r.nombre)) = LOWER(TRIM($2))
+         ON CONFLICT (esquema, residuo_id) DO NOTHING`,
+        [esquema.codigo, nombre, contenedor]
+      );
+      if (result.rowCount === 0) {
+        const existe = await client.query(
+          'SELECT 1 FROM residuos WHERE LOWER(TRIM(nombre)) = LOWER(TRIM($1))',
+          [nombre]
+        );
+        if (existe.rows.length === 0) console.warn(`⚠️  ${esquema.codigo}: no hay ningún residuo "${nombre}"`);
+      }
+    }
+  }
+}
+
+/**
+ * Carga todos los datos iniciales en una transacción
+ * @param {Pool} pool - Pool de PostgreSQL
+ * @returns {Promise<{creados: number, existentes: number}>}
+ */
+async function sembrar(pool) {
+  const { esquemas } = leerJson('contenedores.json');
+  const residuos = leerJson('residuos.json');
+
+  // Los datos de ejemplo cumplen las mismas reglas que el panel de administración
+  residuos.forEach(residuo => {
+    const { valido, errores } = validar('residuo', residuo);
+    if (!valido) throw new Error(`datos/residuos.json, "${residuo.nombre}": ${JSON.stringify(errores)}`);
+  });
+
+  await comprobarMigraciones(pool);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await sembrarContenedores(client, esquemas);
+    const resultado = await sembrarResiduos(client, residuos);
+    await sembrarExcepciones(client, esquemas);
+    await client.query('COMMIT');
+    return resultado;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  sembrar
+};
+
+// =============================
+// LÍNEA DE COMANDOS
+// =============================
+if (require.main === module) {
+  require('dotenv').config();
+  const { crearPool } = require('./db');
+
+  const pool = crearPool();
+
+  sembrar(pool)
+    .then(({ creados, existentes }) => {
+      console.log(`✅ Datos iniciales cargados: ${creados} residuos nuevos, ${existentes} ya existían`);
+    })
+    .catch(err => {
+      console.error('❌', err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
@@ -1,12 +1,25 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import Auth from './components/Auth';
 import WasteItem from './components/WasteItem';
 import Bin from './components/Bin';
 import LandingPage from './components/LandingPage';
 import Ranking from './components/Ranking';
 import EditProfile from './components/EditProfile';
+import HistoryPage from './components/HistoryPage';
+import StatsDashboard from './components/StatsDashboard';
+import LeaguesPage from './components/LeaguesPage';
+import ScoreBreakdown from './components/ScoreBreakdown';
+import AdminPage from './components/AdminPage';
+import { apiFetch, clearTokens } from './api';
+import { fetchSchemes, findScheme } from './schemes';
 import './App.css';
 
+// Tiempo que se muestra cada aviso de logro desbloqueado
+const ACHIEVEMENT_TOAST_MS = 4000;
+
+// Zona horaria del navegador: define cuándo empieza el día para el cupo y la racha
+const BROWSER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
 /**
  * Componente principal de la aplicación
  * Maneja la lógica del juego de clasificación de residuos,
@@ -15,22 +28,76 @@ import './App.css';
 function App() {
   // --- ESTADO DE USUARIO Y VISTAS ---
   const [user, setUser] = useState(JSON.parse(localStorage.getItem('user')));
-  const [view, setView] = useState('landing'); // 'landing', 'auth', 'game', 'ranking'
+  // Los enlaces de los correos (/?reset=... y /?verify=...) abren directamente Auth
+  const [view, setView] = useState(() => {
+    const params = new URLSearchParams(window.location.search);
+    return params.has('reset') || params.has('verify') ? 'auth' : 'landing';
+  }); // 'landing', 'auth', 'game', 'ranking', 'profile', 'history', 'stats', 'leagues', 'admin'
+  const [rankingLeague, setRankingLeague] = useState(''); // Liga con la que se abre el ranking ('' = global)
+
+  // --- CONTENEDORES POR REGIÓN ---
+  const [schemes, setSchemes] = useState([]); // Esquemas regionales con sus contenedores
+  const [guestScheme, setGuestScheme] = useState(localStorage.getItem('esquema')); // Elegido sin sesión
   
   // --- ESTADO DEL JUEGO ---
-  const [wasteData, setWasteData] = useState([]); // Array de objetos residuales
+  const [wasteData, setWasteData] = useState([]); // Residuos repartidos en la partida actual
   const [currentIndex, setCurrentIndex] = useState(0); // Índice del objeto actual
-  const [seenWasteIds, setSeenWasteIds] = useState(new Set()); // IDs de residuos ya vistos
+  const [partidaId, setPartidaId] = useState(null); // ID de la partida abierta en el servidor
+  const [gameBins, setGameBins] = useState([]); // Contenedores del esquema con el que se repartió la partida
   
   // --- ESTADÍSTICAS DEL USUARIO ---
   const [points, setPoints] = useState(0); // Puntos totales
   const [co2Saved, setCo2Saved] = useState(0); // CO2 evitado en kg
-  const [dailyCount, setDailyCount] = useState(0); // Cantidad clasificada hoy (máx 10)
+  const [dailyCount, setDailyCount] = useState(0); // Cantidad clasificada hoy
+  const [dailyLimit, setDailyLimit] = useState(10); // Límite diario informado por el servidor
+  const [streak, setStreak] = useState(null); // { actual, mejor, congelaciones, hoy_completo }
   
   // --- FEEDBACK E INTERACCIÓN ---
   const [feedback, setFeedback] = useState({ text: "", color: "#333" }); // Mensaje de respuesta
   const [showContinue, setShowContinue] = useState(false); // Mostrar botón continuar
-  const [hasError, setHasError] = useState(false); // Indicador de error previo
+  const [newAchievements, setNewAchievements] = useState([]); // Cola de logros y avisos de racha por anunciar
+  const [scoreBreakdown, setScoreBreakdown] = useState(null); // Desglose de la última puntuación
+  const itemShownAt = useRef(null); // Momento en que apareció el residuo actual (bonus por rapidez)
+
+  // WasteItem avisa al mostrarse un residuo: desde ahí se mide el tiempo de respuesta
+  // (el servidor lo mide también desde este aviso para el bonus por rapidez)
+  const handleItemAppear = useCallback((item) => {
+    itemShownAt.current = performance.now();
+    if (!partidaId || !item) return;
+    apiFetch(`/api/usuarios/me/partidas/${partidaId}/residuos/${item.id}/mostrado`, { method: 'POST' })
+      .catch(err => console.error("Error al avisar del residuo mostrado:", err));
+  }, [partidaId]);
+
+  /**
+   * Guarda la racha recibida del servidor y anuncia las congelaciones
+   * gastadas (días perdidos cubiertos) o ganadas
+   * @param {Object} racha - { actual, mejor, congelaciones, hoy_completo, congelados, congelacion_ganada }
+   */
+  const updateStreak = useCallback((racha) => {
+    const { congelados = [], congelacion_ganada, ...current } = racha;
+    setStreak(current);
+
+    const notices = [];
+    if (congelados.length > 0) {
+      notices.push({
+        codigo: `congelados-${congelados.join()}`,
+        aviso: '🧊 ¡Racha salvada!',
+        icono: '🔥',
+        nombre: `${current.actual} días`,
+        descripcion: `Se ${congelados.length === 1 ? 'usó 1 congelación' : `usaron ${congelados.length} congelaciones`} para cubrir los días sin jugar`
+      });
+    }
+    if (congelacion_ganada) {
+      notices.push({
+        codigo: `congelacion-${current.actual}`,
+        aviso: '🧊 ¡Congelación ganada!',
+        icono: '🔥',
+        nombre: `${current.actual} días seguidos`,
+        descripcion: 'Si un día no juegas, se gastará para mantener tu racha'
+      });
+    }
+    if (notices.length > 0) setNewAchievements(prev => [...prev, ...notices]);
+  }, []);
 
   /**
    * Carga las estadísticas del usuario desde la base de datos
@@ -38,44 +105,55 @@ function App() {
    */
   const loadUserStats = useCallback((userId) => {
     if (!userId) return;
-    const token = localStorage.getItem('token');
-    fetch(`http://localhost:5000/api/usuarios/${userId}/stats-hoy`, {
-      headers: token ? { Authorization: `Bearer ${token}` } : {},
-    })
+    apiFetch('/api/usuarios/me/stats-hoy')
       .then(res => res.ok ? res.json() : Promise.reject())
       .then(data => {
         setPoints(data.puntos_totales || 0);
         setCo2Saved(Number(data.co2_total) || 0);
         setDailyCount(Number(data.count_hoy) || 0);
+        if (data.limite_diario) setDailyLimit(Number(data.limite_diario));
+        if (data.racha) updateStreak(data.racha);
       })
       .catch(err => console.error("Error al sincronizar stats:", err));
+  }, [updateStreak]);
+
+  /**
+   * Borra la sesión local (token, usuario y estadísticas en memoria)
+   */
+  const clearSession = useCallback(() => {
+    clearTokens();
+    localStorage.clear();
+    setUser(null);
+    setPoints(0);
+    setCo2Saved(0);
+    setDailyCount(0);
+    setStreak(null);
+    setPartidaId(null);
+    setWasteData([]);
   }, []);
 
   /**
-   * Efecto inicial: Carga residuos y perfil completo del usuario si hay token
+   * Efecto inicial: Carga el perfil completo del usuario si hay token
+   * Si el servidor rechaza el token (401/403), la sesión ha expirado
    */
   useEffect(() => {
-    fetch('http://localhost:5000/api/residuos')
-      .then(res => res.json())
-      .then(data => { 
-        setWasteData(data); 
-      })
-      .catch(err => console.error("Error cargando residuos:", err));
-
     // Si hay token pero no hay usuario completo, cargar perfil
     const token = localStorage.getItem('token');
     if (token && (!user || !user.email)) {
-      fetch('http://localhost:5000/api/auth/me', {
-        headers: { Authorization: `Bearer ${token}` }
-      })
+      apiFetch('/api/auth/me')
       .then(res => {
+        if (res.status === 401 || res.status === 403) {
+          clearSession();
+          setView('auth');
+          return null;
+        }
         if (!res.ok) {
           throw new Error(`HTTP error! status: ${res.status}`);
         }
         return res.json();
       })
       .then(data => {
-        if (data.user) {
+        if (data && data.user) {
           setUser(data.user);
           localStorage.setItem('user', JSON.stringify(data.user));
         }
@@ -86,136 +164,257 @@ function App() {
     if (user && user.id) {
       loadUserStats(user.id);
     }
-  }, [user, loadUserStats]);
+  }, [user, loadUserStats, clearSession]);
+
+  /**
+   * Efecto: Envía la zona horaria del navegador si no coincide con la del perfil
+   * (el servidor cuenta el día del cupo y de la racha en esa zona)
+   */
+  useEffect(() => {
+    if (!user || !user.zona_horaria || !BROWSER_TIME_ZONE || user.zona_horaria === BROWSER_TIME_ZONE) return;
+
+    apiFetch('/api/usuarios/me/perfil', {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ zona_horaria: BROWSER_TIME_ZONE }),
+    })
+      .then(res => res.ok ? res.json() : Promise.reject(new Error(`HTTP error! status: ${res.status}`)))
+      .then(data => {
+        const updatedUser = { ...user, ...data };
+        setUser(updatedUser);
+        localStorage.setItem('user', JSON.stringify(updatedUser));
+      })
+      .catch(err => console.error("Error guardando zona horaria:", err));
+  }, [user]);
+
+  // Efecto: Carga los esquemas de contenedores para la guía de la portada
+  useEffect(() => {
+    fetchSchemes()
+      .then(setSchemes)
+      .catch(err => console.error("Error cargando contenedores:", err));
+  }, []);
+
+  /**
+   * Cambia la región de reciclaje: con sesión se guarda en el perfil
+   * (la siguiente partida usará sus contenedores); sin sesión, en este navegador
+   * @param {string} code - Código del esquema elegido
+   */
+  const changeScheme = (code) => {
+    if (!user) {
+      localStorage.setItem('esquema', code);
+      setGuestScheme(code);
+      return;
+    }
+
+    apiFetch('/api/usuarios/me/perfil', {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ esquema: code }),
+    })
+      .then(res => res.ok ? res.json() : Promise.reject(new Error(`HTTP error! status: ${res.status}`)))
+      .then(data => {
+        const updatedUser = { ...user, ...data };
+        setUser(updatedUser);
+        localStorage.setItem('user', JSON.stringify(updatedUser));
+      })
+      .catch(err => console.error("Error guardando región:", err));
+  };
+
+  // Cada logro nuevo se muestra unos segundos y deja paso al siguiente
+  useEffect(() => {
+    if (newAchievements.length === 0) return;
+    const timer = setTimeout(() => setNewAchievements(prev => prev.slice(1)), ACHIEVEMENT_TOAST_MS);
+    return () => clearTimeout(timer);
+  }, [newAchievements]);
 
   /**
    * Maneja el resultado cuando el usuario suelta un objeto en un contenedor
-   * Valida si es correcto y actualiza puntos/CO2
-   * @param {boolean} isCorrect - True si el contenedor es correcto
+   * Envía el intento al servidor, que valida el contenedor y calcula puntos/CO2
+   * @param {boolean} isCorrect - Validación local del Bin (no se usa: el cliente ya no recibe el tipo)
+   * @param {string} binType - Tipo del contenedor donde se soltó el objeto
    */
-  const onDropResult = async (isCorrect) => {
+  const onDropResult = async (isCorrect, binType) => {
     // Evita procesar si ya está esperando confirmación o juego terminado
-    if (showContinue || dailyCount >= 10) return;
-
-    if (isCorrect === true) {
-      // Si falló antes, registra el acierto sin puntos
-      if (hasError) {
-        try {
-          const token = localStorage.getItem('token');
-          await fetch(`http://localhost:5000/api/usuarios/${user.id}/progreso`, {
-            method: 'PUT',
-            headers: { 
-              'Content-Type': 'application/json',
-              ...(token && { Authorization: `Bearer ${token}` })
-            },
-            body: JSON.stringify({ 
-              puntos: points,
-              co2_evitado: co2Saved, 
-              residuo_id: wasteData[currentIndex].id 
-            }),
-          });
-          setDailyCount(prev => prev + 1);
-          setFeedback({ 
-            text: "✅ ¡Correcto! Pero 0 puntos por haber fallado anteriormente.", 
-            color: "#f1c40f" 
-          });
-          setShowContinue(true); 
-          return;
-        } catch (e) { console.error(e); }
+    if (showContinue || dailyCount >= dailyLimit) return;
+
+    const item = wasteData[currentIndex];
+    if (!item) return;
+
+    try {
+      const response = await apiFetch('/api/usuarios/me/progreso', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ 
+          partida_id: partidaId,
+          residuo_id: item.id,
+          contenedor: binType,
+          tiempo_ms: itemShownAt.current === null ? null : Math.round(performance.now() - itemShownAt.current)
+        }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        const error = new Error(data.error || 'Error al guardar progreso');
+        error.status = response.status;
+        throw error;
       }
 
-      // Acierto a la primera: suma 10 puntos y 0.05kg CO2
-      const newPoints = points + 10;
-      const newCo2 = co2Saved + 0.05;
-
-      try {
-        const token = localStorage.getItem('token');
-        const response = await fetch(`http://localhost:5000/api/usuarios/${user.id}/progreso`, {
-          method: 'PUT',
-          headers: { 
-            'Content-Type': 'application/json',
-            ...(token && { Authorization: `Bearer ${token}` })
-          },
-          body: JSON.stringify({ 
-            puntos: newPoints, 
-            co2_evitado: newCo2, 
-            residuo_id: wasteData[currentIndex].id 
-          }),
+      if (!data.correcto) {
+        // Respuesta incorrecta: muestra pista y cuánto queda de la recompensa
+        const remaining = data.factor_restante > 0
+          ? `Si aciertas ahora ganas el ${Math.round(data.factor_restante * 100)}% de los puntos.`
+          : 'Ya no suma puntos, pero sigue intentándolo.';
+        setFeedback({ 
+          text: `❌ ¡Ese no es! Pista: ${data.pista} ${remaining}`, 
+          color: "#e74c3c" 
         });
+        return;
+      }
 
-        if (response.ok) {
-          // Actualiza estado local y localStorage
-          setPoints(newPoints);
-          setCo2Saved(newCo2);
-          setDailyCount(prev => prev + 1);
-          const updatedUser = { ...user, puntos: newPoints, co2_evitado: newCo2 };
-          setUser(updatedUser);
-          localStorage.setItem('user', JSON.stringify(updatedUser));
-          setFeedback({ 
-            text: `✨ ¡Excelente! ${wasteData[currentIndex].consejo}`, 
-            color: "#2ecc71" 
-          });
-          setShowContinue(true);
-        }
-      } catch (err) { console.error("Error al guardar:", err); }
-    } else {
-      // Respuesta incorrecta: muestra pista sin restar puntos
-      setHasError(true);
-      setFeedback({ 
-        text: `❌ ¡Ese no es! Pista: ${wasteData[currentIndex].pista}`, 
-        color: "#e74c3c" 
-      });
+      setScoreBreakdown(data.desglose || null);
+
+      // Actualiza estado local y localStorage con los totales del servidor
+      setPoints(data.puntos_totales);
+      setCo2Saved(data.co2_total);
+      setDailyCount(prev => prev + 1);
+      const updatedUser = { ...user, puntos: data.puntos_totales, co2_evitado: data.co2_total };
+      setUser(updatedUser);
+      localStorage.setItem('user', JSON.stringify(updatedUser));
+
+      // Logros desbloqueados con esta clasificación: se anuncian de uno en uno
+      if (data.logros_nuevos && data.logros_nuevos.length > 0) {
+        setNewAchievements(prev => [...prev, ...data.logros_nuevos]);
+      }
+
+      // Con esta clasificación se ha completado el cupo de hoy: la racha suma un día
+      if (data.racha) updateStreak(data.racha);
+
+      if (data.puntos_obtenidos > 0) {
+        setFeedback({ 
+          text: `✨ ¡Excelente! ${data.consejo}`, 
+          color: "#2ecc71" 
+        });
+      } else {
+        // Demasiados fallos: el acierto se registra sin puntos
+        setFeedback({ 
+          text: "✅ ¡Correcto! Pero 0 puntos por haber fallado demasiadas veces.", 
+          color: "#f1c40f" 
+        });
+      }
+      setShowContinue(true);
+    } catch (err) {
+      console.error("Error al guardar:", err);
+      // 409 (residuo ya clasificado o partida cerrada) o 403 (cupo alcanzado):
+      // la partida local ya no coincide con la del servidor y se vuelve a pedir
+      if (err.status === 409 || err.status === 403) await startGame();
+      setFeedback({ text: `⚠️ ${err.message}`, color: "#e67e22" });
     }
   };
 
+  /**
+   * Inicia (o reanuda) la partida del día en el servidor
+   * El servidor reparte los residuos que quedan según el límite diario
+   */
+  const startGame = async () => {
+    setCurrentIndex(0);
+    setShowContinue(false);
+    setScoreBreakdown(null);
+    setFeedback({ text: "", color: "#333" });
+
+    try {
+      const response = await apiFetch('/api/usuarios/me/partidas', { method: 'POST' });
+      const data = await response.json();
+
+      // 403 con límite alcanzado: se muestra directamente la pantalla final
+      if (!response.ok && data.restantes !== 0) throw new Error(data.error || 'Error al iniciar partida');
+
+      setPartidaId(data.partida_id || null);
+      setWasteData(data.residuos || []);
+      setGameBins(data.contenedores || []);
+      setDailyLimit(Number(data.limite_diario) || 10);
+      setDailyCount(Number(data.count_hoy) || 0);
+    } catch (err) {
+      // Ej. cuenta sin verificar: se muestra el motivo en el juego
+      setWasteData([]);
+      setFeedback({ text: `⚠️ ${err.message}`, color: "#e67e22" });
+      console.error("Error al iniciar partida:", err);
+    }
+
+    setView('game');
+  };
+
+  /**
+   * Cierra la partida en el servidor cuando ya no quedan residuos por clasificar
+   */
+  const closeGame = () => {
+    if (!partidaId) return;
+    apiFetch(`/api/usuarios/me/partidas/${partidaId}/cerrar`, { method: 'POST' })
+      .catch(err => console.error("Error al cerrar partida:", err));
+    setPartidaId(null);
+  };
+
   /**
    * Avanza al siguiente objeto cuando el usuario hace click en Continuar
    */
   const handleNext = () => {
     setShowContinue(false);
-    setHasError(false); 
-    
-    // Marcar el residuo actual como visto
-    if (wasteData[currentIndex]) {
-      setSeenWasteIds(prev => new Set([...prev, wasteData[currentIndex].id]));
-    }
+    setScoreBreakdown(null);
     
     if (currentIndex < wasteData.length - 1) {
       setCurrentIndex(prev => prev + 1);
       setFeedback({ text: "Clasifica el siguiente objeto", color: "#333" });
     } else {
-      // Cuando se llega al final, verificar si quedan residuos no vistos
-      const unseenWastes = wasteData.filter(waste => !seenWasteIds.has(waste.id));
-      
-      if (unseenWastes.length > 0) {
-        // Si quedan residuos no vistos, reorganizar el array para mostrarlos
-        const remainingWastes = [...wasteData.filter(waste => !seenWasteIds.has(waste.id))];
-        setWasteData(remainingWastes);
-        setCurrentIndex(0);
-        setFeedback({ text: "¡Has visto todos los residuos! Continuando con los restantes.", color: "#27ae60" });
-      } else {
-        // Si no quedan residuos no vistos, mostrar mensaje y reiniciar
-        setSeenWasteIds(new Set());
-        setCurrentIndex(0);
-        setFeedback({ text: "¡Has completado todos los residuos! Reiniciando...", color: "#27ae60" });
-      }
+      // Se clasificaron todos los residuos repartidos en la partida
+      closeGame();
+      setWasteData([]);
+      setCurrentIndex(0);
+      setFeedback({ text: "¡Has completado todos los residuos de la partida!", color: "#27ae60" });
     }
   };
 
   /**
-   * Cierra la sesión del usuario
+   * Cierra la sesión del usuario y revoca su refresh token en el servidor
    */
   const logout = () => {
-    localStorage.clear();
-    setUser(null);
-    setPoints(0);
-    setCo2Saved(0);
-    setDailyCount(0);
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (refreshToken) {
+      apiFetch('/api/auth/logout', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken }),
+      }).catch(err => console.error("Error al cerrar sesión:", err));
+    }
+    clearSession();
     setView('landing');
   };
 
   // --- RENDERIZADO CONDICIONAL POR VISTA ---
-  if (view === 'ranking') return <Ranking onBack={() => setView('landing')} />;
+  if (view === 'ranking') {
+    return (
+      <Ranking
+        user={user}
+        initialLeague={rankingLeague}
+        onBack={() => setView('landing')}
+        onManageLeagues={() => setView('leagues')}
+      />
+    );
+  }
+
+  if (view === 'leagues' && user) {
+    return (
+      <LeaguesPage
+        onBack={() => setView('landing')}
+        onShowRanking={(leagueId) => { setRankingLeague(leagueId); setView('ranking'); }}
+      />
+    );
+  }
+
+  if (view === 'history' && user) return <HistoryPage onBack={() => setView('landing')} />;
+
+  // El servidor vuelve a comprobar el rol en cada petición de administración
+  if (view === 'admin' && user && user.role === 'admin') return <AdminPage onBack={() => setView('landing')} />;
+
+  if (view === 'stats' && user) return <StatsDashboard onBack={() => setView('landing')} />;
   
   if (view === 'auth') {
     return (
@@ -225,7 +424,7 @@ function App() {
 
   if (view === 'profile' && user) {
     return (
-      <EditProfile user={user} setUser={(u) => { setUser(u); localStorage.setItem('user', JSON.stringify(u)); }} onBack={() => setView('landing')} />
+      <EditProfile user={user} setUser={(u) => { setUser(u); localStorage.setItem('user', JSON.stringify(u)); }} onBack={() => setView('landing')} onLogout={() => { clearSession(); setView('landing'); }} />
     );
   }
 
@@ -242,7 +441,18 @@ function App() {
             <div className="stats-bar">
               <div className="stat-item"><span>Puntos</span><strong>{points}</strong></div>
               <div className="stat-item"><span>CO2</span><strong className="co2-highlight">{co2Saved.toFixed(2)}kg</strong></div>
-              <div className="stat-item"><span>Hoy</span><strong>{dailyCount}/10</strong></div>
+              <div className="stat-item"><span>Hoy</span><strong>{dailyCount}/{dailyLimit}</strong></div>
+              {streak && (
+                <div
+                  className="stat-item"
+                  title={`Mejor racha: ${streak.mejor} días · Congelaciones: ${streak.congelaciones}`}
+                >
+                  <span>Racha</span>
+                  <strong className={streak.hoy_completo ? 'streak-done' : ''}>
+                    🔥 {streak.actual}{streak.congelaciones > 0 && ` · 🧊${streak.congelaciones}`}
+                  </strong>
+                </div>
+              )}
             </div>
           </div>
 
@@ -252,40 +462,48 @@ function App() {
           </div>
         </header>
 
+        {/* AVISO DE LOGRO DESBLOQUEADO */}
+        {newAchievements[0] && (
+          <div className="toast achievement" key={newAchievements[0].codigo}>
+            {newAchievements[0].aviso || '🏆 ¡Logro desbloqueado!'} {newAchievements[0].icono} {newAchievements[0].nombre}
+            <small>{newAchievements[0].descripcion}</small>
+          </div>
+        )}
+
         {/* ÁREA PRINCIPAL DEL JUEGO */}
         <main className="game-area">
-          {/* Feedback solo visible mientras juega (< 10 clasificaciones) */}
-          {dailyCount < 10 && (
+          {/* Feedback solo visible mientras juega (por debajo del límite diario) */}
+          {dailyCount < dailyLimit && (
             <div className="feedback-hub" style={{ borderLeft: `8px solid ${feedback.color}` }}>
               <span>{feedback.text}</span>
+              {showContinue && scoreBreakdown && <ScoreBreakdown breakdown={scoreBreakdown} />}
               {showContinue && <button className="btn-next" onClick={handleNext}>Continuar →</button>}
             </div>
           )}
 
           {/* JUEGO EN CURSO */}
-          {dailyCount < 10 ? (
+          {dailyCount < dailyLimit ? (
             <>
               <div className="waste-display">
                 {!showContinue && wasteData[currentIndex] && (
                   <WasteItem 
                     item={wasteData[currentIndex]} 
                     onDragStart={(e, item) => e.dataTransfer.setData("itemType", item.tipo)} 
+                    onAppear={handleItemAppear}
                   />
                 )}
               </div>
               <div className="bins-layout">
-                <Bin type="yellow" label="Plásticos" onDropCorrect={onDropResult} />
-                <Bin type="blue" label="Papel" onDropCorrect={onDropResult} />
-                <Bin type="green" label="Vidrio" onDropCorrect={onDropResult} />
-                <Bin type="grey" label="Orgánico" onDropCorrect={onDropResult} />
-                <Bin type="special" label="Peligrosos" onDropCorrect={onDropResult} />
+                {gameBins.map(bin => (
+                  <Bin key={bin.codigo} type={bin.codigo} label={bin.nombre} color={bin.color} onDropCorrect={onDropResult} />
+                ))}
               </div>
             </>
           ) : (
             /* PANTALLA DE FINALIZACIÓN */
             <div className="limit-message">
               <h2>🎉 ¡Misión cumplida por hoy!</h2>
-              <p>Has clasificado tus 10 residuos diarios.</p>
+              <p>Has clasificado tus {dailyLimit} residuos diarios.</p>
               <button className="btn-main" onClick={() => setView('landing')}>Ver mi impacto global</button>
             </div>
           )}
@@ -300,15 +518,18 @@ function App() {
       user={user} 
       points={points} 
       co2Saved={co2Saved} 
-      onStartGame={() => {
-        setSeenWasteIds(new Set()); // Limpiar residuos vistos al iniciar nuevo juego
-        setCurrentIndex(0);
-        setView('game');
-      }} 
+      onStartGame={startGame} 
       onLoginClick={() => setView('auth')} 
       onLogout={logout} 
-      onShowRanking={() => setView('ranking')}
+      onShowRanking={() => { setRankingLeague(''); setView('ranking'); }}
+      onShowLeagues={() => setView('leagues')}
       onShowProfile={() => setView('profile')}
+      onShowHistory={() => setView('history')}
+      onShowStats={() => setView('stats')}
+      onShowAdmin={() => setView('admin')}
+      schemes={schemes}
+      scheme={findScheme(schemes, user ? user.esquema : guestScheme)}
+      onChangeScheme={changeScheme}
     />
   );
 }
@@ -0,0 +1,83 @@
+/**
+ * Cliente HTTP de la API de EcoGuide
+ * Añade el token de acceso a cada petición y, si el servidor responde 401
+ * (token caducado), lo renueva con el refresh token y repite la petición
+ */
+export const API_URL = 'http://localhost:5000';
+
+// Renovación en curso compartida por todas las peticiones que fallen a la vez
+let refreshPromise = null;
+
+// Cambia al cerrar la sesión: una renovación que aún esté en curso ya no guarda sus tokens
+let sessionGeneration = 0;
+
+/**
+ * Guarda el par de tokens devuelto por login o refresh
+ * @param {Object} data - Respuesta con { token, refreshToken }
+ */
+export const saveTokens = (data) => {
+  if (data.token) localStorage.setItem('token', data.token);
+  if (data.refreshToken) localStorage.setItem('refreshToken', data.refreshToken);
+};
+
+/**
+ * Borra los tokens de la sesión actual y descarta la renovación en curso
+ */
+export const clearTokens = () => {
+  sessionGeneration++;
+  refreshPromise = null;
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+};
+
+/**
+ * Pide al servidor un nuevo token de acceso rotando el refresh token
+ * @returns {Promise<boolean>} true si se obtuvo un token nuevo
+ */
+const refreshAccessToken = () => {
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (!refreshToken) return Promise.resolve(false);
+
+  if (!refreshPromise) {
+    const generation = sessionGeneration;
+    const promise = fetch(`${API_URL}/api/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken }),
+    })
+      .then(res => res.ok ? res.json() : Promise.reject())
+      .then(data => {
+        if (generation !== sessionGeneration) return false;
+        saveTokens(data);
+        return true;
+      })
+      .catch(() => false)
+      .finally(() => { if (refreshPromise === promise) refreshPromise = null; });
+    refreshPromise = promise;
+  }
+
+  return refreshPromise;
+};
+
+/**
+ * fetch con autenticación y renovación transparente del token
+ * @param {string} path - Ruta de la API (ej. '/api/usuarios/me/stats-hoy')
+ * @param {Object} options - Opciones de fetch
+ * @returns {Promise<Response>}
+ */
+export const apiFetch = async (path, options = {}) => {
+  const send = () => {
+    const token = localStorage.getItem('token');
+    return fetch(`${API_URL}${path}`, {
+      ...options,
+      headers: {
+        ...(options.headers || {}),
+        ...(token && { Authorization: `Bearer ${token}` })
+      },
+    });
+  };
+
+  const response = await send();
+  if (response.status === 401 && await refreshAccessToken()) return send();
+  return response;
+};
@@ -0,0 +1,27 @@
+/**
+ * Equivalencias del CO2 evitado para que los kg signifiquen algo
+ * Factores aproximados (kg CO2e por unidad):
+ *   - km en coche: turismo medio de la UE, ~0,12 kg/km
+ *   - carga de móvil: EPA Greenhouse Gas Equivalencies, ~0,008 kg/carga
+ *   - día de un árbol: un árbol adulto absorbe ~22 kg al año, ~0,06 kg/día
+ */
+export const CO2_EQUIVALENCES = [
+  { id: 'car', icon: '🚗', kgPerUnit: 0.12, unit: 'km en coche' },
+  { id: 'phone', icon: '📱', kgPerUnit: 0.008, unit: 'cargas de móvil' },
+  { id: 'tree', icon: '🌳', kgPerUnit: 0.06, unit: 'días de un árbol absorbiendo CO2' }
+];
+
+// Redondeo legible: decimales solo para cantidades pequeñas
+const formatAmount = (value) => (value < 10 ? value.toFixed(1) : Math.round(value).toLocaleString('es-ES'));
+
+/**
+ * Traduce kg de CO2 a equivalencias cotidianas
+ * @param {number} kg - CO2 evitado en kg
+ * @returns {Array<{id, icon, amount, unit}>} amount ya formateado
+ */
+export const co2Equivalences = (kg) => CO2_EQUIVALENCES.map(({ id, icon, kgPerUnit, unit }) => ({
+  id,
+  icon,
+  unit,
+  amount: formatAmount((Number(kg) || 0) / kgPerUnit)
+}));
@@ -0,0 +1,514 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+import WasteItem from './WasteItem';
+import { fetchSchemes, findScheme } from '../schemes';
+import { validar, validarCampo, mensaje, normalizarIdioma } from '../shared/validation';
+
+// Misma negociación de idioma que hace el servidor con Accept-Language
+const idioma = normalizarIdioma(navigator.language);
+
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+const IMAGE_MAX_BYTES = 2 * 1024 * 1024;
+
+// Texto de cada acción del informe de importación
+const IMPORT_ACTIONS = {
+  crear: 'Nuevo',
+  actualizar: 'Actualizar',
+  restaurar: 'Restaurar',
+  error: 'Error'
+};
+
+// Formulario vacío (todos los campos como texto para los inputs)
+const EMPTY_FORM = {
+  nombre: '',
+  tipo: '',
+  pista: '',
+  consejo: '',
+  icono: '',
+  imagen_url: '',
+  dificultad: '1',
+  co2_kg: '',
+  co2_fuente: '',
+  co2_notas: ''
+};
+
+const FIELDS = Object.keys(EMPTY_FORM);
+
+// Residuo del servidor -> valores del formulario
+const toForm = (residuo) => FIELDS.reduce((form, field) => ({
+  ...form,
+  [field]: residuo[field] === null || residuo[field] === undefined ? '' : String(residuo[field])
+}), {});
+
+/**
+ * Componente AdminPage (Catálogo de residuos)
+ * Solo para administradores: lista, crea, edita, da de baja y restaura residuos,
+ * e importa o exporta el catálogo en CSV/JSON (con una comprobación previa).
+ * El contenedor (tipo) es el del esquema por defecto; las excepciones de otras
+ * regiones están en residuo_contenedores. La vista previa usa el mismo WasteItem del juego.
+ *
+ * @param {Function} onBack - Callback para volver a la vista anterior
+ */
+const AdminPage = ({ onBack }) => {
+  // --- ESTADO ---
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showDeleted, setShowDeleted] = useState(false);
+  const [editing, setEditing] = useState(null); // null = cerrado, 'new' o el id del residuo
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [original, setOriginal] = useState(EMPTY_FORM); // Valores al abrir (para enviar solo cambios)
+  const [imageBase64, setImageBase64] = useState(undefined); // undefined = sin cambios, null = quitar
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState('');
+  const [info, setInfo] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0); // Cambia para recargar la lista
+  const [importFile, setImportFile] = useState(null); // { name, type, content }
+  const [importReport, setImportReport] = useState(null); // Respuesta de /importar
+  const [importing, setImporting] = useState(false);
+  const [bins, setBins] = useState([]); // Contenedores del esquema por defecto
+
+  useEffect(() => {
+    fetchSchemes()
+      .then(schemes => {
+        const scheme = findScheme(schemes);
+        setBins(scheme ? scheme.contenedores : []);
+      })
+      .catch(err => setError(err.message));
+  }, []);
+
+  useEffect(() => {
+    setLoading(true);
+    apiFetch(`/api/admin/residuos${showDeleted ? '?eliminados=1' : ''}`)
+      .then(res => res.json().then(data => {
+        if (!res.ok) throw new Error(data.error || 'Error cargando residuos');
+        return data;
+      }))
+      .then(data => setItems(data.residuos))
+      .catch(err => setError(err.message))
+      .finally(() => setLoading(false));
+  }, [showDeleted, reloadKey]);
+
+  /**
+   * Petición a la API de administración; devuelve los datos o lanza el error del servidor
+   */
+  const request = async (path, method, body) => {
+    const res = await apiFetch(path, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body),
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      if (data.errores) setFieldErrors(data.errores);
+      throw new Error(data.errores ? mensaje('formulario', idioma) : (data.error || 'Algo salió mal'));
+    }
+    return data;
+  };
+
+  // Reemplaza un residuo en la lista (o lo quita si ya no debe verse)
+  const replaceItem = (residuo) => {
+    setItems(prev => {
+      const rest = prev.filter(item => item.id !== residuo.id);
+      return residuo.eliminado_at && !showDeleted ? rest : [...rest, residuo];
+    });
+  };
+
+  const resetMessages = () => {
+    setError('');
+    setInfo('');
+    setFieldErrors({});
+  };
+
+  const openForm = (residuo) => {
+    resetMessages();
+    const values = residuo ? toForm(residuo) : { ...EMPTY_FORM, tipo: bins.length > 0 ? bins[0].codigo : '' };
+    setEditing(residuo ? residuo.id : 'new');
+    setForm(values);
+    setOriginal(values);
+    setImageBase64(undefined);
+  };
+
+  const closeForm = () => {
+    setEditing(null);
+    setFieldErrors({});
+  };
+
+  const changeField = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+    setFieldErrors(prev => ({ ...prev, [field]: validarCampo('residuo', field, value, { idioma }) }));
+  };
+
+  const handleImage = (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+
+    if (!IMAGE_TYPES.includes(file.type)) {
+      setFieldErrors(prev => ({ ...prev, imagen: 'Formato no soportado (PNG, JPEG, WebP o GIF)' }));
+      return;
+    }
+    if (file.size > IMAGE_MAX_BYTES) {
+      setFieldErrors(prev => ({ ...prev, imagen: 'La imagen supera el tamaño máximo de 2 MB' }));
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      setImageBase64(reader.result);
+      setFieldErrors(prev => ({ ...prev, imagen: '' }));
+    };
+    reader.readAsDataURL(file);
+  };
+
+  const removeImage = () => {
+    setImageBase64(null);
+    setForm(prev => ({ ...prev, imagen_url: '' }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    resetMessages();
+
+    const { valido, errores } = validar('residuo', form, { idioma });
+    setFieldErrors(errores);
+    if (!valido) return;
+
+    // Al crear se envía todo; al editar, solo lo que ha cambiado
+    const payload = {};
+    FIELDS.forEach(field => {
+      if (editing === 'new' || form[field] !== original[field]) payload[field] = form[field];
+    });
+    if (imageBase64 !== undefined) payload.imagen_base64 = imageBase64;
+
+    if (editing !== 'new' && Object.keys(payload).length === 0) {
+      setError('No hay cambios para guardar');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const data = editing === 'new'
+        ? await request('/api/admin/residuos', 'POST', payload)
+        : await request(`/api/admin/residuos/${editing}`, 'PATCH', payload);
+      replaceItem(data.residuo);
+      setInfo(`${data.residuo.nombre} guardado.`);
+      closeForm();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (residuo) => {
+    if (!window.confirm(`¿Dar de baja ${residuo.nombre}? Dejará de salir en el juego, pero su historial se conserva.`)) return;
+    resetMessages();
+
+    try {
+      const data = await request(`/api/admin/residuos/${residuo.id}`, 'DELETE');
+      replaceItem(data.residuo);
+      setInfo(`${residuo.nombre} dado de baja.`);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRestore = async (residuo) => {
+    resetMessages();
+
+    try {
+      const data = await request(`/api/admin/residuos/${residuo.id}/restaurar`, 'POST');
+      replaceItem(data.residuo);
+      setInfo(`${residuo.nombre} vuelve al juego.`);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleImportFile = (e) => {
+    const file = e.target.files && e.target.files[0];
+    setImportReport(null);
+    if (!file) {
+      setImportFile(null);
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = () => setImportFile({
+      name: file.name,
+      type: file.name.toLowerCase().endsWith('.json') ? 'application/json' : 'text/csv',
+      content: reader.result
+    });
+    reader.readAsText(file);
+  };
+
+  /**
+   * Envía el archivo a /importar: 'prueba' solo devuelve el informe, 'aplicar' lo guarda
+   */
+  const runImport = async (modo) => {
+    resetMessages();
+    setImporting(true);
+
+    try {
+      const res = await apiFetch(`/api/admin/residuos/importar?modo=${modo}`, {
+        method: 'POST',
+        headers: { 'Content-Type': importFile.type },
+        body: importFile.content,
+      });
+      const data = await res.json();
+      if (data.resumen) setImportReport(data);
+      if (!res.ok) throw new Error(data.error || 'Algo salió mal');
+
+      if (data.aplicado) {
+        const { crear, actualizar, restaurar } = data.resumen;
+        setInfo(`Importación completada: ${crear} nuevos, ${actualizar} actualizados, ${restaurar} restaurados.`);
+        setImportFile(null);
+        setReloadKey(key => key + 1);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  // Descarga el catálogo activo con un enlace temporal
+  const exportCatalog = async (formato) => {
+    resetMessages();
+
+    try {
+      const res = await apiFetch(`/api/admin/residuos/exportar?formato=${formato}`);
+      if (!res.ok) throw new Error((await res.json()).error || 'Error al exportar');
+
+      const url = URL.createObjectURL(await res.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `residuos.${formato}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // La importación solo se habilita tras una prueba sin errores del mismo archivo
+  const canApplyImport = importFile && importReport && !importReport.aplicado && importReport.resumen.errores === 0;
+
+  // Nombre del contenedor en la tabla (el código si ya no existe)
+  const binLabel = (tipo) => {
+    const bin = bins.find(item => item.codigo === tipo);
+    return bin ? bin.nombre : tipo;
+  };
+
+  // Orden de la tabla: activos primero, luego por contenedor y nombre
+  const sortedItems = [...items].sort((a, b) => (
+    (Boolean(a.eliminado_at) - Boolean(b.eliminado_at))
+    || a.tipo.localeCompare(b.tipo)
+    || a.nombre.localeCompare(b.nombre)
+  ));
+
+  // Vista previa con el residuo tal como lo verá el juego
+  const previewItem = {
+    id: editing,
+    nombre: form.nombre || 'Nombre del residuo',
+    icono: form.icono,
+    imagen_url: imageBase64 || form.imagen_url
+  };
+
+  const renderInput = (field, label, props = {}) => (
+    <div className="form-row">
+      <label htmlFor={`residuo-${field}`} className="form-label">{label}</label>
+      <input
+        id={`residuo-${field}`}
+        className="form-input"
+        value={form[field]}
+        onChange={(e) => changeField(field, e.target.value)}
+        {...props}
+      />
+      {fieldErrors[field] && <small className="error">{fieldErrors[field]}</small>}
+    </div>
+  );
+
+  return (
+    <div className="ranking-container">
+      {/* BOTÓN VOLVER */}
+      <button className="btn-back" onClick={onBack}>← Volver al Menú</button>
+
+      {/* ENCABEZADO */}
+      <div style={{textAlign: 'center', marginBottom: '30px'}}>
+        <h2 style={{fontSize: '2rem'}}>🛠️ Catálogo de residuos</h2>
+        <p style={{color: '#7f8c8d'}}>Añade, corrige o da de baja los residuos del juego</p>
+      </div>
+
+      {error && <div className="auth-error">{error}</div>}
+      {info && <div className="auth-info">{info}</div>}
+
+      {/* FORMULARIO DE ALTA / EDICIÓN */}
+      {editing !== null ? (
+        <form onSubmit={handleSubmit} className="admin-form">
+          <div className="admin-form-fields">
+            {renderInput('nombre', 'Nombre')}
+
+            <div className="form-row">
+              <label htmlFor="residuo-tipo" className="form-label">Contenedor</label>
+              <select
+                id="residuo-tipo"
+                className="form-input"
+                value={form.tipo}
+                onChange={(e) => changeField('tipo', e.target.value)}
+              >
+                {bins.map(bin => (
+                  <option key={bin.codigo} value={bin.codigo}>{bin.nombre}</option>
+                ))}
+              </select>
+              {fieldErrors.tipo && <small className="error">{fieldErrors.tipo}</small>}
+            </div>
+
+            {renderInput('pista', 'Pista (al fallar)')}
+            {renderInput('consejo', 'Consejo (al acertar)')}
+            {renderInput('icono', 'Icono (emoji de respaldo)')}
+            {renderInput('dificultad', 'Dificultad (1-3)', { type: 'number', min: 1, max: 3 })}
+            {renderInput('co2_kg', 'CO2 evitado por unidad (kg CO2e)', { type: 'number', min: 0, step: 0.001 })}
+            {renderInput('co2_fuente', 'Fuente del factor de CO2')}
+            {renderInput('co2_notas', 'Notas del cálculo de CO2')}
+
+            <div className="form-row">
+              <label htmlFor="residuo-imagen" className="form-label">Imagen</label>
+              <input
+                id="residuo-imagen"
+                type="file"
+                className="form-input"
+                accept={IMAGE_TYPES.join(',')}
+                onChange={handleImage}
+              />
+              {(imageBase64 || form.imagen_url) && (
+                <button type="button" className="ranking-tab" onClick={removeImage}>Quitar imagen</button>
+              )}
+              {fieldErrors.imagen && <small className="error">{fieldErrors.imagen}</small>}
+            </div>
+          </div>
+
+          {/* VISTA PREVIA CON EL COMPONENTE DEL JUEGO */}
+          <div className="admin-preview">
+            <span className="form-label">Vista previa</span>
+            <div className="waste-display">
+              <WasteItem key={`${previewItem.imagen_url}-${previewItem.icono}`} item={previewItem} />
+            </div>
+            <div className="admin-form-actions">
+              <button type="submit" className="btn-main" disabled={saving}>
+                {saving ? 'Guardando...' : editing === 'new' ? 'Crear residuo' : 'Guardar cambios'}
+              </button>
+              <button type="button" className="btn-secondary" onClick={closeForm}>Cancelar</button>
+            </div>
+          </div>
+        </form>
+      ) : (
+        <div className="admin-toolbar">
+          <button className="btn-main" onClick={() => openForm(null)}>+ Nuevo residuo</button>
+          <label>
+            <input type="checkbox" checked={showDeleted} onChange={(e) => setShowDeleted(e.target.checked)} />
+            {' '}Mostrar dados de baja
+          </label>
+        </div>
+      )}
+
+      {/* IMPORTAR / EXPORTAR */}
+      {editing === null && (
+        <div className="admin-import">
+          <div className="admin-toolbar">
+            <input
+              type="file"
+              className="form-input"
+              accept=".csv,.json"
+              onChange={handleImportFile}
+            />
+            <button className="ranking-tab" disabled={!importFile || importing} onClick={() => runImport('prueba')}>
+              Comprobar
+            </button>
+            <button className="btn-main" disabled={!canApplyImport || importing} onClick={() => runImport('aplicar')}>
+              {importing ? 'Procesando...' : 'Importar'}
+            </button>
+            <button className="ranking-tab" onClick={() => exportCatalog('csv')}>Exportar CSV</button>
+            <button className="ranking-tab" onClick={() => exportCatalog('json')}>Exportar JSON</button>
+          </div>
+
+          {importReport && (
+            <div className="admin-import-report">
+              <p>
+                {importReport.resumen.total} filas: {importReport.resumen.crear} nuevas,{' '}
+                {importReport.resumen.actualizar} a actualizar, {importReport.resumen.restaurar} a restaurar,{' '}
+                {importReport.resumen.errores} con errores
+              </p>
+              {importReport.columnas_ignoradas.length > 0 && (
+                <p className="no-data">Columnas ignoradas: {importReport.columnas_ignoradas.join(', ')}</p>
+              )}
+              <table className="ranking-table">
+                <thead>
+                  <tr>
+                    <th>Fila</th>
+                    <th>Residuo</th>
+                    <th>Acción</th>
+                    <th>Errores</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {importReport.filas.map(fila => (
+                    <tr key={fila.fila} className={fila.accion === 'error' ? 'admin-import-error' : ''}>
+                      <td>{fila.fila}</td>
+                      <td>{fila.nombre || '—'}</td>
+                      <td>{IMPORT_ACTIONS[fila.accion]}</td>
+                      <td>{fila.errores && Object.entries(fila.errores).map(([campo, texto]) => `${campo}: ${texto}`).join(' · ')}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* LISTA DE RESIDUOS */}
+      {loading ? (
+        <p style={{textAlign: 'center'}}>Cargando residuos...</p>
+      ) : sortedItems.length === 0 ? (
+        <p className="no-data">No hay residuos en el catálogo.</p>
+      ) : (
+        <table className="ranking-table">
+          <thead>
+            <tr>
+              <th></th>
+              <th>Residuo</th>
+              <th>Contenedor</th>
+              <th>Dificultad</th>
+              <th>CO2</th>
+              <th>Usos</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {sortedItems.map(item => (
+              <tr key={item.id} className={item.eliminado_at ? 'admin-deleted' : ''}>
+                <td>{item.icono || '📦'}</td>
+                <td style={{fontWeight: '600'}}>{item.nombre}</td>
+                <td>{binLabel(item.tipo)}</td>
+                <td>{'★'.repeat(item.dificultad || 1)}</td>
+                <td title={item.co2_fuente || ''}>{Number(item.co2_kg || 0).toFixed(3)} kg</td>
+                <td>{item.usos}</td>
+                <td className="league-actions">
+                  <button className="ranking-tab" onClick={() => openForm(item)}>Editar</button>
+                  {item.eliminado_at ? (
+                    <button className="ranking-tab" onClick={() => handleRestore(item)}>Restaurar</button>
+                  ) : (
+                    <button className="btn-logout" onClick={() => handleDelete(item)}>Dar de baja</button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default AdminPage;
@@ -1,60 +1,161 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import { API_URL, saveTokens } from '../api';
+import { validar, validarCampo, mensaje, normalizarIdioma } from '../shared/validation';
+
+// Same language negotiation the server does with Accept-Language
+const idioma = normalizarIdioma(navigator.language);
+
+// Seconds -> "m:ss" for the lockout countdown
+const formatCountdown = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+const FieldError = ({ message }) => (
+  message ? <div style={{ color: 'var(--red-error)', marginTop: '8px', fontWeight: 700 }}>{message}</div> : null
+);
 
 /**
- * Auth component: login and register with frontend password validation
+ * Auth component: login and register validated with the shared schemas
+ * (src/shared/validation, same rules as the server),
+ * plus password recovery (request link / reset with the emailed token)
+ * and a countdown while the server throttles login attempts (429 + Retry-After)
  */
 const Auth = ({ onLogin }) => {
+  // Tokens of the emailed links (/?reset=<token> and /?verify=<token>)
+  const params = new URLSearchParams(window.location.search);
+  const resetToken = params.get('reset');
+  const verifyToken = params.get('verify');
+
   const [isRegister, setIsRegister] = useState(false);
+  const [recovery, setRecovery] = useState(resetToken ? 'reset' : null); // null | 'forgot' | 'reset'
   const [formData, setFormData] = useState({ nombre: '', email: '', password: '' });
+  const [confirmPassword, setConfirmPassword] = useState('');
   const [error, setError] = useState('');
-  const [pwdTouched, setPwdTouched] = useState(false);
-  const [pwdError, setPwdError] = useState('');
-
-  const validatePassword = (pw) => {
-    if (!pw || pw.length < 8) return 'La contraseña debe tener al menos 8 caracteres';
-    if (!/[A-Z]/.test(pw)) return 'Incluye al menos una letra mayúscula';
-    if (!/[a-z]/.test(pw)) return 'Incluye al menos una letra minúscula';
-    if (!/[0-9]/.test(pw)) return 'Incluye al menos un número';
-    if (!new RegExp("[!@#$%^&*()_+\\-=[]{};:\"|,.<>/?]").test(pw)) return 'Incluye al menos un carácter especial (ej. !?@#)';
-    return '';
+  const [info, setInfo] = useState('');
+  const [showResend, setShowResend] = useState(false);
+  // Verification tokens are single-use: avoid a second request (StrictMode re-runs effects)
+  const verifyRequested = useRef(false);
+  const [fieldErrors, setFieldErrors] = useState({});
+  // Seconds left before login can be retried (server answered 429 with Retry-After)
+  const [retryIn, setRetryIn] = useState(0);
+
+  // Validation schema (src/shared/validation) of the form on screen
+  const schema = recovery === 'forgot' ? 'recuperar'
+    : recovery === 'reset' ? 'restablecer'
+    : isRegister ? 'registro' : 'login';
+
+  const formValues = { ...formData, confirmPassword, token: resetToken };
+
+  const checkField = (field, value) => {
+    const message = validarCampo(schema, field, value, { datos: { ...formValues, [field]: value }, idioma });
+    setFieldErrors(prev => ({ ...prev, [field]: message }));
+  };
+
+  // Re-validate only fields that already show an error, while typing
+  const updateField = (field, value) => {
+    setFormData({ ...formData, [field]: value });
+    if (fieldErrors[field]) checkField(field, value);
+  };
+
+  /**
+   * Maps a failed API response to field errors (server uses the same schemas)
+   */
+  const responseError = (data) => {
+    if (data.errores) {
+      setFieldErrors(data.errores);
+      return new Error(mensaje('formulario', idioma));
+    }
+    return new Error(data.error || 'Algo salió mal');
+  };
+
+  const switchMode = (changes) => {
+    setError('');
+    setInfo('');
+    setFieldErrors({});
+    if ('recovery' in changes) setRecovery(changes.recovery);
+    if ('isRegister' in changes) setIsRegister(changes.isRegister);
+  };
+
+  // Confirm the email when arriving from the verification link
+  useEffect(() => {
+    if (!verifyToken || verifyRequested.current) return;
+    verifyRequested.current = true;
+
+    fetch(`${API_URL}/api/auth/verify/${verifyToken}`)
+      .then(res => res.json().then(data => ({ ok: res.ok, data })))
+      .then(({ ok, data }) => {
+        if (ok) {
+          setInfo(data.mensaje);
+        } else {
+          setError(data.error || 'No se pudo verificar el correo');
+          setShowResend(true);
+        }
+      })
+      .catch(() => setError('Error de conexión con el servidor'))
+      .finally(() => window.history.replaceState(null, '', window.location.pathname));
+  }, [verifyToken]);
+
+  // Login lockout countdown
+  useEffect(() => {
+    if (retryIn <= 0) return;
+    const timer = setTimeout(() => setRetryIn(retryIn - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [retryIn]);
+
+  const handleResend = async () => {
+    setError('');
+    setInfo('');
+
+    if (!formData.email) {
+      setError('Introduce tu correo electrónico para reenviar la verificación');
+      return;
+    }
+
+    try {
+      const response = await fetch(`${API_URL}/api/auth/verify/resend`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email: formData.email }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Algo salió mal');
+      setInfo(data.mensaje);
+    } catch (err) {
+      setError(err.message || 'Error en la petición');
+    }
   };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
-    setPwdError('');
-    setPwdTouched(true);
+    setInfo('');
 
-    if (isRegister) {
-      if (!formData.nombre || !formData.nombre.trim()) {
-        setError('Por favor introduce tu nombre completo');
-        return;
-      }
-      const pwErr = validatePassword(formData.password);
-      if (pwErr) {
-        setPwdError(pwErr);
-        return;
-      }
-    }
+    const { valido, errores } = validar(schema, formData, { idioma });
+    setFieldErrors(errores);
+    if (!valido) return;
 
     const endpoint = isRegister ? '/api/auth/register' : '/api/auth/login';
 
     try {
-      const response = await fetch(`http://localhost:5000${endpoint}`, {
+      const response = await fetch(`${API_URL}${endpoint}`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(formData),
       });
 
       const data = await response.json();
-      if (!response.ok) throw new Error(data.error || 'Algo salió mal');
+      if (response.status === 429) {
+        setRetryIn(parseInt(response.headers.get('Retry-After'), 10) || 60);
+        return;
+      }
+      if (!response.ok) throw responseError(data);
 
       if (!isRegister) {
-        localStorage.setItem('token', data.token);
+        saveTokens(data);
         localStorage.setItem('user', JSON.stringify(data.user));
         onLogin(data.user);
       } else {
-        alert('¡Registro exitoso! Ahora puedes iniciar sesión.');
+        setInfo('¡Registro exitoso! Revisa tu correo para verificar la cuenta y después inicia sesión.');
+        setShowResend(true);
         setIsRegister(false);
       }
     } catch (err) {
@@ -62,6 +163,111 @@ const Auth = ({ onLogin }) => {
     }
   };
 
+  const handleRecovery = async (e) => {
+    e.preventDefault();
+    setError('');
+    setInfo('');
+
+    const { valido, errores } = validar(schema, formValues, { idioma });
+    setFieldErrors(errores);
+    if (!valido) return;
+
+    const endpoint = recovery === 'forgot' ? '/api/auth/forgot' : '/api/auth/reset';
+    const body = recovery === 'forgot'
+      ? { email: formData.email }
+      : { token: resetToken, password: formData.password };
+
+    try {
+      const response = await fetch(`${API_URL}${endpoint}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+
+      const data = await response.json();
+      if (!response.ok) throw responseError(data);
+
+      if (recovery === 'reset') {
+        // The link is single-use: drop it from the URL and go back to login
+        window.history.replaceState(null, '', window.location.pathname);
+        setRecovery(null);
+        setFormData({ ...formData, password: '' });
+        setConfirmPassword('');
+      }
+      setInfo(data.mensaje);
+    } catch (err) {
+      setError(err.message || 'Error en la petición');
+    }
+  };
+
+  const recoveryForm = (
+    <form onSubmit={handleRecovery} className="auth-form">
+      <h2 style={{ marginBottom: '12px', textAlign: 'center' }}>{recovery === 'forgot' ? 'Recuperar contraseña' : 'Nueva contraseña'}</h2>
+
+      {error && <div className="auth-error">{error}</div>}
+      {info && <div className="auth-info">{info}</div>}
+
+      {recovery === 'forgot' ? (
+        <div className="form-row">
+          <label htmlFor="email" className="form-label">Correo electrónico</label>
+          <input
+            id="email"
+            type="email"
+            className="form-input"
+            placeholder="tu@correo.com"
+            value={formData.email}
+            onChange={(e) => updateField('email', e.target.value)}
+            onBlur={() => checkField('email', formData.email)}
+            required
+          />
+          <FieldError message={fieldErrors.email} />
+        </div>
+      ) : (
+        <>
+          <div className="form-row">
+            <label htmlFor="password" className="form-label">Nueva contraseña</label>
+            <input
+              id="password"
+              type="password"
+              className="form-input"
+              placeholder="Nueva contraseña"
+              value={formData.password}
+              onChange={(e) => updateField('password', e.target.value)}
+              onBlur={() => checkField('password', formData.password)}
+              required
+            />
+            <FieldError message={fieldErrors.password} />
+          </div>
+
+          <div className="form-row">
+            <label htmlFor="confirmPassword" className="form-label">Confirmar contraseña</label>
+            <input
+              id="confirmPassword"
+              type="password"
+              className="form-input"
+              placeholder="Confirmar contraseña"
+              value={confirmPassword}
+              onChange={(e) => { setConfirmPassword(e.target.value); if (fieldErrors.confirmPassword) checkField('confirmPassword', e.target.value); }}
+              onBlur={() => checkField('confirmPassword', confirmPassword)}
+              required
+            />
+            <FieldError message={fieldErrors.confirmPassword} />
+          </div>
+        </>
+      )}
+
+      <div className="form-actions">
+        <button type="submit" className="btn-main" style={{ width: '100%', marginTop: '6px' }}>
+          {recovery === 'forgot' ? 'Enviar enlace' : 'Guardar contraseña'}
+        </button>
+      </div>
+
+      <p onClick={() => switchMode({ recovery: null })} className="switch-auth" style={{ cursor: 'pointer', marginTop: '16px', textAlign: 'center', fontSize: '0.9rem', color: 'var(--text-muted)' }}>
+        <span className="highlight">Volver a iniciar sesión</span>
+      </p>
+    </form>
+  );
+
   return (
     <div className="auth-wrapper" style={{ position: 'relative' }}>
       <button
@@ -92,76 +298,100 @@ const Auth = ({ onLogin }) => {
           </p>
         </div>
 
-        <form onSubmit={handleSubmit} className="auth-form">
-          <h2 style={{ marginBottom: '12px', textAlign: 'center' }}>{isRegister ? 'Crear Cuenta' : 'Iniciar Sesión'}</h2>
+        {recovery ? recoveryForm : (
+          <form onSubmit={handleSubmit} className="auth-form">
+            <h2 style={{ marginBottom: '12px', textAlign: 'center' }}>{isRegister ? 'Crear Cuenta' : 'Iniciar Sesión'}</h2>
 
-          {error && <div className="auth-error">{error}</div>}
+            {error && <div className="auth-error">{error}</div>}
+            {info && <div className="auth-info">{info}</div>}
+            {!isRegister && retryIn > 0 && (
+              <div className="auth-error">
+                Demasiados intentos. Podrás volver a intentarlo en {formatCountdown(retryIn)}
+              </div>
+            )}
+
+            {isRegister && (
+              <div className="form-row">
+                <label htmlFor="nombre" className="form-label">Nombre completo</label>
+                <input
+                  id="nombre"
+                  type="text"
+                  className="form-input"
+                  placeholder="Tu nombre"
+                  value={formData.nombre}
+                  onChange={(e) => updateField('nombre', e.target.value)}
+                  onBlur={() => checkField('nombre', formData.nombre)}
+                  required
+                />
+                <FieldError message={fieldErrors.nombre} />
+              </div>
+            )}
 
-          {isRegister && (
             <div className="form-row">
-              <label htmlFor="nombre" className="form-label">Nombre completo</label>
+              <label htmlFor="email" className="form-label">Correo electrónico</label>
               <input
-                id="nombre"
-                type="text"
+                id="email"
+                type="email"
                 className="form-input"
-                placeholder="Tu nombre"
-                value={formData.nombre}
-                onChange={(e) => setFormData({ ...formData, nombre: e.target.value })}
+                placeholder="tu@correo.com"
+                value={formData.email}
+                onChange={(e) => updateField('email', e.target.value)}
+                onBlur={() => checkField('email', formData.email)}
                 required
               />
+              <FieldError message={fieldErrors.email} />
             </div>
-          )}
 
-          <div className="form-row">
-            <label htmlFor="email" className="form-label">Correo electrónico</label>
-            <input
-              id="email"
-              type="email"
-              className="form-input"
-              placeholder="tu@correo.com"
-              value={formData.email}
-              onChange={(e) => setFormData({ ...formData, email: e.target.value })}
-              required
-            />
-          </div>
+            <div className="form-row">
+              <label htmlFor="password" className="form-label">Contraseña</label>
+              <input
+                id="password"
+                type="password"
+                className="form-input"
+                placeholder="Contraseña"
+                value={formData.password}
+                onChange={(e) => updateField('password', e.target.value)}
+                onBlur={() => checkField('password', formData.password)}
+                required
+              />
 
-          <div className="form-row">
-            <label htmlFor="password" className="form-label">Contraseña</label>
-            <input
-              id="password"
-              type="password"
-              className="form-input"
-              placeholder="Contraseña"
-              value={formData.password}
-              onChange={(e) => { setFormData({ ...formData, password: e.target.value }); if (pwdTouched) setPwdError(validatePassword(e.target.value)); }}
-              onBlur={() => { setPwdTouched(true); setPwdError(validatePassword(formData.password)); }}
-              required
-            />
+              {isRegister && (
+                <div className="password-hints" style={{ fontSize: '0.85rem', color: 'var(--text-muted)', marginTop: '8px' }}>
+                  <div>La contraseña debe incluir:</div>
+                  <ul style={{ margin: '6px 0 0 18px' }}>
+                    <li>8+ caracteres</li>
+                    <li>Una mayúscula</li>
+                    <li>Una minúscula</li>
+                    <li>Un número</li>
+                    <li>Un carácter especial (ej. !@#)</li>
+                  </ul>
+                </div>
+              )}
 
-            {isRegister && (
-              <div className="password-hints" style={{ fontSize: '0.85rem', color: 'var(--text-muted)', marginTop: '8px' }}>
-                <div>La contraseña debe incluir:</div>
-                <ul style={{ margin: '6px 0 0 18px' }}>
-                  <li>8+ caracteres</li>
-                  <li>Una mayúscula</li>
-                  <li>Una minúscula</li>
-                  <li>Un número</li>
-                  <li>Un carácter especial (ej. !@#)</li>
-                </ul>
-              </div>
+              <FieldError message={fieldErrors.password} />
+            </div>
+
+            {!isRegister && (
+              <p onClick={() => switchMode({ recovery: 'forgot' })} className="switch-auth" style={{ cursor: 'pointer', margin: 0, textAlign: 'right', fontSize: '0.85rem' }}>
+                ¿Olvidaste tu contraseña?
+              </p>
             )}
 
-            {pwdError && <div style={{ color: 'var(--red-error)', marginTop: '8px', fontWeight: 700 }}>{pwdError}</div>}
-          </div>
+            <div className="form-actions">
+              <button type="submit" className="btn-main" style={{ width: '100%', marginTop: '6px' }} disabled={!isRegister && retryIn > 0}>{isRegister ? 'Registrarse Ahora' : 'Entrar al Sistema'}</button>
+            </div>
 
-          <div className="form-actions">
-            <button type="submit" className="btn-main" style={{ width: '100%', marginTop: '6px' }}>{isRegister ? 'Registrarse Ahora' : 'Entrar al Sistema'}</button>
-          </div>
+            {!isRegister && (
+              <p onClick={showResend ? handleResend : () => setShowResend(true)} className="switch-auth" style={{ cursor: 'pointer', margin: 0, textAlign: 'center', fontSize: '0.85rem' }}>
+                {showResend ? <span className="highlight">Reenviar correo de verificación</span> : '¿No recibiste el correo de verificación?'}
+              </p>
+            )}
 
-          <p onClick={() => setIsRegister(!isRegister)} className="switch-auth" style={{ cursor: 'pointer', marginTop: '16px', textAlign: 'center', fontSize: '0.9rem', color: 'var(--text-muted)' }}>
-            {isRegister ? (<>¿Ya tienes cuenta? <span className="highlight">Inicia sesión</span></>) : (<>¿No tienes cuenta? <span className="highlight">Regístrate gratis</span></>)}
-          </p>
-        </form>
+            <p onClick={() => switchMode({ isRegister: !isRegister })} className="switch-auth" style={{ cursor: 'pointer', marginTop: '16px', textAlign: 'center', fontSize: '0.9rem', color: 'var(--text-muted)' }}>
+              {isRegister ? (<>¿Ya tienes cuenta? <span className="highlight">Inicia sesión</span></>) : (<>¿No tienes cuenta? <span className="highlight">Regístrate gratis</span></>)}
+            </p>
+          </form>
+        )}
       </div>
     </div>
   );
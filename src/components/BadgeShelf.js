@@ -0,0 +1,48 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+
+/**
+ * Componente BadgeShelf (Estantería de logros)
+ * Muestra todos los logros: los obtenidos a color con su fecha
+ * y los pendientes en gris con la descripción de cómo conseguirlos
+ *
+ * @param {string} title - Título de la sección (opcional)
+ */
+const BadgeShelf = ({ title = 'Tus logros' }) => {
+  const [badges, setBadges] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    apiFetch('/api/usuarios/me/logros')
+      .then(res => (res.ok ? res.json() : Promise.reject(new Error('Error cargando logros'))))
+      .then(data => setBadges(data.logros || []))
+      .catch(err => console.error("Error cargando logros:", err))
+      .finally(() => setLoading(false));
+  }, []);
+
+  if (loading || badges.length === 0) return null;
+
+  const unlocked = badges.filter(b => b.obtenido_at).length;
+
+  return (
+    <section className="badge-shelf">
+      <h3>{title} <span className="badge-count">{unlocked}/{badges.length}</span></h3>
+      <div className="badge-grid">
+        {badges.map(badge => (
+          <div
+            key={badge.codigo}
+            className={`badge ${badge.obtenido_at ? 'unlocked' : 'locked'}`}
+            title={badge.obtenido_at
+              ? `${badge.descripcion} · ${new Date(badge.obtenido_at).toLocaleDateString()}`
+              : badge.descripcion}
+          >
+            <span className="badge-icon">{badge.icono}</span>
+            <span className="badge-name">{badge.nombre}</span>
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+};
+
+export default BadgeShelf;
@@ -5,12 +5,14 @@ import React, { useState } from 'react';
  * Representa un contenedor donde el usuario puede soltar objetos residuales
  * Valida si el objeto soltado corresponde al tipo de contenedor
  * 
- * @param {string} type - Tipo de contenedor: 'yellow', 'blue', 'green', 'grey', 'special'
- * @param {string} label - Etiqueta visible: 'Plásticos', 'Papel', 'Vidrio', 'Orgánico', 'Peligrosos'
+ * @param {string} type - Código del contenedor en el esquema regional (ej. 'yellow', 'brown', 'glass_green')
+ * @param {string} label - Etiqueta visible (ej. 'Plásticos', 'Orgánico')
+ * @param {string} color - Color del contenedor (#rrggbb)
  * @param {Function} onDropCorrect - Callback ejecutado al soltar un objeto
- *                                   recibe boolean: true si es correcto, false si es incorrecto
+ *                                   recibe (isCorrect, type): boolean con la validación local
+ *                                   y el tipo de este contenedor para enviarlo al servidor
  */
-const Bin = ({ type, label, onDropCorrect }) => {
+const Bin = ({ type, label, color, onDropCorrect }) => {
   // --- ESTADO ---
   const [isOver, setIsOver] = useState(false); // Indica si un objeto está siendo arrastrado sobre este contenedor
 
@@ -35,7 +37,7 @@ const Bin = ({ type, label, onDropCorrect }) => {
   /**
    * Maneja el drop del objeto
    * Obtiene el tipo del objeto arrastrado y lo compara con el tipo del contenedor
-   * Ejecuta el callback con true si coinciden, false si no
+   * Ejecuta el callback con true si coinciden, false si no, junto al tipo del contenedor
    * 
    * @param {DragEvent} e - Evento de drag
    */
@@ -45,14 +47,15 @@ const Bin = ({ type, label, onDropCorrect }) => {
     // Obtiene el tipo de residuo almacenado durante el drag
     const droppedType = e.dataTransfer.getData("itemType");
     // Valida si el tipo coincide con el contenedor
-    onDropCorrect(droppedType === type);
+    onDropCorrect(droppedType === type, type);
   };
 
   return (
     <div className="bin-wrapper">
       {/* CONTENEDOR VISUAL */}
       <div 
-        className={`bin ${type} ${isOver ? 'bin-active' : ''}`} 
+        className={`bin ${isOver ? 'bin-active' : ''}`}
+        style={{ background: color }}
         onDragOver={handleDragOver}
         onDragLeave={handleDragLeave}
         onDrop={handleDrop}
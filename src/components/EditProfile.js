@@ -1,14 +1,22 @@
 import React, { useState, useRef, useEffect } from 'react';
+import { apiFetch } from '../api';
+import BadgeShelf from './BadgeShelf';
+import { validar, validarCampo, mensaje, normalizarIdioma } from '../shared/validation';
 
-function EditProfile({ user, setUser, onBack }) {
+// Same language negotiation the server does with Accept-Language
+const idioma = normalizarIdioma(navigator.language);
+
+const AVATAR_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+const AVATAR_MAX_BYTES = 2 * 1024 * 1024;
+
+function EditProfile({ user, setUser, onBack, onLogout }) {
   const [nombre, setNombre] = useState(user?.nombre || '');
   const [email, setEmail] = useState(user?.email || '');
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [loading, setLoading] = useState(false);
-  const [fieldErrors, setFieldErrors] = useState({ nombre: '', email: '' });
-
-  const token = localStorage.getItem('token');
+  // Errores por campo: nombre, email, currentPassword, newPassword, confirmPassword, avatar
+  const [fieldErrors, setFieldErrors] = useState({});
 
   // Avatar preview / upload (base64)
   const [avatarPreview, setAvatarPreview] = useState(user?.avatar || '');
@@ -24,10 +32,9 @@ function EditProfile({ user, setUser, onBack }) {
 
   // Change password
   const [showChangePwd, setShowChangePwd] = useState(false);
+  const [currentPassword, setCurrentPassword] = useState('');
   const [newPassword, setNewPassword] = useState('');
-  const [newPwdError, setNewPwdError] = useState('');
   const [confirmPassword, setConfirmPassword] = useState('');
-  const [confirmPwdError, setConfirmPwdError] = useState('');
 
   // Sincronizar estados con los datos del usuario cuando cambien
   useEffect(() => {
@@ -43,32 +50,17 @@ function EditProfile({ user, setUser, onBack }) {
     setTimeout(() => setToast({ visible: false, message: '', type: 'info' }), ms);
   };
 
-  const validatePassword = (pw) => {
-    if (!pw || pw.length < 8) return 'La contraseña debe tener al menos 8 caracteres';
-    if (!/[A-Z]/.test(pw)) return 'Incluye al menos una letra mayúscula';
-    if (!/[a-z]/.test(pw)) return 'Incluye al menos una letra minúscula';
-    if (!/[0-9]/.test(pw)) return 'Incluye al menos un número';
-    if (!new RegExp("[!@#$%^&*()_+\\-=[]{};:\"|,.<>/?]").test(pw)) return 'Incluye al menos un carácter especial';
-    return '';
-  };
-
   // =============================
-  // VALIDACIÓN EMAIL
+  // VALIDACIÓN (esquema compartido con el servidor)
   // =============================
-  const validarEmail = (email) => {
-    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
-  };
+  const formValues = { nombre, email, currentPassword, newPassword, confirmPassword };
 
-  const validateField = (field, value) => {
-    if (field === 'nombre') {
-      return value.trim() ? '' : 'El nombre no puede estar vacío';
-    }
-
-    if (field === 'email') {
-      return validarEmail(value) ? '' : 'Formato de email inválido';
-    }
+  const validateField = (field, value) => (
+    validarCampo('perfil', field, value, { datos: { ...formValues, [field]: value }, idioma })
+  );
 
-    return '';
+  const setFieldError = (field, value) => {
+    setFieldErrors(prev => ({ ...prev, [field]: validateField(field, value) }));
   };
 
   // =============================
@@ -79,25 +71,13 @@ function EditProfile({ user, setUser, onBack }) {
     setError('');
     setSuccess('');
 
-    // Validar ambos campos obligatorios para el submit
-    const nombreErr = validateField('nombre', nombre);
-    const emailErr = validateField('email', email);
-    
-    setFieldErrors({ nombre: nombreErr, email: emailErr });
-
-    if (nombreErr || emailErr) return;
-
-    // If user wants to change password, validate it here
-    if (showChangePwd) {
-      const pwdErr = validatePassword(newPassword);
-      setNewPwdError(pwdErr);
-      if (pwdErr) return;
-      if (newPassword !== confirmPassword) {
-        setConfirmPwdError('Las contraseñas no coinciden');
-        return;
-      }
-      setConfirmPwdError('');
-    }
+    // Nombre y email siempre; los campos de contraseña solo si se está cambiando
+    const campos = ['nombre', 'email'];
+    if (showChangePwd) campos.push('currentPassword', 'newPassword', 'confirmPassword');
+
+    const { valido, errores } = validar('perfil', formValues, { campos, idioma });
+    setFieldErrors(errores);
+    if (!valido) return;
 
     try {
       setLoading(true);
@@ -122,6 +102,7 @@ function EditProfile({ user, setUser, onBack }) {
       
       // Incluir contraseña si se cambió
       if (showChangePwd && newPassword) {
+        payload.currentPassword = currentPassword;
         payload.newPassword = newPassword;
       }
 
@@ -132,27 +113,29 @@ function EditProfile({ user, setUser, onBack }) {
         return;
       }
 
-      const res = await fetch(
-        `http://localhost:5000/api/usuarios/${user.id}/perfil`,
-        {
-          method: 'PUT',
-          headers: {
-            'Content-Type': 'application/json',
-            Authorization: `Bearer ${token}`,
-          },
-          body: JSON.stringify(payload),
-        }
-      );
+      const res = await apiFetch('/api/usuarios/me/perfil', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+      });
 
       const data = await res.json();
 
       if (!res.ok) {
-        setError(data.error || 'Error actualizando perfil');
-        showToast(data.error || 'Error actualizando perfil', 'error');
+        // Errores por campo devueltos por el servidor con el mismo esquema
+        if (data.errores) setFieldErrors(data.errores);
+        const message = data.errores ? mensaje('formulario', idioma) : (data.error || 'Error actualizando perfil');
+        setError(data.errores && data.errores.avatar ? data.errores.avatar : message);
+        showToast(message, 'error');
         return;
       }
 
-      setUser(data);
+      setUser({ ...user, ...data });
+      setAvatarBase64('');
+      setShowChangePwd(false);
+      setCurrentPassword('');
+      setNewPassword('');
+      setConfirmPassword('');
       setSuccess('Perfil actualizado correctamente ✅');
       showToast('Perfil actualizado correctamente', 'success');
 
@@ -174,15 +157,7 @@ function EditProfile({ user, setUser, onBack }) {
   const handleConfirmDelete = async () => {
     setShowDeleteModal(false);
     try {
-      const res = await fetch(
-        `http://localhost:5000/api/usuarios/${user.id}`,
-        {
-          method: 'DELETE',
-          headers: {
-            Authorization: `Bearer ${token}`,
-          },
-        }
-      );
+      const res = await apiFetch('/api/usuarios/me', { method: 'DELETE' });
 
       if (!res.ok) {
         const data = await res.json();
@@ -191,14 +166,12 @@ function EditProfile({ user, setUser, onBack }) {
         return;
       }
 
-      // Clear auth and user data, update app state and navigate back to landing
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      if (typeof setUser === 'function') setUser(null);
-      showToast('Cuenta eliminada correctamente', 'success');
-      if (typeof onBack === 'function') {
-        onBack();
+      // Same path as logging out: the App clears tokens, stats and game state
+      // from the deleted session and navigates back to landing
+      if (typeof onLogout === 'function') {
+        onLogout();
       } else {
+        localStorage.clear();
         window.location.href = '/';
       }
 
@@ -208,6 +181,26 @@ function EditProfile({ user, setUser, onBack }) {
     }
   };
 
+  // =============================
+  // CERRAR SESIÓN EN TODOS LOS DISPOSITIVOS
+  // =============================
+  const handleLogoutAll = async () => {
+    try {
+      const res = await apiFetch('/api/auth/logout-all', { method: 'POST' });
+
+      if (!res.ok) {
+        const data = await res.json();
+        showToast(data.error || 'Error cerrando sesiones', 'error');
+        return;
+      }
+
+      if (typeof onLogout === 'function') onLogout();
+
+    } catch (err) {
+      showToast('Error de conexión con el servidor', 'error');
+    }
+  };
+
   // =============================
   // UI
   // =============================
@@ -305,10 +298,19 @@ function EditProfile({ user, setUser, onBack }) {
           <input
             ref={fileInputRef}
             type="file"
-            accept="image/*"
+            accept={AVATAR_TYPES.join(',')}
             onChange={(e) => {
               const file = e.target.files && e.target.files[0];
               if (!file) return;
+              // Same limits the server enforces before resizing
+              if (!AVATAR_TYPES.includes(file.type)) {
+                showToast('Formato no soportado (PNG, JPEG, WebP o GIF)', 'error');
+                return;
+              }
+              if (file.size > AVATAR_MAX_BYTES) {
+                showToast('La imagen supera el tamaño máximo de 2 MB', 'error');
+                return;
+              }
               const reader = new FileReader();
               reader.onload = () => {
                 const result = reader.result;
@@ -366,10 +368,10 @@ function EditProfile({ user, setUser, onBack }) {
               value={nombre}
               onChange={(e) => {
                 setNombre(e.target.value);
-                setFieldErrors(prev => ({ ...prev, nombre: validateField('nombre', e.target.value) }));
+                setFieldError('nombre', e.target.value);
               }}
               onBlur={() => { 
-                setFieldErrors(prev => ({ ...prev, nombre: validateField('nombre', nombre) })); 
+                setFieldError('nombre', nombre);
               }}
             />
             {fieldErrors.nombre && <small className="error">{fieldErrors.nombre}</small>}
@@ -387,7 +389,7 @@ function EditProfile({ user, setUser, onBack }) {
                 setEmail(e.target.value);
                 const changed = (e.target.value || '').trim() !== (user?.email || '').trim();
                 if (changed) {
-                  setFieldErrors(prev => ({ ...prev, email: validateField('email', e.target.value) }));
+                  setFieldError('email', e.target.value);
                 } else {
                   setFieldErrors(prev => ({ ...prev, email: '' }));
                 }
@@ -395,7 +397,7 @@ function EditProfile({ user, setUser, onBack }) {
               onBlur={() => {
                 const changed = (email || '').trim() !== (user?.email || '').trim();
                 if (changed) {
-                  setFieldErrors(prev => ({ ...prev, email: validateField('email', email) }));
+                  setFieldError('email', email);
                 } else {
                   setFieldErrors(prev => ({ ...prev, email: '' }));
                 }
@@ -432,17 +434,30 @@ function EditProfile({ user, setUser, onBack }) {
 
             {showChangePwd && (
               <div className="change-pwd" style={{ marginTop: 16, padding: 16, background: 'rgba(255,255,255,0.02)', borderRadius: 8, border: '1px solid rgba(255,255,255,0.05)' }}>
+                <div className="form-row">
+                  <label className="form-label">Contraseña actual</label>
+                  <input
+                    type="password"
+                    className="form-input"
+                    value={currentPassword}
+                    onChange={(e) => { setCurrentPassword(e.target.value); if (fieldErrors.currentPassword) setFieldError('currentPassword', e.target.value); }}
+                    placeholder="Contraseña actual"
+                    autoComplete="current-password"
+                  />
+                  {fieldErrors.currentPassword && <small className="error">{fieldErrors.currentPassword}</small>}
+                </div>
+
                 <div className="form-row">
                   <label className="form-label">Nueva contraseña</label>
                   <input
                     type="password"
                     className="form-input"
                     value={newPassword}
-                    onChange={(e) => { setNewPassword(e.target.value); if (newPwdError) setNewPwdError(validatePassword(e.target.value)); }}
-                    onBlur={() => setNewPwdError(validatePassword(newPassword))}
+                    onChange={(e) => { setNewPassword(e.target.value); if (fieldErrors.newPassword) setFieldError('newPassword', e.target.value); }}
+                    onBlur={() => setFieldError('newPassword', newPassword)}
                     placeholder="Nueva contraseña"
                   />
-                  {newPwdError && <small className="error">{newPwdError}</small>}
+                  {fieldErrors.newPassword && <small className="error">{fieldErrors.newPassword}</small>}
                 </div>
 
                 <div className="form-row">
@@ -451,11 +466,11 @@ function EditProfile({ user, setUser, onBack }) {
                     type="password"
                     className="form-input"
                     value={confirmPassword}
-                    onChange={(e) => { setConfirmPassword(e.target.value); if (confirmPwdError) setConfirmPwdError(''); }}
-                    onBlur={() => { if (newPassword !== confirmPassword) setConfirmPwdError('Las contraseñas no coinciden'); else setConfirmPwdError(''); }}
+                    onChange={(e) => { setConfirmPassword(e.target.value); if (fieldErrors.confirmPassword) setFieldError('confirmPassword', e.target.value); }}
+                    onBlur={() => setFieldError('confirmPassword', confirmPassword)}
                     placeholder="Confirmar contraseña"
                   />
-                  {confirmPwdError && <small className="error">{confirmPwdError}</small>}
+                  {fieldErrors.confirmPassword && <small className="error">{fieldErrors.confirmPassword}</small>}
                 </div>
 
                 <div className="form-actions" style={{ display: 'flex', justifyContent: 'flex-end', marginTop: 16 }}>
@@ -467,6 +482,19 @@ function EditProfile({ user, setUser, onBack }) {
             )}
           </div>
 
+          {/* Sign out everywhere section */}
+          <div className="security-item" style={{ marginTop: 24, paddingTop: 16, borderTop: '1px solid rgba(255,255,255,0.05)' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <div>
+                <h4 style={{ margin: 0, color: 'var(--text-main)', fontSize: '0.95rem', fontWeight: 600 }}>Sesiones</h4>
+                <p style={{ margin: 4, fontSize: '0.85rem', color: 'var(--text-muted)' }}>Cierra la sesión en todos los dispositivos, incluido este</p>
+              </div>
+              <button type="button" className="btn-secondary" onClick={handleLogoutAll} style={{ fontSize: '0.9rem', padding: '8px 16px' }}>
+                Cerrar sesión en todos los dispositivos
+              </button>
+            </div>
+          </div>
+
           {/* Delete account section */}
           <div className="security-item" style={{ marginTop: 24, paddingTop: 16, borderTop: '1px solid rgba(255,255,255,0.05)' }}>
             <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
@@ -506,6 +534,9 @@ function EditProfile({ user, setUser, onBack }) {
         </div>
       </form>
 
+      {/* Achievements */}
+      <BadgeShelf title="Logros" />
+
       {/* DELETE CONFIRM MODAL */}
       {showDeleteModal && (
         <div className="modal-backdrop">
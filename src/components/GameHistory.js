@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useEffect, useRef } from 'react';
 
 /**
  * Componente GameHistory (Historial de Juego)
@@ -12,17 +12,36 @@ import React from 'react';
  *                         - icono: emoji representativo
  *                         - acierto: boolean (true si fue correcto)
  *                         - fecha: string ISO con timestamp
+ * @param {string} title - Título de la sección (opcional)
+ * @param {Function} onLoadMore - Carga la siguiente página (opcional, activa el scroll infinito)
+ * @param {boolean} hasMore - Quedan más entradas por cargar
+ * @param {boolean} loading - Hay una página cargándose
  */
-const GameHistory = ({ history }) => {
+const GameHistory = ({ history, title = 'Tu Historial Reciente', onLoadMore, hasMore = false, loading = false }) => {
+  // Marcador al final de la tabla: al hacerse visible se pide la siguiente página
+  const sentinelRef = useRef(null);
+
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !onLoadMore || !hasMore || loading) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) onLoadMore();
+    }, { rootMargin: '200px' });
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [onLoadMore, hasMore, loading]);
+
   return (
     <div className="history-section">
       {/* TÍTULO */}
-      <h3>Tu Historial Reciente</h3>
+      <h3>{title}</h3>
       
       {/* CONTENEDOR DE TABLA */}
       <div className="history-table-container">
         {/* CASO VACÍO: Sin clasificaciones aún */}
-        {history.length === 0 ? (
+        {history.length === 0 && !loading ? (
           <p className="no-data">Aún no has clasificado ningún objeto.</p>
         ) : (
           /* TABLA CON HISTORIAL */
@@ -40,7 +59,7 @@ const GameHistory = ({ history }) => {
             <tbody>
               {history.map((entry, index) => (
                 <tr 
-                  key={index} 
+                  key={entry.id || index} 
                   // Clase condicional: verde si acertó, roja si falló
                   className={entry.acierto ? 'row-success' : 'row-fail'}
                 >
@@ -63,6 +82,10 @@ const GameHistory = ({ history }) => {
             </tbody>
           </table>
         )}
+
+        {/* SCROLL INFINITO: marcador y estado de carga */}
+        {onLoadMore && <div ref={sentinelRef} className="history-sentinel" />}
+        {loading && <p className="no-data">Cargando...</p>}
       </div>
     </div>
   );
@@ -0,0 +1,132 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import GameHistory from './GameHistory';
+import { apiFetch } from '../api';
+
+// Entradas pedidas por página al hacer scroll
+const PAGE_SIZE = 20;
+
+/**
+ * Componente HistoryPage (Mi historial)
+ * Lista todas las clasificaciones del usuario con scroll infinito
+ * Permite filtrar por rango de fechas y por resultado (aciertos / fallos)
+ *
+ * @param {Function} onBack - Callback para volver a la vista anterior
+ */
+const HistoryPage = ({ onBack }) => {
+  // --- ESTADO ---
+  const [filters, setFilters] = useState({ desde: '', hasta: '', resultado: '' });
+  const [history, setHistory] = useState([]); // Entradas cargadas hasta ahora
+  const [page, setPage] = useState(0); // Última página cargada (0 = ninguna)
+  const [hasMore, setHasMore] = useState(false); // Lo decide la primera respuesta
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  // Cada cambio de filtros invalida las respuestas que aún estén en camino
+  const requestId = useRef(0);
+
+  /**
+   * Pide una página del historial con los filtros actuales
+   * La página 1 reemplaza la lista; las siguientes se añaden al final
+   */
+  const loadPage = useCallback(async (pageToLoad) => {
+    const current = ++requestId.current;
+    setLoading(true);
+    setError('');
+
+    const params = new URLSearchParams({ pagina: pageToLoad, limite: PAGE_SIZE });
+    Object.entries(filters).forEach(([key, value]) => { if (value) params.set(key, value); });
+
+    try {
+      const res = await apiFetch(`/api/usuarios/me/historial?${params}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Error cargando historial');
+      if (current !== requestId.current) return;
+
+      setHistory(prev => (pageToLoad === 1 ? data.items : [...prev, ...data.items]));
+      setPage(pageToLoad);
+      setHasMore(data.hay_mas);
+      setTotal(data.total);
+    } catch (err) {
+      if (current !== requestId.current) return;
+      console.error("Error cargando historial:", err);
+      setError(err.message);
+      setHasMore(false);
+    } finally {
+      if (current === requestId.current) setLoading(false);
+    }
+  }, [filters]);
+
+  // Primera página al montar y cada vez que cambian los filtros
+  useEffect(() => {
+    loadPage(1);
+  }, [loadPage]);
+
+  const loadMore = useCallback(() => loadPage(page + 1), [loadPage, page]);
+
+  const updateFilter = (field, value) => {
+    setFilters(prev => ({ ...prev, [field]: value }));
+  };
+
+  return (
+    <div className="ranking-container">
+      {/* BOTÓN VOLVER */}
+      <button className="btn-back" onClick={onBack}>← Volver al Menú</button>
+
+      {/* ENCABEZADO */}
+      <div style={{textAlign: 'center', marginBottom: '30px'}}>
+        <h2 style={{fontSize: '2rem'}}>📜 Mi historial</h2>
+        <p style={{color: '#7f8c8d'}}>
+          {total} {total === 1 ? 'clasificación' : 'clasificaciones'}
+        </p>
+      </div>
+
+      {/* FILTROS */}
+      <div className="history-filters">
+        <label className="form-label">
+          Desde
+          <input
+            type="date"
+            className="form-input"
+            value={filters.desde}
+            max={filters.hasta || undefined}
+            onChange={(e) => updateFilter('desde', e.target.value)}
+          />
+        </label>
+        <label className="form-label">
+          Hasta
+          <input
+            type="date"
+            className="form-input"
+            value={filters.hasta}
+            min={filters.desde || undefined}
+            onChange={(e) => updateFilter('hasta', e.target.value)}
+          />
+        </label>
+        <label className="form-label">
+          Resultado
+          <select
+            className="form-input"
+            value={filters.resultado}
+            onChange={(e) => updateFilter('resultado', e.target.value)}
+          >
+            <option value="">Todos</option>
+            <option value="acierto">Aciertos</option>
+            <option value="fallo">Fallos</option>
+          </select>
+        </label>
+      </div>
+
+      {error && <div className="auth-error">{error}</div>}
+
+      <GameHistory
+        history={history}
+        title="Clasificaciones"
+        onLoadMore={loadMore}
+        hasMore={hasMore}
+        loading={loading}
+      />
+    </div>
+  );
+};
+
+export default HistoryPage;
@@ -1,45 +1,16 @@
 import React from 'react';
+import BadgeShelf from './BadgeShelf';
+import { co2Equivalences } from '../co2';
 
-const LandingPage = ({ user, onStartGame, onLoginClick, onLogout, onShowRanking, onShowProfile, co2Saved }) => {
-  
-  const guideItems = [
-    {
-      id: 1,
-      type: 'yellow',
-      title: 'Plásticos y Latas',
-      icon: '🟡',
-      desc: 'Botellas, envases de comida y latas de refresco. El plástico tarda 500 años en degradarse.'
-    },
-    {
-      id: 2,
-      type: 'blue',
-      title: 'Papel y Cartón',
-      icon: '🔵',
-      desc: 'Cajas, revistas y hojas. Reciclar una tonelada de papel salva 17 árboles.'
-    },
-    {
-      id: 3,
-      type: 'green',
-      title: 'Vidrio',
-      icon: '🟢',
-      desc: 'Botellas de vino, frascos de mermelada. El vidrio es 100% reciclable infinitas veces.'
-    },
-    {
-      id: 4,
-      type: 'grey',
-      title: 'Orgánico',
-      icon: '⚪',
-      desc: 'Restos de fruta, verdura y café. Se transforman en abono para nuevas plantas.'
-    },
-    {
-      id: 5,
-      type: 'special',
-      title: 'Peligrosos',
-      icon: '⚫',
-      desc: 'Pilas, aceites y medicinas. Requieren un tratamiento especial para no contaminar el agua.'
-    }
-  ];
-
+/**
+ * Componente LandingPage (Portada)
+ * La guía de contenedores se genera con el esquema regional elegido
+ *
+ * @param {Array} schemes - Esquemas regionales de contenedores (GET /api/esquemas)
+ * @param {Object} scheme - Esquema activo (el del usuario o el elegido sin sesión)
+ * @param {Function} onChangeScheme - Recibe el código del esquema elegido en la guía
+ */
+const LandingPage = ({ user, onStartGame, onLoginClick, onLogout, onShowRanking, onShowProfile, onShowHistory, onShowStats, onShowLeagues, onShowAdmin, co2Saved, schemes, scheme, onChangeScheme }) => {
   return (
     <div className="landing-container">
       {/* NAVEGACIÓN CON LOGO E IMAGEN */}
@@ -64,9 +35,23 @@ const LandingPage = ({ user, onStartGame, onLoginClick, onLogout, onShowRanking,
                 <button className="btn-secondary" onClick={onShowProfile}>
                   Perfil
                 </button>
+                <button className="btn-secondary" onClick={onShowHistory}>
+                  Mi historial
+                </button>
+                <button className="btn-secondary" onClick={onShowStats}>
+                  Estadísticas
+                </button>
+                <button className="btn-secondary" onClick={onShowLeagues}>
+                  Ligas
+                </button>
                 <button className="btn-secondary" onClick={onShowRanking}>
                   Ranking
                 </button>
+                {user.role === 'admin' && (
+                  <button className="btn-secondary" onClick={onShowAdmin}>
+                    Admin
+                  </button>
+                )}
                 <button className="btn-logout" onClick={onLogout}>
                   Cerrar Sesión
                 </button>
@@ -110,7 +95,13 @@ const LandingPage = ({ user, onStartGame, onLoginClick, onLogout, onShowRanking,
               <span style={{ fontSize: '3rem', fontWeight: '800', display: 'block', color: 'var(--green-bin)' }}>
                 {Number(co2Saved || 0).toFixed(2)}kg
               </span>
-              <p>Has evitado que este carbono llegue a la atmósfera.</p>
+              <p>Has evitado que este carbono llegue a la atmósfera. Equivale a:</p>
+              {/* EQUIVALENCIAS COTIDIANAS DEL CO2 */}
+              <ul className="co2-equivalences">
+                {co2Equivalences(co2Saved).map(eq => (
+                  <li key={eq.id}><span>{eq.icon}</span> <strong>{eq.amount}</strong> {eq.unit}</li>
+                ))}
+              </ul>
             </div>
             <div className="info-card blue" style={{ textAlign: 'center' }}>
               <span style={{ fontSize: '0.8rem', color: 'var(--text-muted)', textTransform: 'uppercase' }}>Puntos Totales</span>
@@ -120,20 +111,33 @@ const LandingPage = ({ user, onStartGame, onLoginClick, onLogout, onShowRanking,
               <p>Sigue clasificando para subir en el ranking.</p>
             </div>
           </div>
+          <BadgeShelf />
         </section>
       )}
 
-      {/* GUÍA MAESTRA */}
+      {/* GUÍA MAESTRA (contenedores del esquema regional) */}
       <section>
-        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '30px' }}>
+        <div className="guide-header">
           <h2>¿En qué contenedor va cada residuo?</h2>
+          {schemes.length > 1 && scheme && (
+            <select
+              className="form-input"
+              aria-label="Región de reciclaje"
+              value={scheme.codigo}
+              onChange={(e) => onChangeScheme(e.target.value)}
+            >
+              {schemes.map(option => (
+                <option key={option.codigo} value={option.codigo}>{option.nombre}</option>
+              ))}
+            </select>
+          )}
         </div>
         
         <div className="info-grid">
-          {guideItems.map((item) => (
-            <div key={item.id} className={`info-card ${item.type}`}>
-              <h3>{item.icon} {item.title}</h3>
-              <p>{item.desc}</p>
+          {scheme && scheme.contenedores.map((bin) => (
+            <div key={bin.codigo} className="info-card bin-guide" style={{ borderLeftColor: bin.color }}>
+              <h3>{bin.icono} {bin.titulo || bin.nombre}</h3>
+              <p>{bin.descripcion}</p>
             </div>
           ))}
         </div>
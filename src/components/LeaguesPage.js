@@ -0,0 +1,205 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+import { validarCampo, normalizarIdioma } from '../shared/validation';
+
+// Misma negociación de idioma que hace el servidor con Accept-Language
+const idioma = normalizarIdioma(navigator.language);
+
+/**
+ * Componente LeaguesPage (Mis ligas)
+ * Permite crear ligas privadas, unirse con un código de invitación,
+ * compartir el código, salir de una liga y abrir su ranking
+ *
+ * @param {Function} onBack - Callback para volver a la vista anterior
+ * @param {Function} onShowRanking - Abre el ranking de una liga (recibe su id)
+ */
+const LeaguesPage = ({ onBack, onShowRanking }) => {
+  // --- ESTADO ---
+  const [leagues, setLeagues] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [newName, setNewName] = useState('');
+  const [joinCode, setJoinCode] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({}); // { nombre, codigo }
+  const [error, setError] = useState('');
+  const [info, setInfo] = useState('');
+
+  useEffect(() => {
+    apiFetch('/api/ligas')
+      .then(res => res.json().then(data => {
+        if (!res.ok) throw new Error(data.error || 'Error cargando ligas');
+        return data;
+      }))
+      .then(data => setLeagues(data.ligas))
+      .catch(err => setError(err.message))
+      .finally(() => setLoading(false));
+  }, []);
+
+  /**
+   * POST a la API de ligas; devuelve los datos o lanza el error del servidor
+   */
+  const post = async (path, body) => {
+    const res = await apiFetch(path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body),
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      if (data.errores) setFieldErrors(data.errores);
+      throw new Error(data.error || 'Algo salió mal');
+    }
+    return data;
+  };
+
+  // Añade o reemplaza una liga en la lista, ordenada por nombre
+  const upsertLeague = (league) => {
+    setLeagues(prev => [...prev.filter(l => l.id !== league.id), league]
+      .sort((a, b) => a.nombre.localeCompare(b.nombre)));
+  };
+
+  const resetMessages = () => {
+    setError('');
+    setInfo('');
+    setFieldErrors({});
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    resetMessages();
+
+    const nombreError = validarCampo('liga', 'nombre', newName, { idioma });
+    if (nombreError) {
+      setFieldErrors({ nombre: nombreError });
+      return;
+    }
+
+    try {
+      const data = await post('/api/ligas', { nombre: newName.trim() });
+      upsertLeague(data.liga);
+      setNewName('');
+      setInfo(`Liga creada. Comparte el código ${data.liga.codigo} para invitar a otras personas.`);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleJoin = async (e) => {
+    e.preventDefault();
+    resetMessages();
+
+    const codigoError = validarCampo('unirseLiga', 'codigo', joinCode, { idioma });
+    if (codigoError) {
+      setFieldErrors({ codigo: codigoError });
+      return;
+    }
+
+    try {
+      const data = await post('/api/ligas/unirse', { codigo: joinCode.trim() });
+      upsertLeague(data.liga);
+      setJoinCode('');
+      setInfo(`Te has unido a ${data.liga.nombre}.`);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleLeave = async (league) => {
+    if (!window.confirm(`¿Salir de la liga ${league.nombre}?`)) return;
+    resetMessages();
+
+    try {
+      await post(`/api/ligas/${league.id}/salir`);
+      setLeagues(prev => prev.filter(l => l.id !== league.id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const copyCode = (code) => {
+    navigator.clipboard.writeText(code)
+      .then(() => setInfo(`Código ${code} copiado.`))
+      .catch(() => setInfo(`Tu código de invitación es ${code}.`));
+  };
+
+  return (
+    <div className="ranking-container">
+      {/* BOTÓN VOLVER */}
+      <button className="btn-back" onClick={onBack}>← Volver al Menú</button>
+
+      {/* ENCABEZADO */}
+      <div style={{textAlign: 'center', marginBottom: '30px'}}>
+        <h2 style={{fontSize: '2rem'}}>🤝 Mis ligas</h2>
+        <p style={{color: '#7f8c8d'}}>Compite con tu equipo, tu clase o tus amistades</p>
+      </div>
+
+      {error && <div className="auth-error">{error}</div>}
+      {info && <div className="auth-info">{info}</div>}
+
+      {/* CREAR / UNIRSE */}
+      <div className="league-forms">
+        <form onSubmit={handleCreate} className="league-form">
+          <label htmlFor="league-name" className="form-label">Crear una liga</label>
+          <input
+            id="league-name"
+            className="form-input"
+            placeholder="Nombre de la liga"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+          />
+          {fieldErrors.nombre && <small className="error">{fieldErrors.nombre}</small>}
+          <button type="submit" className="btn-main">Crear</button>
+        </form>
+
+        <form onSubmit={handleJoin} className="league-form">
+          <label htmlFor="league-code" className="form-label">Unirse con un código</label>
+          <input
+            id="league-code"
+            className="form-input"
+            placeholder="Ej. K7MQ2XPA"
+            value={joinCode}
+            onChange={(e) => setJoinCode(e.target.value.toUpperCase())}
+          />
+          {fieldErrors.codigo && <small className="error">{fieldErrors.codigo}</small>}
+          <button type="submit" className="btn-secondary">Unirse</button>
+        </form>
+      </div>
+
+      {/* LISTA DE LIGAS */}
+      {loading ? (
+        <p style={{textAlign: 'center'}}>Cargando ligas...</p>
+      ) : leagues.length === 0 ? (
+        <p className="no-data">Aún no perteneces a ninguna liga.</p>
+      ) : (
+        <table className="ranking-table">
+          <thead>
+            <tr>
+              <th>Liga</th>
+              <th>Miembros</th>
+              <th>Código</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {leagues.map(league => (
+              <tr key={league.id}>
+                <td style={{fontWeight: '600'}}>{league.nombre}</td>
+                <td>{league.miembros}</td>
+                <td>
+                  <button className="ranking-tab" onClick={() => copyCode(league.codigo)} title="Copiar código">
+                    {league.codigo} 📋
+                  </button>
+                </td>
+                <td className="league-actions">
+                  <button className="ranking-tab" onClick={() => onShowRanking(league.id)}>Ranking</button>
+                  <button className="btn-logout" onClick={() => handleLeave(league)}>Salir</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default LeaguesPage;
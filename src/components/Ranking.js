@@ -1,55 +1,203 @@
 import React, { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+import { co2Equivalences } from '../co2';
+
+// Pestañas de periodo: valor de ?periodo y texto del subtítulo
+const PERIODS = [
+  { id: 'dia', label: 'Hoy', subtitle: 'Las personas que más puntos han sumado hoy' },
+  { id: 'semana', label: 'Semana', subtitle: 'Las personas que más puntos han sumado esta semana' },
+  { id: 'mes', label: 'Mes', subtitle: 'Las personas que más CO2 han evitado este mes' },
+  { id: 'total', label: 'Siempre', subtitle: 'Las personas que más CO2 han evitado desde el principio' }
+];
+
+// Filas por página y espera tras teclear antes de buscar
+const PAGE_SIZE = 10;
+const SEARCH_DELAY_MS = 300;
 
 /**
  * Componente Ranking (Tabla de Líderes)
- * Muestra el top 10 de usuarios ordenados por puntos
- * Destaca a los top 3 con medallas (🥇 🥈 🥉)
+ * Muestra los usuarios ordenados por puntos en el periodo elegido
+ * (hoy, semana, mes o desde siempre), paginados de 10 en 10 y con búsqueda por nombre
+ * Destaca a los top 3 globales con medallas (🥇 🥈 🥉) en cualquier página
+ * Si hay sesión, resalta al usuario y muestra su puesto aunque esté fuera de la página,
+ * y permite cambiar entre el ranking global y el de sus ligas
  * Incluye información de CO2 evitado y puntos totales
- * 
+ *
  * @param {Function} onBack - Callback para volver a la vista anterior
+ * @param {Object} user - Usuario con sesión (opcional)
+ * @param {number} initialLeague - Liga a mostrar al abrir ('' = global)
+ * @param {Function} onManageLeagues - Abre la gestión de ligas (opcional)
  */
-const Ranking = ({ onBack }) => {
+const Ranking = ({ onBack, user, initialLeague = '', onManageLeagues }) => {
   // --- ESTADO ---
+  const [period, setPeriod] = useState('mes'); // Pestaña activa
+  const [leagues, setLeagues] = useState([]); // Ligas del usuario
+  const [league, setLeague] = useState(String(initialLeague)); // Liga elegida ('' = global)
   const [leaders, setLeaders] = useState([]); // Array de usuarios ordenados por puntos
+  const [me, setMe] = useState(null); // Puesto del usuario con sesión (o null)
+  const [page, setPage] = useState(1);
+  const [total, setTotal] = useState(0); // Usuarios que coinciden con la búsqueda
+  const [searchInput, setSearchInput] = useState(''); // Texto del buscador
+  const [search, setSearch] = useState(''); // Búsqueda aplicada (con retardo)
   const [loading, setLoading] = useState(true); // Indicador de carga desde el servidor
 
+  // Aplica la búsqueda cuando se deja de teclear y vuelve a la primera página
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setSearch(searchInput.trim());
+      setPage(1);
+    }, SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  // Ligas del usuario para el selector
+  useEffect(() => {
+    if (!user) return;
+    apiFetch('/api/ligas')
+      .then(res => (res.ok ? res.json() : { ligas: [] }))
+      .then(data => setLeagues(data.ligas || []))
+      .catch(err => console.error("Error cargando ligas:", err));
+  }, [user]);
+
   /**
-   * Efecto: Carga el ranking desde la API al montar el componente
-   * Realiza validación de datos antes de guardar en estado
+   * Efecto: Carga la página del ranking del periodo activo desde la API
+   * apiFetch envía el token (si hay sesión) para recibir también el puesto propio
    * Maneja errores gracefully sin romper la UI
    */
   useEffect(() => {
-    fetch('http://localhost:5000/api/ranking')
+    // Evita pintar la respuesta de una pestaña anterior si llega tarde
+    let cancelled = false;
+    setLoading(true);
+
+    const params = new URLSearchParams({ periodo: period, pagina: page, limite: PAGE_SIZE });
+    if (search) params.set('buscar', search);
+
+    const endpoint = league ? `/api/ligas/${league}/ranking` : '/api/ranking';
+    apiFetch(`${endpoint}?${params}`)
       .then(res => {
         // Verificamos si la respuesta es OK antes de intentar leer el JSON
         if (!res.ok) throw new Error("Error en el servidor");
         return res.json();
       })
       .then(data => {
-        // Nos aseguramos de que data sea un array antes de guardarlo
+        if (cancelled) return;
+        // Nos aseguramos de que lideres sea un array antes de guardarlo
         // Esto previene errores al hacer .map() más adelante
-        setLeaders(Array.isArray(data) ? data : []);
+        setLeaders(Array.isArray(data.lideres) ? data.lideres : []);
+        setMe(data.yo || null);
+        setTotal(data.total || 0);
         setLoading(false);
       })
       .catch(err => {
+        if (cancelled) return;
         // En caso de error, registramos en consola y dejamos lista vacía
         console.error("Error cargando ranking:", err);
         setLeaders([]); // Previene que .map() explote si hay error
+        setMe(null);
+        setTotal(0);
         setLoading(false);
       });
-  }, []);
+
+    return () => { cancelled = true; };
+  }, [period, page, search, league]);
+
+  const changePeriod = (id) => {
+    setPeriod(id);
+    setPage(1);
+  };
+
+  const changeLeague = (id) => {
+    setLeague(id);
+    setPage(1);
+  };
+
+  const totalPages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+  // Fila de la tabla (también se usa para el puesto propio fuera de la página)
+  const renderRow = (player) => (
+    <tr
+      key={player.posicion}
+      // Destaca filas del top 3 y la del propio usuario
+      className={`${player.posicion <= 3 ? 'top-player' : ''} ${player.es_yo ? 'my-row' : ''}`}
+    >
+      {/* COLUMNA 1: Número de puesto con medallas para top 3 */}
+      <td className="rank-number">
+        {player.posicion === 1 ? '🥇' : player.posicion === 2 ? '🥈' : player.posicion === 3 ? '🥉' : player.posicion}
+      </td>
+
+      {/* COLUMNA 2: Nombre del usuario */}
+      <td style={{fontWeight: '600'}}>{player.nombre}{player.es_yo && ' (tú)'}</td>
+
+      {/* COLUMNA 3: CO2 evitado en kg (con conversión segura a número) */}
+      <td
+        className="co2-highlight"
+        style={{fontWeight: 'bold'}}
+        title={co2Equivalences(player.co2_evitado).map(eq => `${eq.icon} ${eq.amount} ${eq.unit}`).join('\n')}
+      >
+        {/* Convertimos a Number antes de usar toFixed para evitar errores de tipo */}
+        {Number(player.co2_evitado || 0).toFixed(2)} kg
+      </td>
+
+      {/* COLUMNA 4: Puntos del periodo */}
+      <td>{player.puntos || 0}</td>
+    </tr>
+  );
+
+  const activePeriod = PERIODS.find(p => p.id === period);
+  const activeLeague = leagues.find(l => String(l.id) === league);
 
   return (
     <div className="ranking-container">
       {/* BOTÓN VOLVER */}
       <button className="btn-back" onClick={onBack}>← Volver al Menú</button>
-      
+
       {/* ENCABEZADO CON TÍTULO */}
       <div style={{textAlign: 'center', marginBottom: '30px'}}>
         <h2 style={{fontSize: '2rem'}}>🏆 Líderes Ambientales</h2>
-        <p style={{color: '#7f8c8d'}}>Las personas que más CO2 han evitado este mes</p>
+        <p style={{color: '#7f8c8d'}}>
+          {activeLeague ? `Liga ${activeLeague.nombre} · ` : ''}{activePeriod.subtitle}
+        </p>
       </div>
 
+      {/* SELECTOR DE LIGA (solo con sesión) */}
+      {user && (
+        <div className="ranking-league">
+          <select className="form-input" value={league} onChange={(e) => changeLeague(e.target.value)}>
+            <option value="">🌍 Ranking global</option>
+            {leagues.map(l => (
+              <option key={l.id} value={String(l.id)}>🤝 {l.nombre}</option>
+            ))}
+          </select>
+          {onManageLeagues && (
+            <button className="ranking-tab" onClick={onManageLeagues}>Gestionar ligas</button>
+          )}
+        </div>
+      )}
+
+      {/* PESTAÑAS DE PERIODO */}
+      <div className="ranking-tabs" role="tablist">
+        {PERIODS.map(p => (
+          <button
+            key={p.id}
+            role="tab"
+            aria-selected={period === p.id}
+            className={`ranking-tab ${period === p.id ? 'active' : ''}`}
+            onClick={() => changePeriod(p.id)}
+          >
+            {p.label}
+          </button>
+        ))}
+      </div>
+
+      {/* BUSCADOR POR NOMBRE */}
+      <input
+        type="search"
+        className="form-input ranking-search"
+        placeholder="Buscar por nombre..."
+        value={searchInput}
+        onChange={(e) => setSearchInput(e.target.value)}
+      />
+
       {/* ESTADO DE CARGA */}
       {loading ? (
         <p style={{textAlign: 'center'}}>Cargando líderes...</p>
@@ -65,33 +213,18 @@ const Ranking = ({ onBack }) => {
               <th>Puntos</th>
             </tr>
           </thead>
-          
+
           {/* FILAS DE DATOS */}
           <tbody>
-            {leaders.map((player, index) => (
-              <tr 
-                key={player.id || index} 
-                // Destaca filas del top 3 con estilos especiales
-                className={index < 3 ? 'top-player' : ''}
-              >
-                {/* COLUMNA 1: Número de puesto con medallas para top 3 */}
-                <td className="rank-number">
-                  {index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : index + 1}
-                </td>
-                
-                {/* COLUMNA 2: Nombre del usuario */}
-                <td style={{fontWeight: '600'}}>{player.nombre}</td>
-                
-                {/* COLUMNA 3: CO2 evitado en kg (con conversión segura a número) */}
-                <td className="co2-highlight" style={{fontWeight: 'bold'}}>
-                  {/* Convertimos a Number antes de usar toFixed para evitar errores de tipo */}
-                  {Number(player.co2_evitado || 0).toFixed(2)} kg
-                </td>
-                
-                {/* COLUMNA 4: Puntos totales */}
-                <td>{player.puntos || 0}</td>
-              </tr>
-            ))}
+            {leaders.map(renderRow)}
+
+            {/* PUESTO PROPIO fuera de la página */}
+            {me && !leaders.some(player => player.es_yo) && (
+              <>
+                <tr className="ranking-gap"><td colSpan={4}>⋯</td></tr>
+                {renderRow(me)}
+              </>
+            )}
           </tbody>
         </table>
       )}
@@ -99,11 +232,24 @@ const Ranking = ({ onBack }) => {
       {/* MENSAJE CUANDO NO HAY DATOS */}
       {!loading && leaders.length === 0 && (
         <p style={{textAlign: 'center', marginTop: '20px'}}>
-          ¡Aún no hay datos! Sé el primero en liderar.
+          {search ? `Nadie con "${search}" en este ranking.` : '¡Aún no hay datos! Sé el primero en liderar.'}
         </p>
       )}
+
+      {/* PAGINACIÓN */}
+      {total > PAGE_SIZE && (
+        <div className="ranking-pagination">
+          <button className="ranking-tab" disabled={page <= 1 || loading} onClick={() => setPage(page - 1)}>
+            ← Anterior
+          </button>
+          <span>Página {page} de {totalPages} · {total} personas</span>
+          <button className="ranking-tab" disabled={page >= totalPages || loading} onClick={() => setPage(page + 1)}>
+            Siguiente →
+          </button>
+        </div>
+      )}
     </div>
   );
 };
 
-export default Ranking;
\ No newline at end of file
+export default Ranking;
@@ -0,0 +1,40 @@
+import React from 'react';
+
+/**
+ * Componente ScoreBreakdown (Desglose de puntuación)
+ * Muestra en el feedback del juego cómo calculó el servidor la puntuación:
+ * puntos base por dificultad, reducción por fallos y bonus por rapidez
+ *
+ * @param {Object} breakdown - Desglose devuelto por /progreso:
+ *                            { base, dificultad, fallos, reduccion, bonus_rapidez, tiempo_ms, puntos, co2, co2_fuente }
+ */
+const ScoreBreakdown = ({ breakdown }) => {
+  const { base, dificultad, fallos, reduccion, bonus_rapidez, tiempo_ms, puntos, co2, co2_fuente } = breakdown;
+
+  return (
+    <ul className="score-breakdown">
+      <li>
+        <span>Base {'★'.repeat(dificultad)}</span>
+        <strong>+{base}</strong>
+      </li>
+      {fallos > 0 && (
+        <li className="penalty">
+          <span>{fallos === 1 ? '1 fallo' : `${fallos} fallos`}</span>
+          <strong>−{reduccion}</strong>
+        </li>
+      )}
+      {bonus_rapidez > 0 && (
+        <li className="bonus">
+          <span>Rapidez ({(tiempo_ms / 1000).toFixed(1)} s)</span>
+          <strong>+{bonus_rapidez}</strong>
+        </li>
+      )}
+      <li className="total" title={co2_fuente ? `Factor de CO2: ${co2_fuente}` : undefined}>
+        <span>Total</span>
+        <strong>{puntos} pts · {Number(co2).toFixed(3)} kg CO2</strong>
+      </li>
+    </ul>
+  );
+};
+
+export default ScoreBreakdown;
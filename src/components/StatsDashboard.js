@@ -0,0 +1,208 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+
+// Color de los residuos sin contenedor en el esquema actual del usuario
+const NO_BIN_COLOR = 'var(--text-muted)';
+
+/**
+ * Gráfico de barras horizontales en SVG
+ * @param {Array} rows - { key, label, value, max, color, detail }
+ *                       value/max definen la longitud de la barra; detail se muestra a la derecha
+ */
+const BarChart = ({ rows }) => {
+  const rowHeight = 34;
+  const labelWidth = 150;
+  const detailWidth = 90;
+  const width = 600;
+  const barWidth = width - labelWidth - detailWidth;
+
+  return (
+    <svg className="chart" viewBox={`0 0 ${width} ${rows.length * rowHeight}`} role="img">
+      {rows.map((row, i) => {
+        const y = i * rowHeight;
+        const length = row.max ? (row.value / row.max) * barWidth : 0;
+        return (
+          <g key={row.key}>
+            <text x={0} y={y + 21} className="chart-label">{row.label}</text>
+            {/* Fondo de la barra (100 %) */}
+            <rect x={labelWidth} y={y + 8} width={barWidth} height={18} rx={9} className="chart-track" />
+            <rect x={labelWidth} y={y + 8} width={length} height={18} rx={9} style={{ fill: row.color }} />
+            <text x={width} y={y + 21} textAnchor="end" className="chart-value">{row.detail}</text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+/**
+ * Tendencia diaria en SVG: columnas apiladas (aciertos + fallos) por día
+ * @param {Array} days - { fecha: 'AAAA-MM-DD', aciertos, fallos, total }
+ */
+const TrendChart = ({ days }) => {
+  const width = 600;
+  const height = 180;
+  const axis = 20; // Espacio inferior para las fechas
+  const slot = width / days.length;
+  const maxTotal = Math.max(1, ...days.map(d => d.total));
+  const scale = (value) => (value / maxTotal) * (height - axis - 10);
+
+  return (
+    <svg className="chart" viewBox={`0 0 ${width} ${height}`} role="img">
+      {days.map((day, i) => {
+        const x = i * slot + slot * 0.15;
+        const barWidth = slot * 0.7;
+        const hitHeight = scale(day.aciertos);
+        const missHeight = scale(day.fallos);
+        const base = height - axis;
+        return (
+          <g key={day.fecha}>
+            <title>{`${day.fecha}: ${day.aciertos} aciertos, ${day.fallos} fallos`}</title>
+            <rect x={x} y={base - hitHeight} width={barWidth} height={hitHeight} style={{ fill: 'var(--green-bin)' }} />
+            <rect x={x} y={base - hitHeight - missHeight} width={barWidth} height={missHeight} style={{ fill: 'var(--red-error)' }} />
+            {/* Fecha cada 5 días para que no se solapen */}
+            {i % 5 === 0 && (
+              <text x={x + barWidth / 2} y={height - 4} textAnchor="middle" className="chart-axis">
+                {day.fecha.slice(8, 10)}/{day.fecha.slice(5, 7)}
+              </text>
+            )}
+          </g>
+        );
+      })}
+      <line x1={0} x2={width} y1={height - axis} y2={height - axis} className="chart-baseline" />
+    </svg>
+  );
+};
+
+const precisionText = (precision) => (precision === null ? '—' : `${precision}%`);
+
+/**
+ * Componente StatsDashboard (Mis estadísticas)
+ * Precisión por contenedor y por residuo, residuos más fallados,
+ * racha de aciertos a la primera y tendencia de los últimos 30 días.
+ * Los gráficos se dibujan con SVG, sin librerías externas
+ *
+ * @param {Function} onBack - Callback para volver a la vista anterior
+ */
+const StatsDashboard = ({ onBack }) => {
+  // --- ESTADO ---
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    apiFetch('/api/usuarios/me/estadisticas')
+      .then(res => res.json().then(data => {
+        if (!res.ok) throw new Error(data.error || 'Error cargando estadísticas');
+        return data;
+      }))
+      .then(data => setStats(data))
+      .catch(err => {
+        console.error("Error cargando estadísticas:", err);
+        setError(err.message);
+      })
+      .finally(() => setLoading(false));
+  }, []);
+
+  const renderContent = () => {
+    if (loading) return <p style={{textAlign: 'center'}}>Cargando estadísticas...</p>;
+    if (error) return <div className="auth-error">{error}</div>;
+    if (stats.total.total === 0) {
+      return <p className="no-data">Aún no has clasificado ningún objeto. ¡Juega una partida para ver tus estadísticas!</p>;
+    }
+
+    return (
+      <>
+        {/* RESUMEN */}
+        <div className="stats-summary">
+          <div className="stat-card">
+            <span>Precisión global</span>
+            <strong>{precisionText(stats.total.precision)}</strong>
+          </div>
+          <div className="stat-card">
+            <span>Racha actual</span>
+            <strong>🔥 {stats.racha.actual}</strong>
+          </div>
+          <div className="stat-card">
+            <span>Mejor racha</span>
+            <strong>🏅 {stats.racha.mejor}</strong>
+          </div>
+        </div>
+
+        {/* PRECISIÓN POR CONTENEDOR */}
+        <section className="stats-section">
+          <h3>Precisión por contenedor</h3>
+          <BarChart
+            rows={stats.por_tipo.map(t => ({
+              key: t.tipo,
+              label: t.nombre,
+              value: t.precision || 0,
+              max: 100,
+              color: t.color,
+              detail: `${precisionText(t.precision)} (${t.total})`
+            }))}
+          />
+        </section>
+
+        {/* MÁS FALLADOS */}
+        {stats.mas_fallados.length > 0 && (
+          <section className="stats-section">
+            <h3>Los que más se te resisten</h3>
+            <BarChart
+              rows={stats.mas_fallados.map(r => ({
+                key: r.residuo_id,
+                label: `${r.icono || ''} ${r.nombre}`,
+                value: r.fallos,
+                max: stats.mas_fallados[0].fallos,
+                color: 'var(--red-error)',
+                detail: `${r.fallos} ${r.fallos === 1 ? 'fallo' : 'fallos'}`
+              }))}
+            />
+          </section>
+        )}
+
+        {/* TENDENCIA */}
+        <section className="stats-section">
+          <h3>Últimos 30 días</h3>
+          <TrendChart days={stats.tendencia} />
+          <p className="chart-legend">
+            <span style={{ color: 'var(--green-bin)' }}>■</span> Aciertos a la primera
+            <span style={{ color: 'var(--red-error)', marginLeft: '16px' }}>■</span> Con fallos
+          </p>
+        </section>
+
+        {/* PRECISIÓN POR RESIDUO */}
+        <section className="stats-section">
+          <h3>Precisión por residuo</h3>
+          <BarChart
+            rows={stats.por_residuo.map(r => ({
+              key: r.residuo_id,
+              label: `${r.icono || ''} ${r.nombre}`,
+              value: r.precision || 0,
+              max: 100,
+              color: r.color || NO_BIN_COLOR,
+              detail: `${precisionText(r.precision)} (${r.total})`
+            }))}
+          />
+        </section>
+      </>
+    );
+  };
+
+  return (
+    <div className="ranking-container">
+      {/* BOTÓN VOLVER */}
+      <button className="btn-back" onClick={onBack}>← Volver al Menú</button>
+
+      {/* ENCABEZADO */}
+      <div style={{textAlign: 'center', marginBottom: '30px'}}>
+        <h2 style={{fontSize: '2rem'}}>📊 Mis estadísticas</h2>
+        <p style={{color: '#7f8c8d'}}>Descubre en qué contenedores aciertas y dónde puedes mejorar</p>
+      </div>
+
+      {renderContent()}
+    </div>
+  );
+};
+
+export default StatsDashboard;
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useEffect } from 'react';
 
 /**
  * Componente WasteItem (Objeto Residual Arrastrable)
@@ -15,8 +15,15 @@ import React from 'react';
  *                       - consejo: mensaje de feedback positivo
  *                       - pista: pista si el usuario falla
  * @param {Function} onDragStart - Callback opcional ejecutado al iniciar el drag
+ * @param {Function} onAppear - Callback opcional cuando se muestra un residuo nuevo
+ *                              (el juego mide desde aquí el tiempo de respuesta)
  */
-const WasteItem = ({ item, onDragStart }) => {
+const WasteItem = ({ item, onDragStart, onAppear }) => {
+  // Se avisa una vez por residuo (onAppear debe ser estable, ej. useCallback)
+  useEffect(() => {
+    if (onAppear) onAppear(item);
+  }, [item, onAppear]);
+
   /**
    * Maneja el inicio del arrastre del objeto
    * Guarda el tipo en dataTransfer para que el Bin pueda validar si es correcto
@@ -0,0 +1,38 @@
+import { apiFetch } from './api';
+
+/**
+ * Esquemas regionales de contenedores (GET /api/esquemas)
+ * Cambian muy poco: se piden una vez por carga de la página y se comparten
+ * entre la portada, el panel de estadísticas y la administración
+ */
+let schemesPromise = null;
+
+/**
+ * @returns {Promise<Array<{codigo, nombre, por_defecto, contenedores: Array}>>}
+ *          contenedores: { codigo, nombre, titulo, descripcion, icono, color } en orden de juego
+ */
+export const fetchSchemes = () => {
+  if (!schemesPromise) {
+    schemesPromise = apiFetch('/api/esquemas')
+      .then(res => res.ok ? res.json() : Promise.reject(new Error(`HTTP error! status: ${res.status}`)))
+      .then(data => data.esquemas)
+      .catch(err => {
+        // Sin caché del fallo: el siguiente intento vuelve a pedirlos
+        schemesPromise = null;
+        throw err;
+      });
+  }
+  return schemesPromise;
+};
+
+/**
+ * Esquema por código; si no existe (o no se indica), el esquema por defecto
+ * @param {Array} schemes - Resultado de fetchSchemes
+ * @param {string} code - Código del esquema (ej. user.esquema)
+ */
+export const findScheme = (schemes, code) => (
+  schemes.find(scheme => scheme.codigo === code)
+  || schemes.find(scheme => scheme.por_defecto)
+  || schemes[0]
+  || null
+);
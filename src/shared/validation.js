@@ -0,0 +1,238 @@
+/**
+ * Validación compartida entre el servidor (Express) y el frontend (React)
+ *
+ * Cada esquema asocia un campo a una lista de reglas. validar() devuelve un
+ * objeto de errores por campo ({ campo: mensaje }) con el primer fallo de cada
+ * campo, en el idioma pedido. El servidor lo carga con require() y React con
+ * import, por eso el módulo usa CommonJS.
+ */
+
+const IDIOMAS = ['es', 'en'];
+const IDIOMA_POR_DEFECTO = 'es';
+
+// Código de contenedor (residuos.tipo): los contenedores existentes viven en la BD
+// (ver server/contenedores.js), aquí solo se comprueba el formato
+const CODIGO_CONTENEDOR = /^[a-z0-9_-]{1,20}$/;
+
+const MENSAJES = {
+  es: {
+    requerido: 'Este campo es obligatorio',
+    nombreRequerido: 'El nombre no puede estar vacío',
+    maxLongitud: 'No puede superar {n} caracteres',
+    email: 'Formato de email inválido',
+    passwordLongitud: 'La contraseña debe tener al menos 8 caracteres',
+    passwordMayuscula: 'Incluye al menos una letra mayúscula',
+    passwordMinuscula: 'Incluye al menos una letra minúscula',
+    passwordNumero: 'Incluye al menos un número',
+    passwordEspecial: 'Incluye al menos un carácter especial (ej. !?@#)',
+    passwordRequerida: 'Introduce tu contraseña',
+    passwordActualRequerida: 'Introduce tu contraseña actual',
+    confirmacion: 'Las contraseñas no coinciden',
+    zonaHoraria: 'Zona horaria no reconocida',
+    tipoContenedor: 'Elige uno de los contenedores del juego',
+    esquema: 'Región de reciclaje no reconocida',
+    dificultad: 'La dificultad debe ser 1, 2 o 3',
+    co2: 'Indica los kg de CO2e con un número entre 0 y 999',
+    emailRegistrado: 'El email ya está registrado',
+    passwordActualIncorrecta: 'La contraseña actual no es correcta',
+    formulario: 'Revisa los campos marcados',
+    valorInvalido: 'Valor no válido'
+  },
+  en: {
+    requerido: 'This field is required',
+    nombreRequerido: 'Name cannot be empty',
+    maxLongitud: 'Must be at most {n} characters',
+    email: 'Invalid email format',
+    passwordLongitud: 'Password must be at least 8 characters long',
+    passwordMayuscula: 'Include at least one uppercase letter',
+    passwordMinuscula: 'Include at least one lowercase letter',
+    passwordNumero: 'Include at least one number',
+    passwordEspecial: 'Include at least one special character (e.g. !?@#)',
+    passwordRequerida: 'Enter your password',
+    passwordActualRequerida: 'Enter your current password',
+    confirmacion: 'Passwords do not match',
+    zonaHoraria: 'Unknown time zone',
+    tipoContenedor: 'Choose one of the game bins',
+    esquema: 'Unknown recycling region',
+    dificultad: 'Difficulty must be 1, 2 or 3',
+    co2: 'Enter the kg of CO2e as a number between 0 and 999',
+    emailRegistrado: 'This email is already registered',
+    passwordActualIncorrecta: 'Current password is incorrect',
+    formulario: 'Please review the highlighted fields',
+    valorInvalido: 'Invalid value'
+  }
+};
+
+// Los campos son texto o números (JSON); un array u objeto en el body no se
+// puede validar como texto y rompería el .trim() posterior del servidor
+const esValorSimple = (valor) =>
+  valor === undefined || valor === null || typeof valor === 'string' || typeof valor === 'number';
+
+const esVacio = (valor) => valor === undefined || valor === null || String(valor).trim() === '';
+
+/**
+ * Reglas disponibles. Cada una recibe (valor, datos, param) y devuelve
+ * la clave del mensaje si falla o null si el valor es correcto
+ */
+const REGLAS = {
+  requerido: (valor) => (esVacio(valor) ? 'requerido' : null),
+  nombre: (valor) => (esVacio(valor) ? 'nombreRequerido' : null),
+  passwordRequerida: (valor) => (esVacio(valor) ? 'passwordRequerida' : null),
+  passwordActual: (valor) => (esVacio(valor) ? 'passwordActualRequerida' : null),
+  maxLongitud: (valor, datos, n) => (String(valor || '').length > n ? 'maxLongitud' : null),
+  email: (valor) => (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(valor || '').trim()) ? null : 'email'),
+  password: (valor) => {
+    const pw = String(valor || '');
+    if (pw.length < 8) return 'passwordLongitud';
+    if (!/[A-Z]/.test(pw)) return 'passwordMayuscula';
+    if (!/[a-z]/.test(pw)) return 'passwordMinuscula';
+    if (!/[0-9]/.test(pw)) return 'passwordNumero';
+    if (!/[^A-Za-z0-9\s]/.test(pw)) return 'passwordEspecial';
+    return null;
+  },
+  // Debe coincidir con otro campo del formulario (param = nombre del campo)
+  igualA: (valor, datos, campo) => (valor === datos[campo] ? null : 'confirmacion'),
+  // Nombre IANA (ej. 'Europe/Madrid'); Intl lanza RangeError si no existe
+  zonaHoraria: (valor) => {
+    try {
+      Intl.DateTimeFormat('en', { timeZone: String(valor || '') });
+      return esVacio(valor) ? 'zonaHoraria' : null;
+    } catch (error) {
+      return 'zonaHoraria';
+    }
+  },
+  tipoContenedor: (valor) => (CODIGO_CONTENEDOR.test(String(valor || '')) ? null : 'tipoContenedor'),
+  // Opcionales: vacío usa el valor por defecto de la BD
+  dificultad: (valor) => (esVacio(valor) || ['1', '2', '3'].indexOf(String(valor).trim()) !== -1 ? null : 'dificultad'),
+  co2: (valor) => {
+    if (esVacio(valor)) return null;
+    const kg = Number(valor);
+    return isFinite(kg) && kg >= 0 && kg < 1000 ? null : 'co2';
+  }
+};
+
+/**
+ * Esquemas de cada formulario/endpoint
+ * Una regla es un nombre ('email') o un par [nombre, parámetro] (['maxLongitud', 100])
+ */
+const ESQUEMAS = {
+  registro: {
+    nombre: ['nombre', ['maxLongitud', 100]],
+    email: ['requerido', 'email', ['maxLongitud', 100]],
+    password: ['password']
+  },
+  login: {
+    email: ['requerido', 'email'],
+    password: ['passwordRequerida']
+  },
+  perfil: {
+    nombre: ['nombre', ['maxLongitud', 100]],
+    email: ['requerido', 'email', ['maxLongitud', 100]],
+    currentPassword: ['passwordActual'],
+    newPassword: ['password'],
+    confirmPassword: [['igualA', 'newPassword']],
+    zona_horaria: ['zonaHoraria', ['maxLongitud', 64]],
+    esquema: [['maxLongitud', 20]]
+  },
+  recuperar: {
+    email: ['requerido', 'email']
+  },
+  restablecer: {
+    token: ['requerido'],
+    password: ['password'],
+    confirmPassword: [['igualA', 'password']]
+  },
+  liga: {
+    nombre: ['nombre', ['maxLongitud', 100]]
+  },
+  unirseLiga: {
+    codigo: ['requerido', ['maxLongitud', 20]]
+  },
+  residuo: {
+    nombre: ['nombre', ['maxLongitud', 100]],
+    tipo: ['tipoContenedor'],
+    pista: [['maxLongitud', 500]],
+    consejo: [['maxLongitud', 500]],
+    icono: [['maxLongitud', 10]],
+    imagen_url: [['maxLongitud', 255]],
+    dificultad: ['dificultad'],
+    co2_kg: ['co2'],
+    co2_fuente: [['maxLongitud', 200]],
+    co2_notas: [['maxLongitud', 1000]]
+  }
+};
+
+/**
+ * Devuelve el idioma soportado más cercano ('en-US' -> 'en'), o el de por defecto
+ * @param {string} idioma - Código de idioma (ej. navigator.language)
+ */
+function normalizarIdioma(idioma) {
+  const base = String(idioma || '').toLowerCase().split('-')[0];
+  return IDIOMAS.indexOf(base) !== -1 ? base : IDIOMA_POR_DEFECTO;
+}
+
+/**
+ * Traduce una clave de mensaje
+ * @param {string} clave - Clave de MENSAJES
+ * @param {string} idioma - 'es' | 'en'
+ * @param {*} param - Valor que sustituye {n} en el mensaje
+ */
+function mensaje(clave, idioma, param) {
+  const textos = MENSAJES[normalizarIdioma(idioma)];
+  return textos[clave].replace('{n}', param);
+}
+
+/**
+ * Valida un solo campo de un esquema
+ * @param {string} esquema - Nombre del esquema en ESQUEMAS
+ * @param {string} campo - Campo a validar
+ * @param {*} valor - Valor del campo
+ * @param {Object} opciones - { datos: resto del formulario (para igualA), idioma }
+ * @returns {string} Mensaje de error o '' si es válido
+ */
+function validarCampo(esquema, campo, valor, opciones) {
+  const opts = opciones || {};
+  const reglas = ESQUEMAS[esquema][campo] || [];
+
+  if (reglas.length > 0 && !esValorSimple(valor)) return mensaje('valorInvalido', opts.idioma);
+
+  for (let i = 0; i < reglas.length; i++) {
+    const regla = Array.isArray(reglas[i]) ? reglas[i] : [reglas[i]];
+    const clave = REGLAS[regla[0]](valor, opts.datos || {}, regla[1]);
+    if (clave) return mensaje(clave, opts.idioma, regla[1]);
+  }
+
+  return '';
+}
+
+/**
+ * Valida un objeto completo contra un esquema
+ * @param {string} esquema - Nombre del esquema en ESQUEMAS
+ * @param {Object} datos - Valores del formulario o body de la petición
+ * @param {Object} opciones - { idioma, parcial: solo valida los campos presentes (PATCH),
+ *                             campos: limita la validación a estos campos }
+ * @returns {{valido: boolean, errores: Object}} errores por campo
+ */
+function validar(esquema, datos, opciones) {
+  const opts = opciones || {};
+  const valores = datos || {};
+  const campos = opts.campos || Object.keys(ESQUEMAS[esquema]);
+  const errores = {};
+
+  campos.forEach((campo) => {
+    if (opts.parcial && valores[campo] === undefined) return;
+    const error = validarCampo(esquema, campo, valores[campo], { datos: valores, idioma: opts.idioma });
+    if (error) errores[campo] = error;
+  });
+
+  return { valido: Object.keys(errores).length === 0, errores };
+}
+
+module.exports = {
+  IDIOMAS,
+  ESQUEMAS,
+  validar,
+  validarCampo,
+  mensaje,
+  normalizarIdioma
+};
@@ -0,0 +1,75 @@
+import { validar, validarCampo, mensaje, normalizarIdioma } from './validation';
+
+const REGISTRO_VALIDO = { nombre: 'Ana', email: 'ana@example.com', password: 'Secreta1!' };
+
+describe('validar', () => {
+  test('acepta un registro correcto', () => {
+    expect(validar('registro', REGISTRO_VALIDO)).toEqual({ valido: true, errores: {} });
+  });
+
+  test('devuelve el primer error de cada campo en el idioma pedido', () => {
+    const { valido, errores } = validar('registro', { nombre: '  ', email: 'ana', password: 'corta' }, { idioma: 'en' });
+
+    expect(valido).toBe(false);
+    expect(errores).toEqual({
+      nombre: mensaje('nombreRequerido', 'en'),
+      email: mensaje('email', 'en'),
+      password: mensaje('passwordLongitud', 'en')
+    });
+  });
+
+  test('comprueba cada requisito de la contraseña por orden', () => {
+    const error = (password) => validarCampo('registro', 'password', password);
+
+    expect(error('secreta1!')).toBe(mensaje('passwordMayuscula', 'es'));
+    expect(error('SECRETA1!')).toBe(mensaje('passwordMinuscula', 'es'));
+    expect(error('Secretaa!')).toBe(mensaje('passwordNumero', 'es'));
+    expect(error('Secreta11')).toBe(mensaje('passwordEspecial', 'es'));
+    expect(error('Secreta1!')).toBe('');
+  });
+
+  test('sustituye {n} en el mensaje de longitud máxima', () => {
+    const { errores } = validar('liga', { nombre: 'x'.repeat(101) });
+    expect(errores.nombre).toBe('No puede superar 100 caracteres');
+  });
+
+  test('la confirmación debe coincidir con el otro campo', () => {
+    const { errores } = validar('restablecer', { token: 't', password: 'Secreta1!', confirmPassword: 'Otra1!' });
+    expect(errores).toEqual({ confirmPassword: mensaje('confirmacion', 'es') });
+  });
+
+  test('parcial solo valida los campos presentes', () => {
+    expect(validar('perfil', { nombre: 'Ana' }, { parcial: true }).valido).toBe(true);
+    expect(validar('perfil', { zona_horaria: 'Marte/Olimpo' }, { parcial: true }).errores)
+      .toEqual({ zona_horaria: mensaje('zonaHoraria', 'es') });
+  });
+
+  test('campos limita la validación a los indicados', () => {
+    expect(validar('restablecer', { token: 't', password: 'Secreta1!' }, { campos: ['token', 'password'] }).valido).toBe(true);
+  });
+
+  test('rechaza arrays y objetos en lugar de texto', () => {
+    const { errores } = validar('login', { email: ['ana@example.com'], password: { $ne: '' } });
+    expect(errores).toEqual({ email: mensaje('valorInvalido', 'es'), password: mensaje('valorInvalido', 'es') });
+  });
+
+  test('residuo: acepta números del JSON y vacíos en los opcionales', () => {
+    expect(validar('residuo', { nombre: 'Lata', tipo: 'yellow', dificultad: 2, co2_kg: 0.05 }).valido).toBe(true);
+    expect(validar('residuo', { nombre: 'Lata', tipo: 'yellow', dificultad: '', co2_kg: '' }).valido).toBe(true);
+
+    const { errores } = validar('residuo', { nombre: 'Lata', tipo: 'Amarillo!', dificultad: 4, co2_kg: 1000 });
+    expect(errores).toEqual({
+      tipo: mensaje('tipoContenedor', 'es'),
+      dificultad: mensaje('dificultad', 'es'),
+      co2_kg: mensaje('co2', 'es')
+    });
+  });
+});
+
+describe('normalizarIdioma', () => {
+  test('usa el idioma base soportado o el de por defecto', () => {
+    expect(normalizarIdioma('en-US')).toBe('en');
+    expect(normalizarIdioma('fr-FR')).toBe('es');
+    expect(normalizarIdioma(undefined)).toBe('es');
+  });
+});